@@ -10,6 +10,11 @@ import userRoutes from './routes/users.js';
 import paymentRoutes from './routes/payments.js';
 import repaymentRoutes from './routes/repayments.js';
 import contactRoutes from './routes/contact.js';
+import jobRoutes from './routes/jobs.js';
+import ledgerRoutes from './routes/ledger.js';
+import documentRoutes from './routes/documents.js';
+import commentRoutes from './routes/comments.js';
+import { registerNotificationHandlers } from './utils/notifications.js';
 
 dotenv.config();
 
@@ -37,8 +42,11 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
 }));
+// Stripe webhook signatures are computed over the raw body, so it must skip the JSON parser
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json());
 app.use(cookieParser());
 
@@ -50,14 +58,21 @@ if (!process.env.VERCEL) {
   connectDB();
 }
 
+// Email borrowers about application and payment events
+registerNotificationHandlers();
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/loans', loanRoutes);
+app.use('/api/applications/:id/documents', documentRoutes);
+app.use('/api/applications/:id/comments', commentRoutes);
 app.use('/api/applications', applicationRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/repayments', repaymentRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/ledger', ledgerRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -1,16 +1,26 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { connectDB } from '../db.js';
+import User from '../models/User.js';
+import { isSessionActive } from '../utils/sessions.js';
+import { isEmailVerified } from '../utils/emailVerification.js';
+import { isTwoFactorRequired } from '../utils/twoFactor.js';
 
-export const verifyToken = (req, res, next) => {
+// Access tokens are only accepted while their session is live, so logout, suspension and
+// role changes take effect immediately (see utils/sessions.js). Roles the security policy
+// covers must also have passed two-factor authentication in the session (the tfa claim, see
+// utils/twoFactor.js), except on routes for the caller's own account (allowWithoutTwoFactor).
+const authenticate = ({ allowWithoutTwoFactor = false } = {}) => async (req, res, next) => {
   const token = req.cookies.token || req.headers.authorization?.split(' ')[1];
 
   if (!token) {
     return res.status(401).json({ message: 'Access denied. No token provided.' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
   } catch (error) {
     // Provide more specific error messages
     if (error.name === 'TokenExpiredError') {
@@ -26,8 +36,45 @@ export const verifyToken = (req, res, next) => {
     }
     return res.status(401).json({ message: 'Invalid token.' });
   }
+
+  const sessionExpired = () => res.status(401).json({
+    message: 'Session expired. Please login again.',
+    code: 'SESSION_EXPIRED'
+  });
+
+  // Tokens issued before sessions existed carry no sid and cannot be revoked
+  if (!decoded.sid) {
+    return sessionExpired();
+  }
+
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      await connectDB();
+    }
+    if (!(await isSessionActive(decoded.sid, decoded.userId))) {
+      return sessionExpired();
+    }
+    if (!allowWithoutTwoFactor && !decoded.tfa && (await isTwoFactorRequired(decoded.role))) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for your role. Set it up with /api/auth/2fa/setup or sign in with your code.',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+  } catch (error) {
+    console.error('Session check error:', error);
+    return res.status(503).json({ message: 'Database connection error. Please try again later.' });
+  }
+
+  req.user = decoded;
+  next();
 };
 
+export const verifyToken = authenticate();
+
+// For the caller's own account (2FA setup, sessions, profile), which staff must reach before
+// they have set up two-factor authentication
+export const verifyAccountToken = authenticate({ allowWithoutTwoFactor: true });
+
 export const checkRole = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -42,3 +89,39 @@ export const checkRole = (...roles) => {
   };
 };
 
+// Borrowers must confirm their email address before applying or paying. Use after verifyToken
+// and ensureDBConnection.
+export const requireVerifiedEmail = async (req, res, next) => {
+  if (req.user?.role !== 'borrower') return next();
+
+  try {
+    const user = await User.findById(req.user.userId).select('emailVerified');
+    if (user && !isEmailVerified(user)) {
+      return res.status(403).json({
+        message: 'Please verify your email address first.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Scheduled jobs authenticate with a shared secret: Authorization: Bearer <CRON_SECRET>
+export const verifyJobSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret) {
+    return res.status(503).json({ message: 'Scheduled jobs are not configured.' });
+  }
+
+  const provided = Buffer.from(req.headers.authorization?.split(' ')[1] || '');
+  const expected = Buffer.from(secret);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ message: 'Invalid job secret.' });
+  }
+
+  next();
+};
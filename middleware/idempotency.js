@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON.stringify with sorted keys so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Key to forward to the payment provider so its side effects are deduplicated too
+export const getProviderIdempotencyKey = (req) => {
+  const key = req.get('Idempotency-Key');
+  return key ? `${req.user.userId}:${key}` : undefined;
+};
+
+// Answer a request whose key has been used before
+const replayStoredResponse = async (req, res, key, requestHash) => {
+  try {
+    const existing = await IdempotencyKey.findOne({ userId: req.user.userId, key });
+
+    if (!existing) {
+      // Expired between the insert and the lookup - let the client retry
+      return res.status(409).json({ message: 'Idempotency key conflict. Please retry.', code: 'IDEMPOTENCY_KEY_CONFLICT' });
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(409).json({
+        message: 'Idempotency-Key has already been used with a different request',
+        code: 'IDEMPOTENCY_KEY_REUSED',
+      });
+    }
+
+    if (existing.status !== 'Completed') {
+      return res.status(409).json({
+        message: 'A request with this Idempotency-Key is still being processed',
+        code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.statusCode).json(existing.responseBody);
+  } catch (error) {
+    return res.status(500).json({ message: error.message });
+  }
+};
+
+// Idempotency-Key support for money-moving routes. Must run after verifyToken and ensureDBConnection.
+// - first request with a key: runs normally and its response is stored
+// - same key, same request: the stored response is replayed
+// - same key, different request: 409
+// - 409 and 5xx responses are not stored, so the request can be retried under the same key
+export const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const path = req.baseUrl + req.path;
+  const requestHash = crypto
+    .createHash('sha256')
+    .update(stableStringify({ method: req.method, path, body: req.body || {} }))
+    .digest('hex');
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      userId: req.user.userId,
+      method: req.method,
+      path,
+      requestHash,
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return res.status(500).json({ message: error.message });
+    }
+    return replayStoredResponse(req, res, key, requestHash);
+  }
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    // Conflicts (e.g. a concurrent update) and server errors release the key so the client can
+    // retry; anything else is stored for replay
+    const update = res.statusCode === 409 || res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { status: 'Completed', statusCode: res.statusCode, responseBody: JSON.parse(JSON.stringify(body ?? null)) }
+      );
+
+    update.exec()
+      .catch(error => console.error('Idempotency key update error:', error))
+      .finally(() => originalJson(body));
+
+    return res;
+  };
+
+  next();
+};
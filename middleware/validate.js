@@ -0,0 +1,28 @@
+import { matchedData, validationResult } from 'express-validator';
+
+// Run express-validator chains in order (later chains may rely on earlier ones, e.g. a loaded loan),
+// reply 422 with field-level errors, and whitelist req.body to the validated fields.
+// Must run after ensureDBConnection when a chain queries the database.
+export const validate = (chains) => async (req, res, next) => {
+  try {
+    for (const chain of chains) {
+      await chain.run(req);
+    }
+
+    const result = validationResult(req);
+    if (!result.isEmpty()) {
+      return res.status(422).json({
+        message: 'Validation failed',
+        errors: result.array({ onlyFirstError: true }).map(error => ({
+          field: error.path,
+          message: error.msg,
+        })),
+      });
+    }
+
+    req.body = matchedData(req, { locations: ['body'] });
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
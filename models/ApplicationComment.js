@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const applicationCommentSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoanApplication',
+    required: true,
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  authorName: {
+    type: String,
+    default: '',
+  },
+  authorRole: {
+    type: String,
+    enum: ['borrower', 'manager', 'admin'],
+    required: true,
+  },
+  visibility: {
+    type: String,
+    enum: ['internal', 'borrower'], // internal: admin/manager only; borrower: the applicant can read and reply
+    required: true,
+  },
+  body: {
+    type: String,
+    required: true,
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Staff mentioned in the comment
+  }],
+  readBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Includes the author
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+applicationCommentSchema.index({ applicationId: 1, createdAt: 1 });
+
+export default mongoose.model('ApplicationComment', applicationCommentSchema);
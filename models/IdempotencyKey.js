@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Stored responses for requests sent with an Idempotency-Key header
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  method: {
+    type: String,
+    required: true,
+  },
+  path: {
+    type: String,
+    required: true,
+  },
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['Processing', 'Completed'],
+    default: 'Processing',
+  },
+  statusCode: {
+    type: Number,
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24, // Keys are kept for 24 hours
+  },
+});
+
+// Keys are scoped per user
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+export default mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// One line of a balanced journal. Entries are append-only: corrections are posted as reversals.
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: String, // Groups the debit/credit lines of one posting
+    required: true,
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoanApplication',
+    required: true,
+    index: true,
+  },
+  entryType: {
+    type: String,
+    enum: ['Disbursement', 'Interest', 'LateFee', 'Fee', 'Repayment', 'Refund', 'Rebate', 'Reversal'],
+    required: true,
+  },
+  // For reversals: the entry type of the journal being reversed
+  reversedEntryType: {
+    type: String,
+    default: null,
+  },
+  reverses: {
+    type: String, // journalId of the reversed journal
+    default: null,
+  },
+  account: {
+    type: String,
+    enum: ['loans_receivable', 'cash', 'interest_income', 'fee_income'],
+    required: true,
+  },
+  debit: {
+    type: Number,
+    default: 0,
+  },
+  credit: {
+    type: Number,
+    default: 0,
+  },
+  reference: {
+    type: String, // e.g. payment transaction ID
+    default: '',
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A journal has one line per account, which makes re-posting a pending journal idempotent
+ledgerEntrySchema.index({ journalId: 1, account: 1 }, { unique: true });
+
+// A journal can only be reversed once
+ledgerEntrySchema.index(
+  { reverses: 1, account: 1 },
+  { unique: true, partialFilterExpression: { reverses: { $type: 'string' } } }
+);
+
+const rejectMutation = function () {
+  throw new Error('Ledger entries are append-only. Post a reversal instead.');
+};
+
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Ledger entries are append-only. Post a reversal instead.'));
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => ledgerEntrySchema.pre(operation, rejectMutation));
+
+export default mongoose.model('LedgerEntry', ledgerEntrySchema);
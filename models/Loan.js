@@ -29,6 +29,38 @@ const loanSchema = new mongoose.Schema({
     type: [String],
     required: true,
   },
+  currency: {
+    type: String, // ISO currency code used for fees and repayments, e.g. 'usd'
+    lowercase: true,
+    default: 'usd',
+  },
+  applicationFee: {
+    feeType: {
+      type: String,
+      enum: ['flat', 'percentage', 'waived'],
+      default: 'flat',
+    },
+    amount: {
+      type: Number, // Flat amount, or percentage of the requested loan amount
+      default: 10,
+    },
+  },
+  // Late fee charged once per installment that stays unpaid past the grace period
+  lateFeePolicy: {
+    feeType: {
+      type: String,
+      enum: ['none', 'flat', 'percentage'],
+      default: 'none',
+    },
+    amount: {
+      type: Number, // Flat amount, or percentage of the overdue installment
+      default: 0,
+    },
+    gracePeriodDays: {
+      type: Number,
+      default: 0,
+    },
+  },
   images: {
     type: [String],
     default: [],
@@ -1,4 +1,12 @@
 import mongoose from 'mongoose';
+import { flushLedgerJournals } from '../utils/ledger.js';
+import { APPLICATION_STATUSES } from '../utils/applicationWorkflow.js';
+import { flushDomainEvents } from '../utils/events.js';
+
+// Drafts are saved step by step; the borrower's fields are only required once submitted
+const requiredUnlessDraft = function () {
+  return this.status !== 'Draft';
+};
 
 const loanApplicationSchema = new mongoose.Schema({
   loanId: {
@@ -25,39 +33,39 @@ const loanApplicationSchema = new mongoose.Schema({
   },
   firstName: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
   },
   lastName: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
   },
   contactNumber: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
   },
   nationalId: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
   },
   incomeSource: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
   },
   monthlyIncome: {
     type: Number,
-    required: true,
+    required: requiredUnlessDraft,
   },
   loanAmount: {
     type: Number,
-    required: true,
+    required: requiredUnlessDraft,
   },
   reasonForLoan: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
   },
   address: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
   },
   extraNotes: {
     type: String,
@@ -65,12 +73,158 @@ const loanApplicationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'Approved', 'Rejected'],
-    default: 'Pending',
+    enum: APPLICATION_STATUSES,
+    default: 'Submitted',
+  },
+  submittedAt: {
+    type: Date, // First submission; review aging is measured from here
+  },
+  // Reviewer working on the application (see utils/reviewQueue.js)
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true,
+  },
+  assignedAt: {
+    type: Date,
+    default: null,
+  },
+  // Last borrower edit of a draft (stale drafts are cleaned up, see utils/drafts.js)
+  lastEditedAt: {
+    type: Date,
+  },
+  // Every status change, oldest first
+  statusHistory: [{
+    from: String,
+    to: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    actorRole: String, // 'system' for automatic transitions
+    reason: {
+      type: String,
+      default: '',
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  cancelledAt: {
+    type: Date, // When the borrower withdrew the application
+  },
+  // Affordability and risk score computed on submission (see utils/scoring.js)
+  riskAssessment: {
+    score: Number, // 0-100, higher is safer
+    band: {
+      type: String,
+      enum: ['A', 'B', 'C', 'D'],
+      index: true,
+    },
+    recommendation: {
+      type: String,
+      enum: ['Approve', 'Review', 'Decline'],
+    },
+    debtToIncome: Number,
+    proposedInstallment: Number, // Monthly equivalent
+    existingInstallments: Number, // Monthly installments of the applicant's other active loans
+    activeLoans: Number,
+    factors: [{
+      _id: false,
+      rule: String,
+      weight: Number,
+      score: Number,
+      detail: String,
+    }],
+    scoredAt: Date,
+  },
+  // Normalized identity fields used to find duplicates across accounts (see utils/fraudSignals.js)
+  matchKeys: {
+    nationalId: { type: String, index: true },
+    contactNumber: { type: String, index: true },
+    address: { type: String, index: true },
+    email: { type: String, index: true },
+  },
+  // Duplicate and fraud signals found on submission
+  fraudFlags: [{
+    _id: false,
+    signal: String, // e.g. 'sharedNationalId', 'activeUnpaidLoan', 'recentApplications'
+    detail: String,
+    relatedApplications: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LoanApplication',
+    }],
+    detectedAt: Date,
+  }],
+  fraudReview: {
+    status: {
+      type: String,
+      enum: ['None', 'Flagged', 'Cleared', 'Confirmed'],
+      default: 'None',
+      index: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    note: String,
+  },
+  // Uploaded files for the loan product's requiredDocuments
+  documents: [{
+    name: {
+      type: String, // Required document name, e.g. 'Bank Statement'
+      required: true,
+    },
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    storage: String, // Storage driver the file was written to
+    storageKey: String,
+    status: {
+      type: String,
+      enum: ['Pending', 'Verified', 'Rejected'],
+      default: 'Pending',
+    },
+    rejectionReason: {
+      type: String,
+      default: '',
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: Date,
+  }],
+  // Fee and currency copied from the loan product when the application is submitted
+  currency: {
+    type: String,
+    lowercase: true,
+    default: 'usd',
+  },
+  applicationFee: {
+    feeType: {
+      type: String,
+      enum: ['flat', 'percentage', 'waived'],
+    },
+    amount: Number,
+    currency: String,
   },
   applicationFeeStatus: {
     type: String,
-    enum: ['Paid', 'Unpaid'],
+    enum: ['Paid', 'Unpaid', 'Refunded', 'Waived'],
     default: 'Unpaid',
   },
   paymentDetails: {
@@ -78,18 +232,118 @@ const loanApplicationSchema = new mongoose.Schema({
     paymentDate: Date,
     amount: Number,
   },
+  // Application fee refund (on rejection/cancellation)
+  refund: {
+    status: {
+      type: String,
+      enum: ['None', 'Pending', 'Succeeded', 'Failed'],
+      default: 'None',
+    },
+    amount: Number,
+    refundId: String,
+    reason: String,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    requestedAt: Date,
+    processedAt: Date,
+    failureMessage: String,
+  },
+  // Outcome of the most recent Stripe PaymentIntent (fee or repayment)
+  lastPaymentAttempt: {
+    paymentIntentId: String,
+    paymentType: {
+      type: String,
+      enum: ['application_fee', 'repayment', 'settlement'],
+    },
+    status: {
+      type: String,
+      enum: ['Succeeded', 'Failed', 'Canceled'],
+    },
+    amount: Number,
+    failureMessage: String,
+    updatedAt: Date,
+  },
   approvedAt: {
     type: Date,
   },
+  // Funds sent to the borrower, in one or more tranches (see utils/disbursements.js)
+  disbursements: [{
+    amount: {
+      type: Number,
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ['Bank Transfer', 'Mobile Money', 'Cheque', 'Cash'],
+      required: true,
+    },
+    reference: {
+      type: String,
+      required: true,
+    },
+    disbursedAt: {
+      type: Date,
+      required: true,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  disbursedAmount: {
+    type: Number,
+    default: 0,
+  },
+  disbursedAt: {
+    type: Date, // When the loan was fully disbursed; the repayment schedule starts here
+  },
   // Repayment fields
   repaymentSchedule: {
     type: String,
     enum: ['Monthly', 'Weekly'],
     default: 'Monthly',
   },
+  emiPlan: {
+    type: String, // One of the loan's emiPlans, e.g. "12 Months"
+    default: '',
+  },
+  // Amortized installment plan, generated once the loan is fully disbursed
+  installments: [{
+    installmentNumber: Number,
+    dueDate: Date,
+    principal: Number,
+    interest: Number,
+    amount: Number, // principal + interest
+    balance: Number, // Outstanding principal after this installment
+    paidAmount: {
+      type: Number,
+      default: 0,
+    },
+    lateFee: {
+      type: Number,
+      default: 0,
+    },
+    lateFeeAppliedAt: Date,
+    status: {
+      type: String,
+      enum: ['Pending', 'Partial', 'Overdue', 'Paid'],
+      default: 'Pending',
+    },
+    paidAt: Date,
+  }],
   totalAmount: {
     type: Number,
-    default: 0, // Loan amount + interest
+    default: 0, // Loan amount + scheduled interest
   },
   paidAmount: {
     type: Number,
@@ -110,16 +364,101 @@ const loanApplicationSchema = new mongoose.Schema({
     },
     transactionId: String,
     paymentMethod: String,
+    reversedAt: Date, // Set when the repayment's ledger journal is reversed
   }],
   repaymentStatus: {
     type: String,
     enum: ['Pending', 'In Progress', 'Complete'],
     default: 'Pending',
   },
+  // Automatic installment charges on a saved payment method
+  autopay: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    paymentMethodId: String,
+    enabledAt: Date,
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: Date, // Set after a failed charge, per the retry back-off
+    lastAttemptAt: Date,
+    lastError: String,
+  },
+  // Early payoff, set when the loan is closed with a payoff quote
+  settlement: {
+    settledAt: Date,
+    quoteDate: String, // YYYY-MM-DD
+    amount: Number,
+    interestRebate: Number,
+    transactionId: String,
+    paymentMethod: String,
+  },
+  // Delinquency (maintained by the delinquency check job)
+  daysPastDue: {
+    type: Number,
+    default: 0,
+  },
+  delinquencyStatus: {
+    type: String,
+    enum: ['Current', '1-30', '31-60', '60+'],
+    default: 'Current',
+  },
+  lateFeesTotal: {
+    type: Number,
+    default: 0,
+  },
+  delinquencyCheckedAt: {
+    type: Date,
+  },
+  // Ledger journals saved together with the change that caused them and posted by the post-save
+  // hook. A journal stays here until it is on the ledger, so failed postings are retried.
+  pendingLedgerJournals: [{
+    _id: false,
+    journalId: String,
+    entryType: String,
+    reversedEntryType: String,
+    reverses: String,
+    reference: String,
+    description: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    lines: [{
+      _id: false,
+      account: String,
+      debit: Number,
+      credit: Number,
+    }],
+    queuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   createdAt: {
     type: Date,
     default: Date.now,
   },
+}, {
+  // Concurrent saves (e.g. two repayments for the same loan) fail with a VersionError instead of overwriting each other
+  optimisticConcurrency: true,
+});
+
+// The ledger outbox is internal bookkeeping
+loanApplicationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.pendingLedgerJournals;
+    return ret;
+  },
+});
+
+// Post ledger journals and emit domain events queued by the route/payment helpers once the application is saved
+loanApplicationSchema.post('save', async function (doc) {
+  await flushLedgerJournals(doc);
+  flushDomainEvents(doc);
 });
 
 export default mongoose.model('LoanApplication', loanApplicationSchema);
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Stripe webhook events that have already been processed (used to ignore redeliveries)
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoanApplication',
+    default: null,
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.model('PaymentEvent', paymentEventSchema);
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Account security settings admins change at runtime. There is a single document (see utils/twoFactor.js).
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+  },
+  twoFactorRequiredRoles: [{
+    type: String, // Roles that must use two-factor authentication on role-checked routes
+    enum: ['admin', 'manager'],
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// Login sessions backing refresh tokens (see utils/sessions.js)
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  refreshTokenHash: {
+    type: String, // SHA-256 of the current refresh token
+    required: true,
+  },
+  previousTokenHash: {
+    type: String, // Token replaced by the last rotation; presenting it again revokes the session
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  ipAddress: {
+    type: String,
+    default: '',
+  },
+  twoFactorVerified: {
+    type: Boolean, // Started with a two-factor code (or verified one since); carried in access tokens as tfa
+    default: false,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0, // Removed once the refresh token expires
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.model('Session', sessionSchema);
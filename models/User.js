@@ -19,9 +19,83 @@ const userSchema = new mongoose.Schema({
     enum: ['borrower', 'manager', 'admin'],
     default: 'borrower',
   },
+  // How the account was created. Google accounts have no password until they set one;
+  // password accounts can also sign in with Google once linked (googleId).
+  authProvider: {
+    type: String,
+    enum: ['password', 'google'],
+    default: 'password',
+  },
+  googleId: {
+    type: String, // Google account ID (the ID token's sub)
+    unique: true,
+    sparse: true,
+  },
   password: {
     type: String,
-    required: true,
+    required: function () {
+      return this.authProvider !== 'google';
+    },
+  },
+  // Set to false on registration until the address is confirmed; accounts created before
+  // verification existed have no value and count as verified (see utils/emailVerification.js)
+  emailVerified: {
+    type: Boolean,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  emailVerification: {
+    tokenHash: {
+      type: String, // SHA-256 of the emailed token
+      index: true,
+    },
+    sentAt: Date,
+    expiresAt: Date,
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
+  // Outstanding forgot-password request (see utils/passwords.js)
+  passwordReset: {
+    tokenHash: {
+      type: String, // SHA-256 of the emailed token
+      index: true,
+    },
+    requestedAt: Date,
+    expiresAt: Date,
+  },
+  // TOTP two-factor authentication (see utils/twoFactor.js). Secrets are stored encrypted.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: String,
+    pendingSecret: String, // Set up but not yet confirmed with a code
+    enabledAt: Date,
+    recoveryCodeHashes: [String], // SHA-256 of the unused recovery codes
+    lastUsedStep: Number, // Time step of the last accepted code, so a code works only once
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: Date,
+  },
+  paymentCustomerId: {
+    type: String, // Customer ID at the payment provider, created when a payment method is first saved
+    default: '',
+  },
+  // Optional emails (see utils/notifications.js)
+  notificationPreferences: {
+    applicationUpdates: {
+      type: Boolean, // Submission received, approved, rejected
+      default: true,
+    },
+    paymentReceipts: {
+      type: Boolean, // Fee and repayment receipts, loan fully repaid
+      default: true,
+    },
   },
   isSuspended: {
     type: Boolean,
@@ -41,5 +115,21 @@ const userSchema = new mongoose.Schema({
   },
 });
 
+// Never send password hashes, reset or verification token hashes, two-factor secrets or
+// recovery code hashes in responses
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.passwordReset;
+    delete ret.emailVerification;
+    if (ret.twoFactor) {
+      delete ret.twoFactor.secret;
+      delete ret.twoFactor.pendingSecret;
+      delete ret.twoFactor.recoveryCodeHashes;
+    }
+    return ret;
+  },
+});
+
 export default mongoose.model('User', userSchema);
 
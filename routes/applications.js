@@ -1,8 +1,46 @@
 import express from 'express';
 import mongoose from 'mongoose';
 import LoanApplication from '../models/LoanApplication.js';
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import Loan from '../models/Loan.js';
+import User from '../models/User.js';
+import ApplicationComment from '../models/ApplicationComment.js';
+import { verifyToken, checkRole, requireVerifiedEmail } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import { connectDB } from '../db.js';
+import { resolveEmiPlan } from '../utils/amortization.js';
+import { DELINQUENCY_BUCKETS } from '../utils/delinquency.js';
+import { computeApplicationFee } from '../utils/fees.js';
+import { getRefundBlocker, getRefundPolicy, refundApplicationFee } from '../utils/refunds.js';
+import { getTransitionError, transitionApplication } from '../utils/applicationWorkflow.js';
+import { getUnverifiedDocuments, removeDocumentFiles } from '../utils/documents.js';
+import { scoreApplication } from '../utils/scoring.js';
+import { DOMAIN_EVENTS, queueDomainEvent } from '../utils/events.js';
+import { getLoanTermErrors, getMissingFields } from '../utils/drafts.js';
+import { getUnreadCounts, withUnreadCounts } from '../utils/comments.js';
+import { FRAUD_SIGNALS, detectFraudSignals } from '../utils/fraudSignals.js';
+import { getDisbursementError, getUndisbursedAmount, recordDisbursement } from '../utils/disbursements.js';
+import {
+  REVIEW_STATUSES,
+  assignReviewer,
+  autoAssignReviewer,
+  getAging,
+  getReviewSla,
+} from '../utils/reviewQueue.js';
+import { validate } from '../middleware/validate.js';
+import {
+  applicationIdRules,
+  assignReviewerRules,
+  createApplicationRules,
+  createDraftRules,
+  fraudReportRules,
+  fraudReviewRules,
+  listApplicationsRules,
+  recordDisbursementRules,
+  reviewQueueRules,
+  updateDraftRules,
+  updateStatusRules,
+  withdrawApplicationRules,
+} from '../validators/applications.js';
 
 const router = express.Router();
 
@@ -33,34 +71,240 @@ const ensureDBConnection = async (req, res, next) => {
   }
 };
 
+// Withdraw an application on the borrower's behalf, refunding the fee if the policy says so
+const withdrawApplication = async (application, { userId, role, reason }) => {
+  transitionApplication(application, 'Withdrawn', { actor: userId, actorRole: role, reason });
+  application.cancelledAt = new Date();
+
+  if (getRefundPolicy().onCancellation === 'auto' && !getRefundBlocker(application)) {
+    await refundApplicationFee(application, {
+      reason: 'Application cancelled by borrower',
+      requestedBy: userId,
+    });
+  }
+};
+
+// Copy the loan product's terms, fee and currency onto the application as it is submitted
+const snapshotLoanTerms = (application, loan) => {
+  const applicationFee = computeApplicationFee(loan, application.loanAmount);
+  application.loanTitle = loan.title;
+  application.interestRate = loan.interestRate;
+  application.currency = applicationFee.currency;
+  application.applicationFee = applicationFee;
+  application.applicationFeeStatus = applicationFee.amount > 0 ? 'Unpaid' : 'Waived';
+};
+
+// Refresh the risk score. Scoring is advisory, so a failure must not block the status change.
+const refreshRiskAssessment = async (application, loan) => {
+  try {
+    await scoreApplication(application, loan);
+  } catch (error) {
+    console.error('Risk scoring error:', error);
+  }
+};
+
+// Refresh the duplicate and fraud flags. Like scoring, they inform the reviewer and must not block the submission.
+const refreshFraudFlags = async (application) => {
+  try {
+    await detectFraudSignals(application);
+  } catch (error) {
+    console.error('Fraud detection error:', error);
+  }
+};
+
+// Record the submission and auto-assign a reviewer if configured. Like scoring, assignment
+// failures must not block the submission.
+const markSubmitted = async (application) => {
+  if (!application.submittedAt) {
+    application.submittedAt = new Date();
+    queueDomainEvent(application, DOMAIN_EVENTS.APPLICATION_SUBMITTED);
+  }
+  try {
+    await autoAssignReviewer(application);
+  } catch (error) {
+    console.error('Reviewer assignment error:', error);
+  }
+};
+
+// Loans whose applications a manager reviews
+const getManagerLoanIds = async (userId) =>
+  (await Loan.find({ createdBy: userId }).select('_id')).map(l => l._id);
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'manager';
+
+// Fraud signals are for staff only
+const FRAUD_FIELDS = ['matchKeys', 'fraudFlags', 'fraudReview'];
+
+const toApplicationResponse = (application, user) => {
+  if (isStaff(user)) return application;
+
+  const json = application.toJSON ? application.toJSON() : { ...application };
+  for (const field of FRAUD_FIELDS) delete json[field];
+  return json;
+};
+
 // Get all applications (Admin/Manager)
-router.get('/', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, async (req, res) => {
+router.get('/', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(listApplicationsRules), async (req, res) => {
   try {
-    const { status, page = 1, limit = 10 } = req.query;
+    const { status, delinquency, scoreBand, page = 1, limit = 10 } = req.query;
     let query = {};
 
-    if (status) {
-      query.status = status;
+    // Drafts are private to the borrower until submitted
+    query.status = status && status !== 'Draft' ? status : { $ne: 'Draft' };
+
+    // 'delinquent' matches any past-due bucket, otherwise an exact bucket (e.g. '31-60')
+    if (delinquency === 'delinquent') {
+      query.delinquencyStatus = { $in: DELINQUENCY_BUCKETS };
+    } else if (delinquency) {
+      query.delinquencyStatus = delinquency;
+    }
+
+    // One band ('A') or several ('A,B')
+    if (scoreBand) {
+      query['riskAssessment.band'] = { $in: scoreBand.split(',').map(band => band.trim().toUpperCase()) };
     }
 
-    // Manager can only see applications for loans they created
+    // Manager can only see applications for loans they created or assigned to them
     if (req.user.role === 'manager') {
-      const Loan = (await import('../models/Loan.js')).default;
-      const managerLoans = await Loan.find({ createdBy: req.user.userId }).select('_id');
-      query.loanId = { $in: managerLoans.map(l => l._id) };
+      query.$or = [
+        { loanId: { $in: await getManagerLoanIds(req.user.userId) } },
+        { assignedTo: req.user.userId },
+      ];
     }
 
     const applications = await LoanApplication.find(query)
       .populate('loanId', 'title category')
       .populate('userId', 'name email')
+      .populate('assignedTo', 'name email')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
     const total = await LoanApplication.countDocuments(query);
+    const unreadCounts = await getUnreadCounts(applications.map(application => application._id), req.user);
+
+    res.json({
+      applications: applications.map(application => withUnreadCounts(application, unreadCounts)),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Review queue, oldest first with aging against the review SLA (Manager/Admin).
+// scope: 'mine' (default), 'unassigned' or 'all'; admins can pass assignee to see a reviewer's queue.
+router.get('/queue', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(reviewQueueRules), async (req, res) => {
+  try {
+    const { scope = 'mine', assignee, page = 1, limit = 10 } = req.query;
+    const query = { status: { $in: REVIEW_STATUSES } };
+
+    if (assignee && req.user.role === 'admin') {
+      query.assignedTo = assignee;
+    } else if (scope === 'mine') {
+      query.assignedTo = req.user.userId;
+    } else if (scope === 'unassigned') {
+      query.assignedTo = null;
+    }
+
+    if (req.user.role === 'manager' && scope !== 'mine') {
+      query.$or = [
+        { loanId: { $in: await getManagerLoanIds(req.user.userId) } },
+        { assignedTo: req.user.userId },
+      ];
+    }
+
+    const applications = await LoanApplication.find(query)
+      .select('-installments -repayments')
+      .populate('loanId', 'title category')
+      .populate('userId', 'name email')
+      .populate('assignedTo', 'name email')
+      .sort({ submittedAt: 1, createdAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    // Counts past each SLA threshold across the whole queue, not just this page
+    const now = new Date();
+    const waitingSince = (days) => {
+      const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+      return {
+        ...query,
+        $and: [{
+          $or: [
+            { submittedAt: { $lte: cutoff } },
+            { submittedAt: null, createdAt: { $lte: cutoff } },
+          ],
+        }],
+      };
+    };
+    const { warningDays, overdueDays } = getReviewSla();
+    const [total, pastWarning, overdue] = await Promise.all([
+      LoanApplication.countDocuments(query),
+      LoanApplication.countDocuments(waitingSince(warningDays)),
+      LoanApplication.countDocuments(waitingSince(overdueDays)),
+    ]);
+
+    res.json({
+      applications: applications.map(application => ({ ...application.toJSON(), ...getAging(application, now) })),
+      summary: {
+        onTrack: total - pastWarning,
+        atRisk: pastWarning - overdue,
+        overdue,
+      },
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Applications with duplicate or fraud signals, most recent first (Manager/Admin).
+// status: 'Flagged' (default), 'Cleared' or 'Confirmed'; signal narrows to one check.
+router.get('/fraud-report', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(fraudReportRules), async (req, res) => {
+  try {
+    const { status = 'Flagged', signal, page = 1, limit = 10 } = req.query;
+    const query = { 'fraudReview.status': status };
+
+    if (signal) {
+      query['fraudFlags.signal'] = signal;
+    }
+
+    // Manager can only see applications for loans they created or assigned to them
+    // (IDs are cast here because the summary aggregation does not cast)
+    if (req.user.role === 'manager') {
+      query.$or = [
+        { loanId: { $in: await getManagerLoanIds(req.user.userId) } },
+        { assignedTo: new mongoose.Types.ObjectId(req.user.userId) },
+      ];
+    }
+
+    const applications = await LoanApplication.find(query)
+      .select('loanId userId userEmail firstName lastName loanAmount currency status submittedAt assignedTo fraudFlags fraudReview')
+      .populate('loanId', 'title category')
+      .populate('userId', 'name email')
+      .populate('assignedTo', 'name email')
+      .populate('fraudFlags.relatedApplications', 'firstName lastName userEmail status submittedAt')
+      .sort({ submittedAt: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    // Flagged applications per signal across the whole report, not just this page
+    const [total, bySignal] = await Promise.all([
+      LoanApplication.countDocuments(query),
+      LoanApplication.aggregate([
+        { $match: query },
+        { $unwind: '$fraudFlags' },
+        { $group: { _id: '$fraudFlags.signal', count: { $sum: 1 } } },
+      ]),
+    ]);
 
     res.json({
       applications,
+      summary: Object.fromEntries(FRAUD_SIGNALS.map(name => [name, bySignal.find(entry => entry._id === name)?.count || 0])),
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total,
@@ -77,14 +321,19 @@ router.get('/my-loans', verifyToken, ensureDBConnection, async (req, res) => {
       .populate('loanId', 'title category images')
       .sort({ createdAt: -1 });
 
-    res.json(applications);
+    const unreadCounts = await getUnreadCounts(applications.map(application => application._id), req.user);
+
+    // Drafts list the fields still needed so the form can resume where the borrower left off
+    res.json(applications.map(application => (application.status === 'Draft'
+      ? { ...withUnreadCounts(application, unreadCounts), missingFields: getMissingFields(application) }
+      : withUnreadCounts(toApplicationResponse(application, req.user), unreadCounts))));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Get single application
-router.get('/:id', verifyToken, ensureDBConnection, async (req, res) => {
+router.get('/:id', verifyToken, ensureDBConnection, validate(applicationIdRules), async (req, res) => {
   try {
     const application = await LoanApplication.findById(req.params.id)
       .populate('loanId')
@@ -103,56 +352,424 @@ router.get('/:id', verifyToken, ensureDBConnection, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    res.json(application);
+    res.json(toApplicationResponse(application, req.user));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Create application
-router.post('/', verifyToken, checkRole('borrower'), ensureDBConnection, async (req, res) => {
+router.post('/', verifyToken, checkRole('borrower'), ensureDBConnection, requireVerifiedEmail, validate(createApplicationRules), async (req, res) => {
+  try {
+    // Loaded by createApplicationRules; req.body only holds the validated borrower fields
+    const { loan } = req;
+
+    const application = new LoanApplication({
+      ...req.body,
+      userId: req.user.userId,
+      userEmail: req.user.email,
+      status: 'Submitted',
+      statusHistory: [{
+        from: null,
+        to: 'Submitted',
+        actor: req.user.userId,
+        actorRole: req.user.role,
+      }],
+    });
+    snapshotLoanTerms(application, loan);
+    await refreshRiskAssessment(application, loan);
+    await refreshFraudFlags(application);
+    await markSubmitted(application);
+    await application.save();
+    res.status(201).json(toApplicationResponse(application, req.user));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Start a draft application with any subset of the form (Borrower)
+router.post('/drafts', verifyToken, checkRole('borrower'), ensureDBConnection, validate(createDraftRules), async (req, res) => {
   try {
+    const { loan } = req;
+
     const application = new LoanApplication({
       ...req.body,
       userId: req.user.userId,
       userEmail: req.user.email,
+      loanTitle: loan.title,
+      interestRate: loan.interestRate,
+      status: 'Draft',
+      statusHistory: [{
+        from: null,
+        to: 'Draft',
+        actor: req.user.userId,
+        actorRole: req.user.role,
+      }],
+      lastEditedAt: new Date(),
     });
     await application.save();
-    res.status(201).json(application);
+
+    res.status(201).json({ ...application.toJSON(), missingFields: getMissingFields(application) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Save another step of a draft (Borrower)
+router.patch('/:id', verifyToken, checkRole('borrower'), ensureDBConnection, validate(updateDraftRules), async (req, res) => {
+  try {
+    const application = await LoanApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (application.userId.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (application.status !== 'Draft') {
+      return res.status(400).json({ message: 'Only draft applications can be edited' });
+    }
+
+    application.set(req.body);
+
+    const loan = await Loan.findById(application.loanId).select('maxLoanLimit emiPlans');
+    const errors = loan ? getLoanTermErrors(application, loan) : [];
+    if (errors.length > 0) {
+      return res.status(422).json({ message: 'Validation failed', errors });
+    }
+
+    application.lastEditedAt = new Date();
+    await application.save();
+
+    res.json({ ...application.toJSON(), missingFields: getMissingFields(application) });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Submit a completed draft for review (Borrower)
+router.post('/:id/submit', verifyToken, checkRole('borrower'), ensureDBConnection, requireVerifiedEmail, validate(applicationIdRules), async (req, res) => {
+  try {
+    const application = await LoanApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (application.userId.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (application.status !== 'Draft') {
+      return res.status(400).json({ message: 'Only draft applications can be submitted' });
+    }
+
+    const loan = await Loan.findById(application.loanId);
+    if (!loan) {
+      return res.status(400).json({ message: 'This loan is no longer available' });
+    }
+
+    // Re-check the product's terms, which may have changed since the draft was saved
+    const errors = [
+      ...getMissingFields(application).map(field => ({ field, message: `${field} is required` })),
+      ...getLoanTermErrors(application, loan),
+    ];
+    if (errors.length > 0) {
+      return res.status(422).json({ message: 'Validation failed', errors });
+    }
+
+    transitionApplication(application, 'Submitted', { actor: req.user.userId, actorRole: req.user.role });
+    snapshotLoanTerms(application, loan);
+    await refreshRiskAssessment(application, loan);
+    await refreshFraudFlags(application);
+    await markSubmitted(application);
+    await application.save();
+
+    res.json(toApplicationResponse(application, req.user));
   } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
     res.status(500).json({ message: error.message });
   }
 });
 
-// Update application status (Manager/Admin)
-router.patch('/:id/status', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, async (req, res) => {
+// Move an application through its workflow (allowed transitions depend on the role)
+router.patch('/:id/status', verifyToken, ensureDBConnection, validate(updateStatusRules), async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, reason = '' } = req.body;
     const application = await LoanApplication.findById(req.params.id);
 
     if (!application) {
       return res.status(404).json({ message: 'Application not found' });
     }
 
-    application.status = status;
+    if (req.user.role === 'borrower' && application.userId.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const transitionError = getTransitionError(application, status, req.user.role);
+    if (transitionError) {
+      return res.status(400).json({ message: transitionError });
+    }
+
+    if (application.status === 'Draft' && status === 'Submitted') {
+      return res.status(400).json({ message: 'Submit drafts with POST /api/applications/:id/submit' });
+    }
+
+    if (status === 'Disbursed') {
+      return res.status(400).json({ message: 'Record disbursements with POST /api/applications/:id/disbursements' });
+    }
+
+    if (status === 'Needs Info' && !reason) {
+      return res.status(400).json({ message: 'Please describe the information needed' });
+    }
+
+    if (status === 'Approved') {
+      const loan = await Loan.findById(application.loanId).select('requiredDocuments');
+      const unverified = getUnverifiedDocuments(application, loan?.requiredDocuments);
+      if (unverified.length > 0) {
+        return res.status(400).json({ message: `Required documents not verified: ${unverified.join(', ')}` });
+      }
+    }
+
+    if (status === 'Withdrawn') {
+      await withdrawApplication(application, { userId: req.user.userId, role: req.user.role, reason });
+      await application.save();
+      return res.json(toApplicationResponse(application, req.user));
+    }
+
+    transitionApplication(application, status, { actor: req.user.userId, actorRole: req.user.role, reason });
+    if (status === 'Submitted') {
+      await refreshRiskAssessment(application);
+      await refreshFraudFlags(application);
+    }
+    // Starting a review claims an unassigned application
+    if (status === 'Under Review' && !application.assignedTo) {
+      assignReviewer(application, req.user.userId);
+    }
     if (status === 'Approved') {
       application.approvedAt = new Date();
-      // Calculate total amount with interest
-      const interestAmount = (application.loanAmount * application.interestRate) / 100;
-      application.totalAmount = application.loanAmount + interestAmount;
-      application.remainingAmount = application.totalAmount;
-      application.repaymentStatus = 'Pending';
+
+      // Fix the EMI term now; the installment plan is built once the loan is disbursed
+      const loan = await Loan.findById(application.loanId).select('emiPlans');
+      application.emiPlan = resolveEmiPlan(application, loan);
+      queueDomainEvent(application, DOMAIN_EVENTS.APPLICATION_APPROVED);
+    }
+
+    if (status === 'Rejected') {
+      queueDomainEvent(application, DOMAIN_EVENTS.APPLICATION_REJECTED, { reason });
+    }
+
+    if (status === 'Rejected' && getRefundPolicy().onRejection === 'auto' && !getRefundBlocker(application)) {
+      await refundApplicationFee(application, {
+        reason: 'Application rejected',
+        requestedBy: req.user.userId,
+      });
+    }
+    await application.save();
+
+    res.json(toApplicationResponse(application, req.user));
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Claim an application for review (Manager/Admin)
+router.post('/:id/claim', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(applicationIdRules), async (req, res) => {
+  try {
+    const application = await LoanApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (!REVIEW_STATUSES.includes(application.status)) {
+      return res.status(400).json({ message: `${application.status} applications are not awaiting review` });
+    }
+
+    if (application.assignedTo?.toString() === req.user.userId) {
+      return res.json(application);
+    }
+
+    if (application.assignedTo) {
+      return res.status(409).json({ message: 'Application is already assigned to another reviewer' });
+    }
+
+    assignReviewer(application, req.user.userId);
+    await application.save();
+
+    res.json(application);
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Release an application back to the unassigned pool (assignee or Admin)
+router.post('/:id/release', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(applicationIdRules), async (req, res) => {
+  try {
+    const application = await LoanApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (!application.assignedTo) {
+      return res.status(400).json({ message: 'Application is not assigned' });
+    }
+
+    if (application.assignedTo.toString() !== req.user.userId && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only the assigned reviewer or an admin can release this application' });
+    }
+
+    assignReviewer(application, null);
+    await application.save();
+
+    res.json(application);
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Assign an application to a reviewer (Manager/Admin)
+router.put('/:id/assignee', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(assignReviewerRules), async (req, res) => {
+  try {
+    const { reviewerId } = req.body;
+    const application = await LoanApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
     }
+
+    if (!REVIEW_STATUSES.includes(application.status)) {
+      return res.status(400).json({ message: `${application.status} applications are not awaiting review` });
+    }
+
+    const reviewer = await User.findById(reviewerId).select('role isSuspended');
+    if (!reviewer || !isStaff(reviewer) || reviewer.isSuspended) {
+      return res.status(400).json({ message: 'Reviewer must be an active manager or admin' });
+    }
+
+    assignReviewer(application, reviewer._id);
     await application.save();
 
     res.json(application);
   } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Recompute the risk score (Manager/Admin)
+router.post('/:id/score', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(applicationIdRules), async (req, res) => {
+  try {
+    const application = await LoanApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    const riskAssessment = await scoreApplication(application);
+    await application.save();
+
+    res.json(riskAssessment);
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Record funds sent to the borrower, in full or as one tranche (Manager/Admin).
+// amount defaults to the undisbursed balance and disbursedAt to today.
+router.post('/:id/disbursements', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(recordDisbursementRules), idempotency, async (req, res) => {
+  try {
+    const application = await LoanApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    const tranche = {
+      amount: req.body.amount ?? getUndisbursedAmount(application),
+      method: req.body.method,
+      reference: req.body.reference,
+      disbursedAt: req.body.disbursedAt ? new Date(req.body.disbursedAt) : new Date(),
+    };
+
+    const disbursementError = getDisbursementError(application, tranche);
+    if (disbursementError) {
+      return res.status(400).json({ message: disbursementError });
+    }
+
+    recordDisbursement(application, { ...tranche, recordedBy: req.user.userId, recordedByRole: req.user.role });
+    await application.save();
+
+    res.status(201).json({
+      status: application.status,
+      disbursedAmount: application.disbursedAmount,
+      undisbursedAmount: getUndisbursedAmount(application),
+      disbursedAt: application.disbursedAt,
+      disbursements: application.disbursements,
+      installments: application.installments,
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Record the outcome of a fraud review (Manager/Admin)
+router.patch('/:id/fraud-review', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(fraudReviewRules), async (req, res) => {
+  try {
+    const application = await LoanApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (application.fraudFlags.length === 0) {
+      return res.status(400).json({ message: 'Application has no fraud flags to review' });
+    }
+
+    application.fraudReview = {
+      status: req.body.status,
+      reviewedBy: req.user.userId,
+      reviewedAt: new Date(),
+      note: req.body.note || '',
+    };
+    await application.save();
+
+    res.json({ fraudFlags: application.fraudFlags, fraudReview: application.fraudReview });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
     res.status(500).json({ message: error.message });
   }
 });
 
 // Cancel application (Borrower)
-router.delete('/:id', verifyToken, ensureDBConnection, async (req, res) => {
+router.delete('/:id', verifyToken, ensureDBConnection, validate(withdrawApplicationRules), async (req, res) => {
   try {
     const application = await LoanApplication.findById(req.params.id);
 
@@ -164,12 +781,28 @@ router.delete('/:id', verifyToken, ensureDBConnection, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    if (application.status !== 'Pending') {
-      return res.status(400).json({ message: 'Can only cancel pending applications' });
+    const transitionError = getTransitionError(application, 'Withdrawn', 'borrower');
+    if (transitionError) {
+      return res.status(400).json({ message: transitionError });
+    }
+
+    // Unpaid applications that were never reviewed leave no trace and can simply be removed
+    if (application.applicationFeeStatus !== 'Paid' && ['Draft', 'Submitted'].includes(application.status)) {
+      await LoanApplication.findByIdAndDelete(req.params.id);
+      await removeDocumentFiles(application);
+      await ApplicationComment.deleteMany({ applicationId: application._id });
+      return res.json({ message: 'Application cancelled successfully' });
     }
 
-    await LoanApplication.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Application cancelled successfully' });
+    // Otherwise keep it so the fee, any refund and the review history stay on record
+    await withdrawApplication(application, {
+      userId: req.user.userId,
+      role: req.user.role,
+      reason: req.body?.reason || '',
+    });
+    await application.save();
+
+    res.json({ message: 'Application cancelled successfully', application });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
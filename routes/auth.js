@@ -3,7 +3,61 @@ import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import { connectDB } from '../db.js';
+import { verifyAccountToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  changePasswordRules,
+  forgotPasswordRules,
+  googleLoginRules,
+  loginRules,
+  refreshRules,
+  registerRules,
+  resetPasswordRules,
+  sessionIdRules,
+  twoFactorConfirmRules,
+  twoFactorDisableRules,
+  twoFactorLoginRules,
+  twoFactorVerifyRules,
+  verifyEmailRules,
+} from '../validators/auth.js';
+import { sendPasswordResetEmail } from '../utils/emailService.js';
+import { GoogleAuthError, verifyGoogleIdToken } from '../utils/googleAuth.js';
+import {
+  getResendWait,
+  isEmailVerified,
+  sendVerificationLink,
+  verifyEmailToken,
+} from '../utils/emailVerification.js';
+import {
+  createPasswordResetToken,
+  findUserByResetToken,
+  getResetTokenLifetime,
+  setPassword,
+} from '../utils/passwords.js';
+import {
+  SessionError,
+  createSession,
+  getActiveSessions,
+  getTokenLifetimes,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  signAccessToken,
+} from '../utils/sessions.js';
+import {
+  confirmEnrollment,
+  createChallengeToken,
+  disableTwoFactor,
+  generateRecoveryCodes,
+  getLockoutWait,
+  isTwoFactorEnabled,
+  isTwoFactorRequired,
+  startEnrollment,
+  verifyChallengeToken,
+  verifySecondFactor,
+} from '../utils/twoFactor.js';
 
 const router = express.Router();
 
@@ -32,6 +86,51 @@ const ensureDBConnection = async (req, res, next) => {
   }
 };
 
+// Cookie settings with cross-origin support
+const cookieOptions = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: isProduction, // Must be true for sameSite: 'none'
+    sameSite: isProduction ? 'none' : 'lax', // 'none' for cross-origin in production
+    path: '/',
+  };
+};
+
+// The refresh token cookie is only sent to the auth routes
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Without a refresh token only the access token cookie is replaced
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const { accessMs, refreshMs } = getTokenLifetimes();
+  res.cookie('token', accessToken, { ...cookieOptions(), maxAge: accessMs });
+  if (refreshToken) {
+    res.cookie('refreshToken', refreshToken, { ...cookieOptions(), path: REFRESH_COOKIE_PATH, maxAge: refreshMs });
+  }
+};
+
+// Second step of login for accounts with two-factor authentication
+const twoFactorChallenge = (res, user) =>
+  res.json({
+    message: 'Two-factor authentication required',
+    twoFactorRequired: true,
+    challengeToken: createChallengeToken(user),
+  });
+
+// 429 while codes are locked out after too many wrong ones
+const twoFactorLockedOut = (res, user) => {
+  const wait = getLockoutWait(user);
+  if (wait === 0) return false;
+  res.set('Retry-After', String(wait));
+  res.status(429).json({ message: `Too many incorrect codes. Please wait ${Math.ceil(wait / 60)} minutes and try again.`, retryAfter: wait });
+  return true;
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie('token', cookieOptions());
+  res.clearCookie('refreshToken', { ...cookieOptions(), path: REFRESH_COOKIE_PATH });
+};
+
 // Test MongoDB connection endpoint
 router.get('/test-db', async (req, res) => {
   try {
@@ -64,17 +163,10 @@ router.get('/test-db', async (req, res) => {
 });
 
 // Register
-router.post('/register', ensureDBConnection, async (req, res) => {
+router.post('/register', ensureDBConnection, validate(registerRules), async (req, res) => {
   try {
 
-    const { name, email, photoURL, role, password } = req.body;
-
-    // Validate required fields
-    if (!name || !email || !password) {
-      return res.status(400).json({ 
-        message: 'Name, email, and password are required' 
-      });
-    }
+    const { name, email, photoURL, password } = req.body;
 
     // Check if user exists
     const existingUser = await User.findOne({ email });
@@ -90,38 +182,35 @@ router.post('/register', ensureDBConnection, async (req, res) => {
       name,
       email,
       photoURL: photoURL || '',
-      role: role || 'borrower',
+      role: 'borrower',
       password: hashedPassword,
+      emailVerified: false,
     });
 
     await user.save();
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
-
-    // Set cookie with cross-origin support
-    const isProduction = process.env.NODE_ENV === 'production';
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: isProduction, // Must be true for sameSite: 'none'
-      sameSite: isProduction ? 'none' : 'lax', // 'none' for cross-origin in production
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      path: '/',
-    });
+    // The account works straight away, but borrowers can't apply or pay until they confirm
+    try {
+      await sendVerificationLink(user);
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+    }
+
+    // Start a session
+    const { accessToken, refreshToken } = await createSession(user, req);
+    setAuthCookies(res, { accessToken, refreshToken });
 
     res.status(201).json({
       message: 'User registered successfully',
-      token: token, // Also send token in response for Authorization header fallback
+      token: accessToken, // Also send tokens in response for Authorization header fallback
+      refreshToken,
       user: {
         _id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
         photoURL: user.photoURL,
+        emailVerified: isEmailVerified(user),
       },
     });
   } catch (error) {
@@ -167,17 +256,10 @@ router.post('/register', ensureDBConnection, async (req, res) => {
 });
 
 // Login
-router.post('/login', ensureDBConnection, async (req, res) => {
+router.post('/login', ensureDBConnection, validate(loginRules), async (req, res) => {
   try {
 
-    // Validate request body
     const { email, password } = req.body;
-    
-    if (!email || !password) {
-      return res.status(400).json({ 
-        message: 'Email and password are required' 
-      });
-    }
 
     // Find user
     let user;
@@ -204,34 +286,34 @@ router.post('/login', ensureDBConnection, async (req, res) => {
       });
     }
 
-    // Handle Google authentication (password starts with 'google-auth')
-    const isGoogleAuth = password && password.startsWith('google-auth');
-    
-    if (!isGoogleAuth) {
-      // Verify password for regular login
-      // Check if user has a password (for Google users who might not have password)
-      if (!user.password) {
-        return res.status(401).json({ 
-          message: 'Invalid credentials. Please use Google login.' 
-        });
-      }
+    // Google accounts sign in with POST /api/auth/google until they set a password
+    if (!user.password) {
+      return res.status(401).json({ 
+        message: 'Invalid credentials. Please use Google login.' 
+      });
+    }
 
-      try {
-        const isValidPassword = await bcrypt.compare(password, user.password);
-        if (!isValidPassword) {
-          return res.status(401).json({ message: 'Invalid credentials' });
-        }
-      } catch (bcryptError) {
-        console.error('Password comparison error:', bcryptError);
-        return res.status(500).json({ 
-          message: 'Authentication error. Please try again.',
-          error: process.env.NODE_ENV === 'development' ? bcryptError.message : undefined
-        });
+    try {
+      const isValidPassword = await bcrypt.compare(password, user.password);
+      if (!isValidPassword) {
+        return res.status(401).json({ message: 'Invalid credentials' });
       }
+    } catch (bcryptError) {
+      console.error('Password comparison error:', bcryptError);
+      return res.status(500).json({ 
+        message: 'Authentication error. Please try again.',
+        error: process.env.NODE_ENV === 'development' ? bcryptError.message : undefined
+      });
     }
 
-    // Generate token
-    let token;
+    // Accounts with two-factor authentication finish with POST /login/2fa
+    if (isTwoFactorEnabled(user)) {
+      return twoFactorChallenge(res, user);
+    }
+
+    // Start a session
+    let accessToken;
+    let refreshToken;
     try {
       const jwtSecret = process.env.JWT_SECRET;
       if (!jwtSecret || jwtSecret === 'your-secret-key') {
@@ -241,29 +323,17 @@ router.post('/login', ensureDBConnection, async (req, res) => {
         });
       }
 
-      token = jwt.sign(
-        { userId: user._id.toString(), email: user.email, role: user.role },
-        jwtSecret,
-        { expiresIn: '7d' }
-      );
+      ({ accessToken, refreshToken } = await createSession(user, req));
     } catch (jwtError) {
-      console.error('JWT token generation error:', jwtError);
+      console.error('Session creation error:', jwtError);
       return res.status(500).json({ 
         message: 'Token generation failed. Please try again.',
         error: process.env.NODE_ENV === 'development' ? jwtError.message : undefined
       });
     }
 
-    // Set cookie with cross-origin support
-    const isProduction = process.env.NODE_ENV === 'production';
     try {
-      res.cookie('token', token, {
-        httpOnly: true,
-        secure: isProduction, // Must be true for sameSite: 'none'
-        sameSite: isProduction ? 'none' : 'lax', // 'none' for cross-origin in production
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-        path: '/',
-      });
+      setAuthCookies(res, { accessToken, refreshToken });
     } catch (cookieError) {
       console.error('Cookie setting error:', cookieError);
       // Cookie error is not critical, continue with response
@@ -272,13 +342,16 @@ router.post('/login', ensureDBConnection, async (req, res) => {
     // Send response with token for Authorization header fallback
     res.json({
       message: 'Login successful',
-      token: token, // Also send token in response for Authorization header fallback
+      token: accessToken, // Also send tokens in response for Authorization header fallback
+      refreshToken,
+      twoFactorSetupRequired: await isTwoFactorRequired(user.role),
       user: {
         _id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
         photoURL: user.photoURL,
+        emailVerified: isEmailVerified(user),
       },
     });
   } catch (error) {
@@ -324,63 +397,550 @@ router.post('/login', ensureDBConnection, async (req, res) => {
   }
 });
 
-// Logout
-router.post('/logout', (req, res) => {
+// Sign in with a Google ID token. Links the Google account to an existing user with the same
+// email, or creates a borrower account.
+router.post('/google', ensureDBConnection, validate(googleLoginRules), async (req, res) => {
   try {
-    const isProduction = process.env.NODE_ENV === 'production';
-    // Clear cookie with same settings as login
-    res.clearCookie('token', {
-      httpOnly: true,
-      secure: isProduction,
-      sameSite: isProduction ? 'none' : 'lax',
-      path: '/',
+    let claims;
+    try {
+      claims = await verifyGoogleIdToken(req.body.idToken);
+    } catch (error) {
+      if (error instanceof GoogleAuthError) {
+        return res.status(error.configuration ? 503 : 401).json({ message: error.message });
+      }
+      console.error('Google key fetch error:', error);
+      return res.status(503).json({ message: 'Google sign-in is unavailable. Please try again later.' });
+    }
+
+    let user = await User.findOne({ googleId: claims.sub });
+    let created = false;
+
+    if (!user) {
+      user = await User.findOne({ email: claims.email });
+
+      if (user?.googleId) {
+        return res.status(409).json({ message: 'This account is linked to a different Google account' });
+      }
+
+      if (user) {
+        // Google has verified the address, so it is safe to link
+        user.googleId = claims.sub;
+        if (user.emailVerified !== true) {
+          user.emailVerified = true;
+          user.emailVerifiedAt = new Date();
+        }
+      } else {
+        user = new User({
+          name: claims.name || claims.email.split('@')[0],
+          email: claims.email,
+          photoURL: claims.picture || '',
+          role: 'borrower',
+          authProvider: 'google',
+          googleId: claims.sub,
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+        });
+        created = true;
+      }
+
+      try {
+        await user.save();
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // A concurrent sign-in with the same Google account linked or created it first
+        user = await User.findOne({ googleId: claims.sub });
+        created = false;
+        if (!user) {
+          return res.status(409).json({ message: 'Could not link this Google account. Please try again.' });
+        }
+      }
+    }
+
+    if (user.isSuspended) {
+      return res.status(403).json({ 
+        message: 'Account suspended',
+        reason: user.suspendReason,
+        feedback: user.suspendFeedback,
+      });
+    }
+
+    if (isTwoFactorEnabled(user)) {
+      return twoFactorChallenge(res, user);
+    }
+
+    const { accessToken, refreshToken } = await createSession(user, req);
+    setAuthCookies(res, { accessToken, refreshToken });
+
+    res.status(created ? 201 : 200).json({
+      message: 'Login successful',
+      token: accessToken, // Also send tokens in response for Authorization header fallback
+      refreshToken,
+      twoFactorSetupRequired: await isTwoFactorRequired(user.role),
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        photoURL: user.photoURL,
+        emailVerified: isEmailVerified(user),
+        authProvider: user.authProvider,
+      },
     });
-    res.json({ message: 'Logout successful' });
   } catch (error) {
-    console.error('Logout error:', error);
-    // Even if cookie clearing fails, return success (user is logged out on client side)
-    res.json({ message: 'Logout successful' });
+    console.error('Google login error:', error);
+    res.status(500).json({ 
+      message: 'Google login failed. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
 });
 
-// Get current user
-router.get('/me', ensureDBConnection, async (req, res) => {
+// Finish a two-factor login: the challenge token from /login (or /google) plus a code from the
+// authenticator app or a recovery code
+router.post('/login/2fa', ensureDBConnection, validate(twoFactorLoginRules), async (req, res) => {
   try {
+    const userId = verifyChallengeToken(req.body.challengeToken);
+    const user = userId && await User.findById(userId);
 
-    const token = req.cookies.token || req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ message: 'Not authenticated' });
+    if (!user || !isTwoFactorEnabled(user)) {
+      return res.status(401).json({ message: 'Login expired. Please login again.', code: 'TWO_FACTOR_CHALLENGE_EXPIRED' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId).select('-password');
-    
+    if (user.isSuspended) {
+      return res.status(403).json({ 
+        message: 'Account suspended',
+        reason: user.suspendReason,
+        feedback: user.suspendFeedback,
+      });
+    }
+
+    if (twoFactorLockedOut(res, user)) return;
+
+    const method = verifySecondFactor(user, req.body);
+    await user.save();
+
+    if (!method) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    const { accessToken, refreshToken } = await createSession(user, req, { twoFactorVerified: true });
+    setAuthCookies(res, { accessToken, refreshToken });
+
+    res.json({
+      message: 'Login successful',
+      token: accessToken, // Also send tokens in response for Authorization header fallback
+      refreshToken,
+      ...(method === 'recovery' && { recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length }),
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        photoURL: user.photoURL,
+        emailVerified: isEmailVerified(user),
+        authProvider: user.authProvider,
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ 
+      message: 'Login failed. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Two-factor status for the current user
+router.get('/2fa', verifyAccountToken, ensureDBConnection, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('role twoFactor');
+
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Also send token in response for frontend to store (if not already in localStorage)
-    // This helps users who logged in before the localStorage fix
     res.json({
-      ...user.toObject(),
-      token: token, // Include token so frontend can store it
+      enabled: isTwoFactorEnabled(user),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodeHashes?.length || 0,
+      required: await isTwoFactorRequired(user.role),
     });
   } catch (error) {
-    console.error('Get current user error:', error);
-    // Check if it's a JWT error
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({ message: 'Invalid or expired token' });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Start enrollment: returns the secret and an otpauth:// URI for the client to show as a QR code
+router.post('/2fa/setup', verifyAccountToken, ensureDBConnection, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (isTwoFactorEnabled(user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
     }
+
+    const { secret, otpauthUri } = startEnrollment(user);
+    await user.save();
+
+    res.json({ secret, otpauthUri });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Confirm enrollment with a code from the app. Returns the recovery codes (shown only once),
+// counts the current session as verified and signs out every other session.
+router.post('/2fa/confirm', verifyAccountToken, ensureDBConnection, validate(twoFactorConfirmRules), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (isTwoFactorEnabled(user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const recoveryCodes = confirmEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    await user.save();
+
+    const session = await Session.findByIdAndUpdate(req.user.sid, { twoFactorVerified: true }, { new: true });
+    await revokeUserSessions(user._id, 'Two-factor authentication enabled', { except: req.user.sid });
+
+    const accessToken = signAccessToken(user, session);
+    setAuthCookies(res, { accessToken });
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes, token: accessToken });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Replace the recovery codes (needs a current code)
+router.post('/2fa/recovery-codes', verifyAccountToken, ensureDBConnection, validate(twoFactorVerifyRules), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (twoFactorLockedOut(res, user)) return;
+
+    const method = verifySecondFactor(user, req.body);
+    const recoveryCodes = method && generateRecoveryCodes(user);
+    await user.save();
+
+    if (!method) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    res.json({ message: 'Recovery codes replaced', recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Turn two-factor authentication off (needs a current code, and the password for password accounts).
+// Not allowed while the security policy requires it for the user's role.
+router.post('/2fa/disable', verifyAccountToken, ensureDBConnection, validate(twoFactorDisableRules), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    if (user.password && !(await bcrypt.compare(req.body.password || '', user.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (twoFactorLockedOut(res, user)) return;
+
+    const method = verifySecondFactor(user, req.body);
+    if (method) disableTwoFactor(user);
+    await user.save();
+
+    if (!method) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Confirm an email address with the emailed token
+router.post('/verify-email', ensureDBConnection, validate(verifyEmailRules), async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Email verification failed. Please try again.' });
+  }
+});
+
+// Send a new verification link (throttled)
+router.post('/resend-verification', verifyAccountToken, ensureDBConnection, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (isEmailVerified(user)) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const wait = getResendWait(user);
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ message: `Please wait ${wait} seconds before requesting another email`, retryAfter: wait });
+    }
+
+    await sendVerificationLink(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Could not send the verification email. Please try again.' });
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the account exists.
+router.post('/forgot-password', ensureDBConnection, validate(forgotPasswordRules), async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // At most one email a minute per account
+    const recentlySent = user?.passwordReset?.requestedAt > new Date(Date.now() - 60 * 1000);
+
+    if (user && !user.isSuspended && !recentlySent) {
+      const token = createPasswordResetToken(user);
+      await user.save();
+
+      const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+      const resetUrl = `${clientUrl}/reset-password?token=${token}`;
+      await sendPasswordResetEmail(user, resetUrl, Math.round(getResetTokenLifetime() / 60000));
+    }
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Could not send the reset email. Please try again.' });
+  }
+});
+
+// Set a new password with an emailed reset token and sign out every session
+router.post('/reset-password', ensureDBConnection, validate(resetPasswordRules), async (req, res) => {
+  try {
+    const user = await findUserByResetToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    await setPassword(user, req.body.password);
+    await user.save();
+    await revokeUserSessions(user._id, 'Password reset');
+
+    res.json({ message: 'Password reset successfully. Please login with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Password reset failed. Please try again.' });
+  }
+});
+
+// Change the password and sign out every other session
+router.post('/change-password', verifyAccountToken, ensureDBConnection, validate(changePasswordRules), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.password || !(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ message: 'New password must be different from the current password' });
+    }
+
+    await setPassword(user, newPassword);
+    await user.save();
+    const revoked = await revokeUserSessions(user._id, 'Password changed', { except: req.user.sid });
+
+    res.json({ message: 'Password changed successfully', revokedSessions: revoked });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Password change failed. Please try again.' });
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', ensureDBConnection, validate(refreshRules), async (req, res) => {
+  try {
+    const presented = req.cookies.refreshToken || req.body.refreshToken;
+
+    if (!presented) {
+      return res.status(401).json({ message: 'No refresh token provided.', code: 'SESSION_EXPIRED' });
+    }
+
+    const { session, refreshToken } = await rotateRefreshToken(presented, req);
+    const user = await User.findById(session.userId);
+
+    if (!user || user.isSuspended) {
+      await revokeSession(session, user ? 'Account suspended' : 'User not found');
+      clearAuthCookies(res);
+      return res.status(401).json({ message: 'Session expired. Please login again.', code: 'SESSION_EXPIRED' });
+    }
+
+    const accessToken = signAccessToken(user, session);
+    setAuthCookies(res, { accessToken, refreshToken });
+
+    res.json({ token: accessToken, refreshToken });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: error.message, code: error.code });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Token refresh failed. Please login again.' });
+  }
+});
+
+// Logout: end the current session and clear the cookies
+router.post('/logout', async (req, res) => {
+  try {
+    // The access token may already have expired; its session ID is still good for revoking
+    const token = req.cookies.token || req.headers.authorization?.split(' ')[1];
+    let [sessionId] = String(req.cookies.refreshToken || '').split('.');
+    if (token) {
+      try {
+        sessionId = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', { ignoreExpiration: true }).sid || sessionId;
+      } catch (error) {
+        // Invalid token - fall back to the refresh token's session
+      }
+    }
+
+    if (mongoose.Types.ObjectId.isValid(sessionId)) {
+      if (mongoose.connection.readyState !== 1) {
+        await connectDB();
+      }
+      const session = await Session.findById(sessionId);
+      if (session) await revokeSession(session, 'Logged out');
+    }
+  } catch (error) {
+    console.error('Logout error:', error);
+    // Even if revoking fails, clear the cookies (user is logged out on client side)
+  }
+
+  clearAuthCookies(res);
+  res.json({ message: 'Logout successful' });
+});
+
+// List the current user's active sessions
+router.get('/sessions', verifyAccountToken, ensureDBConnection, async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user.userId);
+
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.toString() === req.user.sid,
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Sign out everywhere else
+router.delete('/sessions', verifyAccountToken, ensureDBConnection, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.userId, 'Signed out from another session', { except: req.user.sid });
+
+    res.json({ message: 'Other sessions revoked', revoked });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:sessionId', verifyAccountToken, ensureDBConnection, validate(sessionIdRules), async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, userId: req.user.userId });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session, 'Revoked by user');
+    if (session._id.toString() === req.user.sid) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get current user
+router.get('/me', verifyAccountToken, ensureDBConnection, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+      .select('-password -passwordReset -emailVerification -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodeHashes');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ ...user.toObject(), emailVerified: isEmailVerified(user) });
+  } catch (error) {
+    console.error('Get current user error:', error);
     // Check if it's a database connection error
     if (error.name === 'MongoServerError' || error.message.includes('MongoServerError')) {
       return res.status(500).json({ 
         message: 'Database connection error. Please check your MongoDB connection.' 
       });
     }
-    res.status(401).json({ message: 'Invalid token' });
+    res.status(500).json({ message: error.message });
   }
 });
 
 export default router;
-
@@ -0,0 +1,149 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ApplicationComment from '../models/ApplicationComment.js';
+import LoanApplication from '../models/LoanApplication.js';
+import User from '../models/User.js';
+import { verifyToken } from '../middleware/auth.js';
+import { connectDB } from '../db.js';
+import { getInvalidMentions, getVisibleCommentsFilter, markCommentsRead } from '../utils/comments.js';
+import { validate } from '../middleware/validate.js';
+import { createCommentRules, listCommentsRules } from '../validators/applications.js';
+
+// Mounted at /api/applications/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// Middleware to ensure database connection
+const ensureDBConnection = async (req, res, next) => {
+  try {
+    // Check if connected
+    if (mongoose.connection.readyState !== 1) {
+      // Try to connect
+      await connectDB();
+    }
+
+    // Check again after connection attempt
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        message: 'Database connection error. Please try again later.',
+        error: process.env.NODE_ENV === 'development' ? 'MongoDB not connected' : undefined
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Database connection error:', error);
+    return res.status(503).json({
+      message: 'Database connection error. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'manager';
+
+const toCommentResponse = (comment, user) => ({
+  _id: comment._id,
+  authorId: comment.authorId,
+  authorName: comment.authorName,
+  authorRole: comment.authorRole,
+  visibility: comment.visibility,
+  body: comment.body,
+  mentions: comment.mentions,
+  isRead: comment.readBy.some(id => id.toString() === user.userId),
+  createdAt: comment.createdAt,
+});
+
+// Load the application and check the caller may take part in its thread
+const loadApplication = async (req, res) => {
+  const application = await LoanApplication.findById(req.params.id).select('userId status');
+
+  if (!application) {
+    res.status(404).json({ message: 'Application not found' });
+    return null;
+  }
+
+  if (!isStaff(req.user) && application.userId.toString() !== req.user.userId) {
+    res.status(403).json({ message: 'Not authorized' });
+    return null;
+  }
+
+  return application;
+};
+
+// List an application's comments, oldest first, and mark them read.
+// Borrowers only see the conversation; staff also see internal notes.
+router.get('/', verifyToken, ensureDBConnection, validate(listCommentsRules), async (req, res) => {
+  try {
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    const { page = 1, limit = 50 } = req.query;
+    const query = { applicationId: application._id, ...getVisibleCommentsFilter(req.user) };
+
+    const comments = await ApplicationComment.find(query)
+      .sort({ createdAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ApplicationComment.countDocuments(query);
+
+    await markCommentsRead(comments.map(comment => comment._id), req.user);
+
+    res.json({
+      comments: comments.map(comment => toCommentResponse(comment, req.user)),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Add an internal note (Manager/Admin) or a message in the borrower conversation
+router.post('/', verifyToken, ensureDBConnection, validate(createCommentRules), async (req, res) => {
+  try {
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    // Nobody but the borrower can see a draft
+    if (application.status === 'Draft') {
+      return res.status(400).json({ message: 'Submit the application before adding comments' });
+    }
+
+    const { body, visibility = 'internal', mentions = [] } = req.body;
+
+    if (!isStaff(req.user)) {
+      if (req.body.visibility === 'internal' || mentions.length > 0) {
+        return res.status(403).json({ message: 'Borrowers can only post messages without mentions' });
+      }
+    } else {
+      const invalidMentions = await getInvalidMentions(mentions);
+      if (invalidMentions.length > 0) {
+        return res.status(422).json({
+          message: 'Validation failed',
+          errors: invalidMentions.map(id => ({ field: 'mentions', message: `${id} is not an active admin or manager` })),
+        });
+      }
+    }
+
+    const author = await User.findById(req.user.userId).select('name');
+
+    const comment = await ApplicationComment.create({
+      applicationId: application._id,
+      authorId: req.user.userId,
+      authorName: author?.name || '',
+      authorRole: req.user.role,
+      visibility: isStaff(req.user) ? visibility : 'borrower',
+      body,
+      mentions: [...new Set(mentions)],
+      readBy: [req.user.userId],
+    });
+
+    res.status(201).json(toCommentResponse(comment, req.user));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
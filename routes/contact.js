@@ -4,6 +4,13 @@ import ContactMessage from '../models/ContactMessage.js';
 import { verifyToken, checkRole } from '../middleware/auth.js';
 import { connectDB } from '../db.js';
 import { sendContactReply } from '../utils/emailService.js';
+import { validate } from '../middleware/validate.js';
+import {
+  createMessageRules,
+  listMessagesRules,
+  messageIdRules,
+  updateMessageStatusRules,
+} from '../validators/contact.js';
 
 const router = express.Router();
 
@@ -30,16 +37,10 @@ const ensureDBConnection = async (req, res, next) => {
 };
 
 // Submit contact message (Public, but can accept optional token for logged-in users)
-router.post('/', ensureDBConnection, async (req, res) => {
+router.post('/', ensureDBConnection, validate(createMessageRules), async (req, res) => {
   try {
     const { name, email, subject, message } = req.body;
 
-    if (!name || !email || !subject || !message) {
-      return res.status(400).json({ 
-        message: 'All fields are required' 
-      });
-    }
-
     // Check if user is logged in (optional token)
     let userId = null;
     try {
@@ -82,7 +83,7 @@ router.post('/', ensureDBConnection, async (req, res) => {
 });
 
 // Get all contact messages (Admin and Manager)
-router.get('/', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, async (req, res) => {
+router.get('/', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(listMessagesRules), async (req, res) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
     let query = {};
@@ -111,7 +112,7 @@ router.get('/', verifyToken, checkRole('admin', 'manager'), ensureDBConnection,
 });
 
 // Get user's own messages (Logged-in users) - MUST come before /:id route
-router.get('/my-messages', verifyToken, ensureDBConnection, async (req, res) => {
+router.get('/my-messages', verifyToken, ensureDBConnection, validate(listMessagesRules), async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
 
@@ -135,7 +136,7 @@ router.get('/my-messages', verifyToken, ensureDBConnection, async (req, res) =>
 });
 
 // Get single user message (Logged-in users can view their own messages) - MUST come before /:id route
-router.get('/my-messages/:id', verifyToken, ensureDBConnection, async (req, res) => {
+router.get('/my-messages/:id', verifyToken, ensureDBConnection, validate(messageIdRules), async (req, res) => {
   try {
     const message = await ContactMessage.findOne({
       _id: req.params.id,
@@ -154,7 +155,7 @@ router.get('/my-messages/:id', verifyToken, ensureDBConnection, async (req, res)
 });
 
 // Get single contact message (Admin and Manager)
-router.get('/:id', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, async (req, res) => {
+router.get('/:id', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(messageIdRules), async (req, res) => {
   try {
     const message = await ContactMessage.findById(req.params.id);
     
@@ -176,7 +177,7 @@ router.get('/:id', verifyToken, checkRole('admin', 'manager'), ensureDBConnectio
 });
 
 // Update message status (Admin and Manager)
-router.patch('/:id/status', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, async (req, res) => {
+router.patch('/:id/status', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(updateMessageStatusRules), async (req, res) => {
   try {
     const { status, replyMessage } = req.body;
     const message = await ContactMessage.findById(req.params.id);
@@ -224,7 +225,7 @@ router.patch('/:id/status', verifyToken, checkRole('admin', 'manager'), ensureDB
 });
 
 // Delete contact message (Admin and Manager)
-router.delete('/:id', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, async (req, res) => {
+router.delete('/:id', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(messageIdRules), async (req, res) => {
   try {
     const message = await ContactMessage.findByIdAndDelete(req.params.id);
     
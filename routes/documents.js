@@ -0,0 +1,325 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import LoanApplication from '../models/LoanApplication.js';
+import Loan from '../models/Loan.js';
+import { verifyToken, checkRole } from '../middleware/auth.js';
+import { connectDB } from '../db.js';
+import { getStorage } from '../utils/storage/index.js';
+import {
+  ALLOWED_MIME_TYPES,
+  buildDocumentKey,
+  getMaxDocumentSize,
+  matchesFileSignature,
+} from '../utils/documents.js';
+import { OPEN_STATUSES } from '../utils/applicationWorkflow.js';
+import { validate } from '../middleware/validate.js';
+import {
+  applicationIdRules,
+  documentIdRules,
+  reviewDocumentRules,
+  uploadDocumentRules,
+} from '../validators/applications.js';
+
+// Mounted at /api/applications/:id/documents
+const router = express.Router({ mergeParams: true });
+
+// Middleware to ensure database connection
+const ensureDBConnection = async (req, res, next) => {
+  try {
+    // Check if connected
+    if (mongoose.connection.readyState !== 1) {
+      // Try to connect
+      await connectDB();
+    }
+    
+    // Check again after connection attempt
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ 
+        message: 'Database connection error. Please try again later.',
+        error: process.env.NODE_ENV === 'development' ? 'MongoDB not connected' : undefined
+      });
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Database connection error:', error);
+    return res.status(503).json({ 
+      message: 'Database connection error. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Single file in the "file" field, held in memory until it is written to storage
+const uploadFile = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxDocumentSize(), files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+        return cb(Object.assign(new Error(`Unsupported file type. Allowed: ${ALLOWED_MIME_TYPES.join(', ')}`), {
+          code: 'UNSUPPORTED_MEDIA_TYPE',
+        }));
+      }
+      cb(null, true);
+    },
+  }).single('file');
+
+  upload(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `File is too large (max ${getMaxDocumentSize() / 1024 / 1024} MB)` });
+    }
+    if (error.code === 'UNSUPPORTED_MEDIA_TYPE') {
+      return res.status(415).json({ message: error.message });
+    }
+    return res.status(400).json({ message: error.message });
+  });
+};
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'manager';
+
+const toDocumentResponse = (document) => ({
+  _id: document._id,
+  name: document.name,
+  originalName: document.originalName,
+  mimeType: document.mimeType,
+  size: document.size,
+  status: document.status,
+  rejectionReason: document.rejectionReason,
+  uploadedAt: document.uploadedAt,
+  reviewedAt: document.reviewedAt,
+});
+
+// List an application's documents alongside the product's required documents
+router.get('/', verifyToken, ensureDBConnection, validate(applicationIdRules), async (req, res) => {
+  try {
+    const application = await LoanApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (!isStaff(req.user) && application.userId.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const loan = await Loan.findById(application.loanId).select('requiredDocuments');
+
+    res.json({
+      requiredDocuments: loan?.requiredDocuments || [],
+      documents: application.documents.map(toDocumentResponse),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Upload (or replace) a required document (Borrower)
+router.post('/', verifyToken, checkRole('borrower'), ensureDBConnection, uploadFile, validate(uploadDocumentRules), async (req, res) => {
+  try {
+    const { name } = req.body;
+    const storage = getStorage();
+
+    if (!storage) {
+      return res.status(503).json({ message: 'Document storage is not configured' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please attach a file' });
+    }
+
+    if (!matchesFileSignature(req.file.buffer, req.file.mimetype)) {
+      return res.status(415).json({ message: 'File content does not match its type' });
+    }
+
+    const application = await LoanApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (application.userId.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!OPEN_STATUSES.includes(application.status)) {
+      return res.status(400).json({ message: `Documents cannot be changed once an application is ${application.status}` });
+    }
+
+    const loan = await Loan.findById(application.loanId).select('requiredDocuments');
+    if (!loan?.requiredDocuments.includes(name)) {
+      return res.status(400).json({ message: 'Document name must be one of the loan\'s required documents' });
+    }
+
+    const existing = application.documents.find(document => document.name === name);
+    if (existing?.status === 'Verified') {
+      return res.status(409).json({ message: `${name} has already been verified` });
+    }
+
+    const document = application.documents.create({
+      name,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      storage: storage.name,
+      uploadedBy: req.user.userId,
+    });
+    document.storageKey = buildDocumentKey(application, document, req.file.originalname);
+
+    await storage.put(document.storageKey, req.file.buffer, { contentType: req.file.mimetype });
+
+    if (existing) {
+      application.documents.pull(existing._id);
+    }
+    application.documents.push(document);
+
+    try {
+      await application.save();
+    } catch (error) {
+      await storage.remove(document.storageKey).catch(() => {});
+      throw error;
+    }
+
+    // The replaced file is no longer referenced
+    if (existing) {
+      await storage.remove(existing.storageKey).catch(error => console.error('Document cleanup error:', error));
+    }
+
+    res.status(201).json(toDocumentResponse(document));
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Download a document
+router.get('/:documentId/file', verifyToken, ensureDBConnection, validate(documentIdRules), async (req, res) => {
+  try {
+    const application = await LoanApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (!isStaff(req.user) && application.userId.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const document = application.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const storage = getStorage();
+    if (!storage) {
+      return res.status(503).json({ message: 'Document storage is not configured' });
+    }
+
+    const stream = await storage.get(document.storageKey);
+
+    res.setHeader('Content-Type', document.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(document.originalName || document.name)}"`);
+    stream.on('error', (error) => {
+      console.error('Document download error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+      return res.status(404).json({ message: 'Document file not found' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Mark a document Verified or Rejected (Manager/Admin)
+router.patch('/:documentId/review', verifyToken, checkRole('admin', 'manager'), ensureDBConnection, validate(reviewDocumentRules), async (req, res) => {
+  try {
+    const { status, reason = '' } = req.body;
+
+    if (!['Verified', 'Rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be Verified or Rejected' });
+    }
+
+    if (status === 'Rejected' && !reason) {
+      return res.status(400).json({ message: 'Please provide a reason for rejecting the document' });
+    }
+
+    const application = await LoanApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (!OPEN_STATUSES.includes(application.status)) {
+      return res.status(400).json({ message: `Documents cannot be changed once an application is ${application.status}` });
+    }
+
+    const document = application.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    document.status = status;
+    document.rejectionReason = status === 'Rejected' ? reason : '';
+    document.reviewedBy = req.user.userId;
+    document.reviewedAt = new Date();
+    await application.save();
+
+    res.json(toDocumentResponse(document));
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete an unverified document (Borrower)
+router.delete('/:documentId', verifyToken, checkRole('borrower'), ensureDBConnection, validate(documentIdRules), async (req, res) => {
+  try {
+    const application = await LoanApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (application.userId.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!OPEN_STATUSES.includes(application.status)) {
+      return res.status(400).json({ message: `Documents cannot be changed once an application is ${application.status}` });
+    }
+
+    const document = application.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    if (document.status === 'Verified') {
+      return res.status(409).json({ message: 'Verified documents cannot be deleted' });
+    }
+
+    application.documents.pull(document._id);
+    await application.save();
+
+    const storage = getStorage();
+    if (storage) {
+      await storage.remove(document.storageKey).catch(error => console.error('Document cleanup error:', error));
+    }
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,78 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyJobSecret } from '../middleware/auth.js';
+import { connectDB } from '../db.js';
+import { runDelinquencyCheck } from '../utils/delinquency.js';
+import { runAutopay } from '../utils/autopay.js';
+import { cleanupStaleDrafts } from '../utils/drafts.js';
+import { postPendingLedgerJournals } from '../utils/reconciliation.js';
+
+const router = express.Router();
+
+// Middleware to ensure database connection
+const ensureDBConnection = async (req, res, next) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      await connectDB();
+    }
+    
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ 
+        message: 'Database connection error. Please try again later.',
+      });
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Database connection error:', error);
+    return res.status(503).json({ 
+      message: 'Database connection error. Please try again later.',
+    });
+  }
+};
+
+// Flag overdue installments, apply late fees and update delinquency buckets (scheduler only)
+router.post('/delinquency-check', verifyJobSecret, ensureDBConnection, async (req, res) => {
+  try {
+    const summary = await runDelinquencyCheck();
+    res.json({ message: 'Delinquency check complete', ...summary });
+  } catch (error) {
+    console.error('Delinquency check error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Charge due installments for loans with autopay enabled (scheduler only)
+router.post('/autopay', verifyJobSecret, ensureDBConnection, async (req, res) => {
+  try {
+    const summary = await runAutopay();
+    res.json({ message: 'Autopay run complete', ...summary });
+  } catch (error) {
+    console.error('Autopay run error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete drafts not edited within DRAFT_RETENTION_DAYS (scheduler only)
+router.post('/draft-cleanup', verifyJobSecret, ensureDBConnection, async (req, res) => {
+  try {
+    const summary = await cleanupStaleDrafts();
+    res.json({ message: 'Draft cleanup complete', ...summary });
+  } catch (error) {
+    console.error('Draft cleanup error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Post ledger journals whose posting failed after the application was saved (scheduler only)
+router.post('/ledger-retry', verifyJobSecret, ensureDBConnection, async (req, res) => {
+  try {
+    const summary = await postPendingLedgerJournals();
+    res.status(summary.stillPending > 0 ? 500 : 200).json({ message: 'Ledger retry complete', ...summary });
+  } catch (error) {
+    console.error('Ledger retry error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
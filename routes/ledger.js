@@ -0,0 +1,148 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import LoanApplication from '../models/LoanApplication.js';
+import { verifyToken, checkRole } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { connectDB } from '../db.js';
+import {
+  REVERSIBLE_TYPES,
+  isJournalReversed,
+  pendingEntries,
+  queueReversalJournal,
+  summarizeEntries,
+} from '../utils/ledger.js';
+import { reconcileApplications, syncApplicationBalances } from '../utils/reconciliation.js';
+import { reopenIfOutstanding } from '../utils/applicationWorkflow.js';
+import { validate } from '../middleware/validate.js';
+import { ledgerApplicationRules, reverseJournalRules } from '../validators/ledger.js';
+
+const router = express.Router();
+
+// Middleware to ensure database connection
+const ensureDBConnection = async (req, res, next) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      await connectDB();
+    }
+    
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ 
+        message: 'Database connection error. Please try again later.',
+      });
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Database connection error:', error);
+    return res.status(503).json({ 
+      message: 'Database connection error. Please try again later.',
+    });
+  }
+};
+
+// Applications whose stored totals disagree with their ledger (Admin only)
+router.get('/reconciliation', verifyToken, checkRole('admin'), ensureDBConnection, async (req, res) => {
+  try {
+    const result = await reconcileApplications();
+    res.json({
+      checked: result.checked,
+      discrepancyCount: result.discrepancies.length,
+      discrepancies: result.discrepancies,
+    });
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Ledger entries and derived balances for an application (Owner or Admin/Manager)
+router.get('/applications/:applicationId', verifyToken, ensureDBConnection, validate(ledgerApplicationRules), async (req, res) => {
+  try {
+    const application = await LoanApplication.findById(req.params.applicationId).select('userId pendingLedgerJournals');
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    const isOwner = application.userId.toString() === req.user.userId;
+    const isAdminOrManager = req.user.role === 'admin' || req.user.role === 'manager';
+
+    if (!isOwner && !isAdminOrManager) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const entries = await LedgerEntry.find({ applicationId: application._id }).sort({ createdAt: 1 });
+
+    res.json({
+      balances: summarizeEntries([...entries, ...pendingEntries(application)]),
+      entries,
+      pendingJournals: application.pendingLedgerJournals,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Reverse a repayment journal and re-derive the application's balances (Admin only). The reversal
+// is queued on the application and saved with it, so a failed save leaves no reversal behind and
+// a concurrent reversal of the same journal fails with a VersionError.
+router.post('/journals/:journalId/reverse', verifyToken, checkRole('admin'), ensureDBConnection, validate(reverseJournalRules), idempotency, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const entry = await LedgerEntry.findOne({ journalId: req.params.journalId });
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Journal not found' });
+    }
+
+    if (!REVERSIBLE_TYPES.includes(entry.entryType)) {
+      return res.status(400).json({ message: `${entry.entryType} journals cannot be reversed` });
+    }
+
+    const application = await LoanApplication.findById(entry.applicationId);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (await isJournalReversed(application, entry.journalId)) {
+      return res.status(409).json({ message: 'Journal has already been reversed' });
+    }
+
+    const reversalJournalId = await queueReversalJournal(application, entry.journalId, {
+      description: reason || 'Reversal',
+      createdBy: req.user.userId,
+    });
+
+    const repayment = application.repayments.find(r =>
+      !r.reversedAt && (r._id.toString() === entry.reference || (r.transactionId && r.transactionId === entry.reference))
+    );
+    if (repayment) {
+      repayment.reversedAt = new Date();
+    }
+
+    await syncApplicationBalances(application);
+    reopenIfOutstanding(application);
+    await application.save();
+
+    res.json({
+      message: 'Journal reversed',
+      reversalJournalId,
+      application: {
+        totalAmount: application.totalAmount,
+        paidAmount: application.paidAmount,
+        remainingAmount: application.remainingAmount,
+        repaymentStatus: application.repaymentStatus,
+      },
+    });
+  } catch (error) {
+    // Another request changed the application between our read and save (e.g. a second reversal)
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
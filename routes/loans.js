@@ -3,6 +3,8 @@ import mongoose from 'mongoose';
 import Loan from '../models/Loan.js';
 import { verifyToken, checkRole } from '../middleware/auth.js';
 import { connectDB } from '../db.js';
+import { validate } from '../middleware/validate.js';
+import { createLoanRules, listLoansRules, loanIdRules, updateLoanRules } from '../validators/loans.js';
 
 const router = express.Router();
 
@@ -93,7 +95,7 @@ router.get('/popular', ensureDBConnection, async (req, res) => {
 });
 
 // Get all loans
-router.get('/', ensureDBConnection, async (req, res) => {
+router.get('/', ensureDBConnection, validate(listLoansRules), async (req, res) => {
   try {
     const { showOnHome, search, category } = req.query;
     let query = {};
@@ -125,7 +127,7 @@ router.get('/', ensureDBConnection, async (req, res) => {
 });
 
 // Get single loan
-router.get('/:id', ensureDBConnection, async (req, res) => {
+router.get('/:id', ensureDBConnection, validate(loanIdRules), async (req, res) => {
   try {
     const loan = await Loan.findById(req.params.id).populate('createdBy', 'name email');
     if (!loan) {
@@ -138,7 +140,7 @@ router.get('/:id', ensureDBConnection, async (req, res) => {
 });
 
 // Create loan (Manager/Admin only)
-router.post('/', verifyToken, checkRole('manager', 'admin'), ensureDBConnection, async (req, res) => {
+router.post('/', verifyToken, checkRole('manager', 'admin'), ensureDBConnection, validate(createLoanRules), async (req, res) => {
   try {
     const loan = new Loan({
       ...req.body,
@@ -152,7 +154,7 @@ router.post('/', verifyToken, checkRole('manager', 'admin'), ensureDBConnection,
 });
 
 // Update loan
-router.put('/:id', verifyToken, checkRole('manager', 'admin'), ensureDBConnection, async (req, res) => {
+router.put('/:id', verifyToken, checkRole('manager', 'admin'), ensureDBConnection, validate(updateLoanRules), async (req, res) => {
   try {
     const loan = await Loan.findById(req.params.id);
     if (!loan) {
@@ -164,7 +166,8 @@ router.put('/:id', verifyToken, checkRole('manager', 'admin'), ensureDBConnectio
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    Object.assign(loan, req.body);
+    // Merge so a partial update of a nested policy keeps its other fields
+    loan.set(req.body, undefined, { merge: true });
     await loan.save();
     res.json(loan);
   } catch (error) {
@@ -173,7 +176,7 @@ router.put('/:id', verifyToken, checkRole('manager', 'admin'), ensureDBConnectio
 });
 
 // Delete loan
-router.delete('/:id', verifyToken, checkRole('manager', 'admin'), ensureDBConnection, async (req, res) => {
+router.delete('/:id', verifyToken, checkRole('manager', 'admin'), ensureDBConnection, validate(loanIdRules), async (req, res) => {
   try {
     const loan = await Loan.findById(req.params.id);
     if (!loan) {
@@ -1,9 +1,26 @@
 import express from 'express';
 import mongoose from 'mongoose';
-import Stripe from 'stripe';
 import LoanApplication from '../models/LoanApplication.js';
-import { verifyToken } from '../middleware/auth.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import User from '../models/User.js';
+import { verifyToken, checkRole, requireVerifiedEmail } from '../middleware/auth.js';
+import { idempotency, getProviderIdempotencyKey } from '../middleware/idempotency.js';
 import { connectDB } from '../db.js';
+import { applySucceededPayment, applyUnsuccessfulPayment } from '../utils/paymentProcessing.js';
+import { applyRefundUpdate, getRefundBlocker, refundApplicationFee } from '../utils/refunds.js';
+import { getPaymentProvider } from '../utils/paymentProviders/index.js';
+import { computePayoffQuote, parseQuoteDate } from '../utils/payoff.js';
+import { isRepayable } from '../utils/applicationWorkflow.js';
+import { DEFAULT_CURRENCY, getApplicationFee, matchesApplicationFee, toMinorUnits } from '../utils/fees.js';
+import { validate } from '../middleware/validate.js';
+import {
+  confirmPaymentRules,
+  createIntentRules,
+  createRepaymentIntentRules,
+  createSettlementIntentRules,
+  refundRules,
+  savePaymentMethodRules,
+} from '../validators/payments.js';
 
 const router = express.Router();
 
@@ -33,15 +50,13 @@ const ensureDBConnection = async (req, res, next) => {
     });
   }
 };
-// Initialize Stripe only if secret key is available
-const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
-const stripe = stripeSecretKey ? new Stripe(stripeSecretKey) : null;
 
 // Create payment intent
-router.post('/create-intent', verifyToken, ensureDBConnection, async (req, res) => {
+router.post('/create-intent', verifyToken, ensureDBConnection, requireVerifiedEmail, validate(createIntentRules), idempotency, async (req, res) => {
   try {
-    // Check if Stripe is configured
-    if (!stripe) {
+    // Check if a payment provider is configured
+    const paymentProvider = getPaymentProvider();
+    if (!paymentProvider) {
       return res.status(503).json({ 
         message: 'Payment service is not configured. Please contact administrator.' 
       });
@@ -68,19 +83,31 @@ router.post('/create-intent', verifyToken, ensureDBConnection, async (req, res)
       return res.status(400).json({ message: 'Application fee has already been paid' });
     }
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: 1000, // $10 in cents
-      currency: 'usd',
+    if (application.status === 'Draft') {
+      return res.status(400).json({ message: 'Submit the application before paying the fee' });
+    }
+
+    if (application.applicationFeeStatus !== 'Unpaid') {
+      return res.status(400).json({ message: `No application fee is due (${application.applicationFeeStatus})` });
+    }
+
+    const fee = getApplicationFee(application);
+
+    const paymentIntent = await paymentProvider.createPaymentIntent({
+      amount: toMinorUnits(fee.amount, fee.currency),
+      currency: fee.currency,
       metadata: {
         applicationId: applicationId.toString(),
         userId: req.user.userId.toString(),
+        type: 'application_fee',
       },
+      idempotencyKey: getProviderIdempotencyKey(req),
     });
 
-    res.json({ clientSecret: paymentIntent.client_secret });
+    res.json({ clientSecret: paymentIntent.client_secret, paymentIntentId: paymentIntent.id });
   } catch (error) {
     console.error('Payment intent creation error:', error);
-    const errorMessage = error.type === 'StripeInvalidRequestError' 
+    const errorMessage = error.invalidRequest
       ? 'Invalid payment request. Please try again.'
       : error.message || 'Failed to create payment intent';
     res.status(500).json({ message: errorMessage });
@@ -88,9 +115,10 @@ router.post('/create-intent', verifyToken, ensureDBConnection, async (req, res)
 });
 
 // Create repayment intent
-router.post('/create-repayment-intent', verifyToken, ensureDBConnection, async (req, res) => {
+router.post('/create-repayment-intent', verifyToken, ensureDBConnection, requireVerifiedEmail, validate(createRepaymentIntentRules), idempotency, async (req, res) => {
   try {
-    if (!stripe) {
+    const paymentProvider = getPaymentProvider();
+    if (!paymentProvider) {
       return res.status(503).json({ 
         message: 'Payment service is not configured. Please contact administrator.' 
       });
@@ -112,79 +140,374 @@ router.post('/create-repayment-intent', verifyToken, ensureDBConnection, async (
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    if (application.status !== 'Approved') {
-      return res.status(400).json({ message: 'Loan must be approved before making repayments' });
+    if (!isRepayable(application)) {
+      return res.status(400).json({ message: 'Loan must be disbursed before making repayments' });
     }
 
-    if (amount > application.remainingAmount * 100) {
+    // amount is in the currency's minor unit (e.g. cents)
+    if (amount > toMinorUnits(application.remainingAmount, application.currency)) {
       return res.status(400).json({ message: 'Payment amount exceeds remaining balance' });
     }
 
-    const paymentIntent = await stripe.paymentIntents.create({
+    const paymentIntent = await paymentProvider.createPaymentIntent({
       amount: amount,
-      currency: 'usd',
+      currency: application.currency || DEFAULT_CURRENCY,
       metadata: {
         applicationId: applicationId.toString(),
         userId: req.user.userId.toString(),
         type: 'repayment',
       },
+      idempotencyKey: getProviderIdempotencyKey(req),
     });
 
-    res.json({ clientSecret: paymentIntent.client_secret });
+    res.json({ clientSecret: paymentIntent.client_secret, paymentIntentId: paymentIntent.id });
   } catch (error) {
     console.error('Repayment intent creation error:', error);
-    const errorMessage = error.type === 'StripeInvalidRequestError' 
+    const errorMessage = error.invalidRequest
       ? 'Invalid payment request. Please try again.'
       : error.message || 'Failed to create repayment intent';
     res.status(500).json({ message: errorMessage });
   }
 });
 
-// Confirm payment
-router.post('/confirm', verifyToken, ensureDBConnection, async (req, res) => {
+// Create an early payoff intent for the settlement amount of today's (or ?date) payoff quote
+router.post('/create-settlement-intent', verifyToken, ensureDBConnection, requireVerifiedEmail, validate(createSettlementIntentRules), idempotency, async (req, res) => {
   try {
-    const { applicationId, transactionId, amount, type } = req.body;
+    const paymentProvider = getPaymentProvider();
+    if (!paymentProvider) {
+      return res.status(503).json({ 
+        message: 'Payment service is not configured. Please contact administrator.' 
+      });
+    }
+
+    const { applicationId, date } = req.body;
+
+    if (!applicationId) {
+      return res.status(400).json({ message: 'Application ID is required' });
+    }
+
     const application = await LoanApplication.findById(applicationId);
 
     if (!application) {
       return res.status(404).json({ message: 'Application not found' });
     }
 
-    // Check if it's a repayment or application fee
-    if (type === 'repayment') {
-      // Handle repayment
-      const repaymentAmount = amount / 100; // Convert from cents
-      
-      application.repayments.push({
-        amount: repaymentAmount,
-        paymentDate: new Date(),
-        transactionId: transactionId || '',
-        paymentMethod: 'Stripe',
+    if (application.userId.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!isRepayable(application) || application.repaymentStatus === 'Complete') {
+      return res.status(400).json({ message: 'Only active disbursed loans can be paid off' });
+    }
+
+    const quoteDate = parseQuoteDate(date);
+    if (!quoteDate) {
+      return res.status(400).json({ message: 'Quote date must be today or later (YYYY-MM-DD)' });
+    }
+
+    const quote = computePayoffQuote(application, quoteDate);
+
+    const paymentIntent = await paymentProvider.createPaymentIntent({
+      amount: toMinorUnits(quote.settlementAmount, application.currency),
+      currency: application.currency || DEFAULT_CURRENCY,
+      metadata: {
+        applicationId: applicationId.toString(),
+        userId: req.user.userId.toString(),
+        type: 'settlement',
+        quoteDate: quote.quoteDate,
+      },
+      idempotencyKey: getProviderIdempotencyKey(req),
+    });
+
+    res.json({ clientSecret: paymentIntent.client_secret, paymentIntentId: paymentIntent.id, quote });
+  } catch (error) {
+    console.error('Settlement intent creation error:', error);
+    const errorMessage = error.invalidRequest
+      ? 'Invalid payment request. Please try again.'
+      : error.message || 'Failed to create settlement intent';
+    res.status(500).json({ message: errorMessage });
+  }
+});
+
+// Confirm payment (verified with the payment provider - client-supplied amounts are ignored).
+// An optional paymentMethodId confirms the intent server-side first.
+router.post('/confirm', verifyToken, ensureDBConnection, requireVerifiedEmail, validate(confirmPaymentRules), idempotency, async (req, res) => {
+  try {
+    const paymentProvider = getPaymentProvider();
+    if (!paymentProvider) {
+      return res.status(503).json({ 
+        message: 'Payment service is not configured. Please contact administrator.' 
       });
+    }
 
-      application.paidAmount = (application.paidAmount || 0) + repaymentAmount;
-      application.remainingAmount = application.totalAmount - application.paidAmount;
+    const { applicationId, transactionId, paymentMethodId } = req.body;
 
-      if (application.remainingAmount <= 0) {
-        application.repaymentStatus = 'Complete';
-        application.remainingAmount = 0;
-      } else {
-        application.repaymentStatus = 'In Progress';
+    if (!applicationId || !transactionId) {
+      return res.status(400).json({ message: 'Application ID and transaction ID are required' });
+    }
+
+    const application = await LoanApplication.findById(applicationId);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (application.userId.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    let paymentIntent = await paymentProvider.retrievePaymentIntent(transactionId);
+
+    if (paymentIntent.metadata?.applicationId !== application._id.toString()) {
+      return res.status(400).json({ message: 'Payment does not belong to this application' });
+    }
+
+    if (paymentMethodId && paymentIntent.status !== 'succeeded') {
+      paymentIntent = await paymentProvider.confirmPaymentIntent(transactionId, { paymentMethodId });
+
+      if (paymentIntent.status !== 'succeeded') {
+        applyUnsuccessfulPayment(application, paymentIntent, 'Failed');
+        await application.save();
+        return res.status(402).json({
+          message: paymentIntent.last_payment_error?.message || 'Payment failed',
+          status: paymentIntent.status,
+        });
       }
-    } else {
-      // Handle application fee
-      application.applicationFeeStatus = 'Paid';
-      application.paymentDetails = {
-        transactionId,
-        paymentDate: new Date(),
-        amount: amount / 100,
-      };
     }
 
-    await application.save();
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({ message: `Payment has not succeeded (status: ${paymentIntent.status})` });
+    }
+
+    if (paymentIntent.metadata?.type === 'application_fee' && !matchesApplicationFee(application, paymentIntent)) {
+      return res.status(400).json({ message: 'Payment does not match the application fee' });
+    }
+
+    // The webhook may already have applied this payment
+    if (applySucceededPayment(application, paymentIntent)) {
+      await application.save();
+    }
 
     res.json({ message: 'Payment confirmed', application });
   } catch (error) {
+    console.error('Payment confirmation error:', error);
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(error.invalidRequest ? 400 : 500).json({ message: error.message });
+  }
+});
+
+// Start saving a payment method for autopay (creates the provider customer on first use)
+router.post('/setup-intent', verifyToken, ensureDBConnection, requireVerifiedEmail, async (req, res) => {
+  try {
+    const paymentProvider = getPaymentProvider();
+    if (!paymentProvider) {
+      return res.status(503).json({ 
+        message: 'Payment service is not configured. Please contact administrator.' 
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.paymentCustomerId) {
+      const customer = await paymentProvider.createCustomer({
+        email: user.email,
+        name: user.name,
+        metadata: { userId: user._id.toString() },
+      });
+      user.paymentCustomerId = customer.id;
+      await user.save();
+    }
+
+    const setupIntent = await paymentProvider.createSetupIntent({
+      customerId: user.paymentCustomerId,
+      metadata: { userId: user._id.toString() },
+    });
+
+    res.json({ clientSecret: setupIntent.client_secret, setupIntentId: setupIntent.id });
+  } catch (error) {
+    console.error('Setup intent creation error:', error);
+    res.status(error.invalidRequest ? 400 : 500).json({ message: error.message });
+  }
+});
+
+// Finish saving a payment method. An optional paymentMethodId confirms the setup intent server-side.
+router.post('/payment-methods', verifyToken, ensureDBConnection, requireVerifiedEmail, validate(savePaymentMethodRules), async (req, res) => {
+  try {
+    const paymentProvider = getPaymentProvider();
+    if (!paymentProvider) {
+      return res.status(503).json({ 
+        message: 'Payment service is not configured. Please contact administrator.' 
+      });
+    }
+
+    const { setupIntentId, paymentMethodId } = req.body;
+
+    if (!setupIntentId) {
+      return res.status(400).json({ message: 'Setup intent ID is required' });
+    }
+
+    const user = await User.findById(req.user.userId).select('paymentCustomerId');
+    let setupIntent = await paymentProvider.retrieveSetupIntent(setupIntentId);
+
+    if (!user?.paymentCustomerId || setupIntent.customer !== user.paymentCustomerId) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (paymentMethodId && setupIntent.status !== 'succeeded') {
+      setupIntent = await paymentProvider.confirmSetupIntent(setupIntentId, { paymentMethodId });
+    }
+
+    if (setupIntent.status !== 'succeeded') {
+      return res.status(400).json({ message: `Payment method has not been saved (status: ${setupIntent.status})` });
+    }
+
+    const paymentMethods = await paymentProvider.listPaymentMethods(user.paymentCustomerId);
+    res.json({
+      message: 'Payment method saved',
+      paymentMethod: paymentMethods.find(pm => pm.id === setupIntent.payment_method) || null,
+      paymentMethods,
+    });
+  } catch (error) {
+    console.error('Save payment method error:', error);
+    res.status(error.invalidRequest ? 400 : 500).json({ message: error.message });
+  }
+});
+
+// List the current user's saved payment methods
+router.get('/payment-methods', verifyToken, ensureDBConnection, async (req, res) => {
+  try {
+    const paymentProvider = getPaymentProvider();
+    if (!paymentProvider) {
+      return res.status(503).json({ 
+        message: 'Payment service is not configured. Please contact administrator.' 
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('paymentCustomerId');
+
+    if (!user?.paymentCustomerId) {
+      return res.json([]);
+    }
+
+    res.json(await paymentProvider.listPaymentMethods(user.paymentCustomerId));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Refund an application fee (Admin) - for rejections/cancellations not covered by the auto-refund policy
+router.post('/refund', verifyToken, checkRole('admin'), ensureDBConnection, validate(refundRules), idempotency, async (req, res) => {
+  try {
+    const { applicationId, reason } = req.body;
+
+    if (!applicationId) {
+      return res.status(400).json({ message: 'Application ID is required' });
+    }
+
+    const application = await LoanApplication.findById(applicationId);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    const blocker = getRefundBlocker(application);
+    if (blocker) {
+      return res.status(400).json({ message: blocker });
+    }
+
+    const refund = await refundApplicationFee(application, {
+      reason: reason || 'Manual refund',
+      requestedBy: req.user.userId,
+    });
+    await application.save();
+
+    if (refund.status === 'Failed') {
+      return res.status(502).json({ message: `Refund failed: ${refund.failureMessage}`, application });
+    }
+
+    res.json({ message: 'Refund issued', application });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Payment provider webhook - mounted with a raw body parser in index.js so the signature can be verified
+router.post('/webhook', async (req, res) => {
+  const paymentProvider = getPaymentProvider();
+  if (!paymentProvider?.webhookConfigured) {
+    return res.status(503).json({ message: 'Payment webhook is not configured.' });
+  }
+
+  let event;
+  try {
+    event = paymentProvider.constructWebhookEvent(req.body, req.headers['stripe-signature']);
+  } catch (error) {
+    console.error('Webhook signature verification failed:', error.message);
+    return res.status(400).json({ message: 'Invalid webhook signature' });
+  }
+
+  const outcomes = {
+    'payment_intent.succeeded': 'Succeeded',
+    'payment_intent.payment_failed': 'Failed',
+    'payment_intent.canceled': 'Canceled',
+  };
+  const isRefundEvent = event.type === 'charge.refund.updated';
+
+  // Acknowledge event types we don't handle so the provider stops retrying them
+  if (!outcomes[event.type] && !isRefundEvent) {
+    return res.json({ received: true, ignored: true });
+  }
+
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      await connectDB();
+    }
+
+    if (await PaymentEvent.exists({ eventId: event.id })) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    // PaymentIntents and refunds both carry the applicationId in their metadata
+    const object = event.data.object;
+    const applicationId = object.metadata?.applicationId;
+    const application = mongoose.isValidObjectId(applicationId)
+      ? await LoanApplication.findById(applicationId)
+      : null;
+
+    if (!application) {
+      console.warn('Webhook event for unknown application:', event.id, applicationId);
+    } else {
+      if (isRefundEvent) {
+        applyRefundUpdate(application, object);
+      } else if (outcomes[event.type] === 'Succeeded') {
+        applySucceededPayment(application, object);
+      } else {
+        applyUnsuccessfulPayment(application, object, outcomes[event.type]);
+      }
+      await application.save();
+    }
+
+    try {
+      await PaymentEvent.create({
+        eventId: event.id,
+        type: event.type,
+        applicationId: application?._id || null,
+      });
+    } catch (error) {
+      // A concurrent delivery recorded it first - the application updates above are idempotent
+      if (error.code !== 11000) throw error;
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Webhook processing error:', error);
+    // Non-2xx makes the provider redeliver the event later
     res.status(500).json({ message: error.message });
   }
 });
@@ -1,8 +1,25 @@
 import express from 'express';
 import mongoose from 'mongoose';
 import LoanApplication from '../models/LoanApplication.js';
-import { verifyToken } from '../middleware/auth.js';
+import User from '../models/User.js';
+import { verifyToken, requireVerifiedEmail } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import { connectDB } from '../db.js';
+import { recordRepayment, settleLoan } from '../utils/paymentProcessing.js';
+import { computePayoffQuote, parseQuoteDate } from '../utils/payoff.js';
+import { getPaymentProvider } from '../utils/paymentProviders/index.js';
+import { roundCurrency } from '../utils/amortization.js';
+import { toMinorUnits } from '../utils/fees.js';
+import { getLedgerBalances } from '../utils/ledger.js';
+import { isRepayable } from '../utils/applicationWorkflow.js';
+import { validate } from '../middleware/validate.js';
+import {
+  autopayRules,
+  payoffQuoteRules,
+  recordRepaymentRules,
+  repaymentApplicationRules,
+  settleRules,
+} from '../validators/repayments.js';
 
 const router = express.Router();
 
@@ -28,8 +45,8 @@ const ensureDBConnection = async (req, res, next) => {
   }
 };
 
-// Get repayment details for an application (Borrower or Admin/Manager)
-router.get('/:applicationId', verifyToken, ensureDBConnection, async (req, res) => {
+// Get an early payoff quote (Borrower or Admin/Manager). ?date=YYYY-MM-DD, defaults to today.
+router.get('/:applicationId/payoff-quote', verifyToken, ensureDBConnection, validate(payoffQuoteRules), async (req, res) => {
   try {
     const application = await LoanApplication.findById(req.params.applicationId);
 
@@ -37,60 +54,227 @@ router.get('/:applicationId', verifyToken, ensureDBConnection, async (req, res)
       return res.status(404).json({ message: 'Application not found' });
     }
 
-    // Check authorization: User owns the application OR user is admin/manager
     const isOwner = application.userId.toString() === req.user.userId;
     const isAdminOrManager = req.user.role === 'admin' || req.user.role === 'manager';
-    
+
     if (!isOwner && !isAdminOrManager) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    // Calculate total amount if not set (for old approved loans)
-    let totalAmount = application.totalAmount;
-    if (!totalAmount || totalAmount === 0) {
-      if (application.status === 'Approved' && application.loanAmount) {
-        // Calculate total amount with interest for old approved loans
-        const interestAmount = (application.loanAmount * (application.interestRate || 0)) / 100;
-        totalAmount = application.loanAmount + interestAmount;
-        
-        // Update the application if totalAmount was missing
-        if (!application.totalAmount || application.totalAmount === 0) {
-          application.totalAmount = totalAmount;
-          if (!application.remainingAmount || application.remainingAmount === 0) {
-            application.remainingAmount = totalAmount;
-          }
-          await application.save();
-        }
-      } else {
-        totalAmount = application.loanAmount || 0;
+    if (!isRepayable(application) || application.repaymentStatus === 'Complete') {
+      return res.status(400).json({ message: 'Only active disbursed loans can be paid off' });
+    }
+
+    const quoteDate = parseQuoteDate(req.query.date);
+    if (!quoteDate) {
+      return res.status(400).json({ message: 'Quote date must be today or later (YYYY-MM-DD)' });
+    }
+
+    res.json(computePayoffQuote(application, quoteDate));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Settle a loan with the exact amount of a payoff quote (Borrower or Admin/Manager).
+// Provider payments are verified with the payment provider; manual methods are staff-only.
+router.post('/:applicationId/settle', verifyToken, ensureDBConnection, requireVerifiedEmail, validate(settleRules), idempotency, async (req, res) => {
+  try {
+    const { date, amount, transactionId, paymentMethod = 'Stripe' } = req.body;
+    const application = await LoanApplication.findById(req.params.applicationId);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    const isOwner = application.userId.toString() === req.user.userId;
+    const isAdminOrManager = req.user.role === 'admin' || req.user.role === 'manager';
+
+    if (!isOwner && !isAdminOrManager) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    // The webhook or /payments/confirm may already have settled the loan with this payment
+    if (transactionId && application.settlement?.transactionId === transactionId) {
+      return res.json({ message: 'Loan settled successfully', settlement: application.settlement });
+    }
+
+    if (!isRepayable(application) || application.repaymentStatus === 'Complete') {
+      return res.status(400).json({ message: 'Only active disbursed loans can be paid off' });
+    }
+
+    const quoteDate = parseQuoteDate(date);
+    if (!quoteDate) {
+      return res.status(400).json({ message: 'Payoff quote has expired. Please request a new quote.' });
+    }
+
+    const quote = computePayoffQuote(application, quoteDate);
+    if (roundCurrency(Number(amount)) !== quote.settlementAmount) {
+      return res.status(400).json({
+        message: `Settlement amount must be exactly ${quote.settlementAmount}`,
+        quote,
+      });
+    }
+
+    if (paymentMethod === 'Stripe') {
+      const paymentProvider = getPaymentProvider();
+      if (!paymentProvider) {
+        return res.status(503).json({ message: 'Payment service is not configured. Please contact administrator.' });
       }
+      if (!transactionId) {
+        return res.status(400).json({ message: 'Transaction ID is required' });
+      }
+
+      const paymentIntent = await paymentProvider.retrievePaymentIntent(transactionId);
+      if (
+        paymentIntent.status !== 'succeeded' ||
+        paymentIntent.metadata?.type !== 'settlement' ||
+        paymentIntent.metadata?.applicationId !== application._id.toString() ||
+        paymentIntent.amount_received !== toMinorUnits(quote.settlementAmount, application.currency)
+      ) {
+        return res.status(400).json({ message: 'Payment does not match this payoff quote' });
+      }
+    } else if (!isAdminOrManager) {
+      return res.status(403).json({ message: 'Only staff can record manual settlements' });
     }
 
-    // Calculate remaining amount if not set or invalid
-    let remainingAmount = application.remainingAmount;
-    if (!remainingAmount || remainingAmount < 0) {
-      const paidAmount = application.paidAmount || 0;
-      remainingAmount = totalAmount - paidAmount;
-      if (remainingAmount < 0) remainingAmount = 0;
+    const settled = settleLoan(application, quote, {
+      transactionId,
+      paymentMethod,
+      createdBy: req.user.userId,
+    });
+
+    if (!settled) {
+      return res.status(409).json({ message: 'This transaction has already been recorded' });
+    }
+
+    await application.save();
+
+    res.json({
+      message: 'Loan settled successfully',
+      settlement: application.settlement,
+      application: {
+        totalAmount: application.totalAmount,
+        paidAmount: application.paidAmount,
+        remainingAmount: application.remainingAmount,
+        repaymentStatus: application.repaymentStatus,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(error.invalidRequest ? 400 : 500).json({ message: error.message });
+  }
+});
+
+// Turn autopay on or off for a loan (Borrower). Enabling requires a saved payment method.
+router.put('/:applicationId/autopay', verifyToken, ensureDBConnection, requireVerifiedEmail, validate(autopayRules), async (req, res) => {
+  try {
+    const { enabled, paymentMethodId } = req.body;
+    const application = await LoanApplication.findById(req.params.applicationId);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (application.userId.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!enabled) {
+      application.autopay.enabled = false;
+      application.autopay.nextAttemptAt = undefined;
+      await application.save();
+      return res.json({ message: 'Autopay disabled', autopay: application.autopay });
+    }
+
+    if (!isRepayable(application) || application.repaymentStatus === 'Complete') {
+      return res.status(400).json({ message: 'Autopay is only available for active disbursed loans' });
+    }
+
+    if (!paymentMethodId) {
+      return res.status(400).json({ message: 'Payment method ID is required' });
+    }
+
+    const paymentProvider = getPaymentProvider();
+    if (!paymentProvider) {
+      return res.status(503).json({ message: 'Payment service is not configured. Please contact administrator.' });
+    }
+
+    const user = await User.findById(req.user.userId).select('paymentCustomerId');
+    const paymentMethods = user?.paymentCustomerId
+      ? await paymentProvider.listPaymentMethods(user.paymentCustomerId)
+      : [];
+
+    if (!paymentMethods.some(pm => pm.id === paymentMethodId)) {
+      return res.status(400).json({ message: 'Payment method not found. Please save it first.' });
+    }
+
+    application.autopay = {
+      enabled: true,
+      paymentMethodId,
+      enabledAt: new Date(),
+      failedAttempts: 0,
+      lastError: '',
+    };
+    await application.save();
+
+    res.json({ message: 'Autopay enabled', autopay: application.autopay });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get repayment details for an application (Borrower or Admin/Manager)
+router.get('/:applicationId', verifyToken, ensureDBConnection, validate(repaymentApplicationRules), async (req, res) => {
+  try {
+    const application = await LoanApplication.findById(req.params.applicationId);
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    // Check authorization: User owns the application OR user is admin/manager
+    const isOwner = application.userId.toString() === req.user.userId;
+    const isAdminOrManager = req.user.role === 'admin' || req.user.role === 'manager';
+    
+    if (!isOwner && !isAdminOrManager) {
+      return res.status(403).json({ message: 'Not authorized' });
     }
 
+    // Balances are derived from the ledger. Loans approved before the ledger existed
+    // fall back to the stored totals until scripts/backfillLedger.js has been run.
+    const ledger = await getLedgerBalances(application);
+    const balances = ledger.hasLoanEntries
+      ? ledger
+      : {
+        totalAmount: application.totalAmount || 0,
+        paidAmount: application.paidAmount || 0,
+        remainingAmount: Math.max(application.remainingAmount || 0, 0),
+      };
+
     res.json({
-      totalAmount: totalAmount,
-      paidAmount: application.paidAmount || 0,
-      remainingAmount: remainingAmount,
+      totalAmount: balances.totalAmount,
+      paidAmount: balances.paidAmount,
+      remainingAmount: balances.remainingAmount,
+      balanceSource: ledger.hasLoanEntries ? 'ledger' : 'application',
       repaymentStatus: application.repaymentStatus || 'Pending',
       repayments: application.repayments || [],
       repaymentSchedule: application.repaymentSchedule || 'Monthly',
+      emiPlan: application.emiPlan || '',
+      installments: application.installments || [],
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Create a repayment (Borrower or Admin/Manager)
-router.post('/:applicationId', verifyToken, ensureDBConnection, async (req, res) => {
+// Record a repayment (Borrower or Admin/Manager). Borrowers record provider payments, which are
+// checked with the payment provider; staff can also record manual payments (cash, bank transfer).
+router.post('/:applicationId', verifyToken, ensureDBConnection, requireVerifiedEmail, validate(recordRepaymentRules), idempotency, async (req, res) => {
   try {
-    const { amount, transactionId, paymentMethod } = req.body;
+    const { amount, transactionId, paymentMethod = 'Stripe' } = req.body;
     const application = await LoanApplication.findById(req.params.applicationId);
 
     if (!application) {
@@ -105,9 +289,9 @@ router.post('/:applicationId', verifyToken, ensureDBConnection, async (req, res)
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    // Check if loan is approved
-    if (application.status !== 'Approved') {
-      return res.status(400).json({ message: 'Loan must be approved before making repayments' });
+    // Check if loan is disbursed
+    if (!isRepayable(application)) {
+      return res.status(400).json({ message: 'Loan must be disbursed before making repayments' });
     }
 
     // Calculate total amount if not set (for old approved loans)
@@ -132,24 +316,38 @@ router.post('/:applicationId', verifyToken, ensureDBConnection, async (req, res)
       return res.status(400).json({ message: `Payment amount exceeds remaining balance. Maximum: $${application.remainingAmount.toLocaleString()}` });
     }
 
-    // Add repayment
-    application.repayments.push({
+    // Provider payments are verified with the payment provider; manual methods are staff-only
+    if (paymentMethod === 'Stripe') {
+      const paymentProvider = getPaymentProvider();
+      if (!paymentProvider) {
+        return res.status(503).json({ message: 'Payment service is not configured. Please contact administrator.' });
+      }
+      if (!transactionId) {
+        return res.status(400).json({ message: 'Transaction ID is required' });
+      }
+
+      const paymentIntent = await paymentProvider.retrievePaymentIntent(transactionId);
+      if (
+        paymentIntent.status !== 'succeeded' ||
+        paymentIntent.metadata?.type !== 'repayment' ||
+        paymentIntent.metadata?.applicationId !== application._id.toString() ||
+        paymentIntent.amount_received !== toMinorUnits(amount, application.currency)
+      ) {
+        return res.status(400).json({ message: 'Payment does not match this repayment' });
+      }
+    } else if (!isAdminOrManager) {
+      return res.status(403).json({ message: 'Only staff can record manual repayments' });
+    }
+
+    const recorded = recordRepayment(application, {
       amount,
-      paymentDate: new Date(),
-      transactionId: transactionId || '',
-      paymentMethod: paymentMethod || 'Stripe',
+      transactionId,
+      paymentMethod,
+      createdBy: req.user.userId,
     });
 
-    // Update amounts
-    application.paidAmount = (application.paidAmount || 0) + amount;
-    application.remainingAmount = application.totalAmount - application.paidAmount;
-
-    // Update repayment status
-    if (application.remainingAmount <= 0) {
-      application.repaymentStatus = 'Complete';
-      application.remainingAmount = 0;
-    } else {
-      application.repaymentStatus = 'In Progress';
+    if (!recorded) {
+      return res.status(409).json({ message: 'This transaction has already been recorded' });
     }
 
     await application.save();
@@ -161,10 +359,15 @@ router.post('/:applicationId', verifyToken, ensureDBConnection, async (req, res)
         paidAmount: application.paidAmount,
         remainingAmount: application.remainingAmount,
         repaymentStatus: application.repaymentStatus,
+        installments: application.installments,
       },
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    // Another request changed the application between our read and save (e.g. a double submit)
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Application was updated concurrently. Please retry.' });
+    }
+    res.status(error.invalidRequest ? 400 : 500).json({ message: error.message });
   }
 });
 
@@ -3,6 +3,22 @@ import mongoose from 'mongoose';
 import User from '../models/User.js';
 import { verifyToken, checkRole } from '../middleware/auth.js';
 import { connectDB } from '../db.js';
+import { validate } from '../middleware/validate.js';
+import { revokeUserSessions } from '../utils/sessions.js';
+import {
+  disableTwoFactor,
+  getSecurityPolicy,
+  isTwoFactorEnabled,
+  setTwoFactorRequiredRoles,
+} from '../utils/twoFactor.js';
+import {
+  listUsersRules,
+  notificationPreferencesRules,
+  suspendRules,
+  twoFactorPolicyRules,
+  updateRoleRules,
+  userIdRules,
+} from '../validators/users.js';
 
 const router = express.Router();
 
@@ -20,7 +36,7 @@ const ensureDBConnection = async (req, res, next) => {
 };
 
 // Get all users (Admin only)
-router.get('/', verifyToken, checkRole('admin'), ensureDBConnection, async (req, res) => {
+router.get('/', verifyToken, checkRole('admin'), ensureDBConnection, validate(listUsersRules), async (req, res) => {
   try {
     const { search, role, page = 1, limit = 10 } = req.query;
     let query = {};
@@ -37,7 +53,7 @@ router.get('/', verifyToken, checkRole('admin'), ensureDBConnection, async (req,
     }
 
     const users = await User.find(query)
-      .select('-password')
+      .select('-password -passwordReset -emailVerification -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodeHashes')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -55,8 +71,78 @@ router.get('/', verifyToken, checkRole('admin'), ensureDBConnection, async (req,
   }
 });
 
+// Get own notification preferences
+router.get('/me/notification-preferences', verifyToken, ensureDBConnection, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user.notificationPreferences);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update own notification preferences
+router.put('/me/notification-preferences', verifyToken, ensureDBConnection, validate(notificationPreferencesRules), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    for (const [category, enabled] of Object.entries(req.body)) {
+      user.notificationPreferences[category] = enabled;
+    }
+    await user.save();
+
+    res.json(user.notificationPreferences);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Roles that must use two-factor authentication (Admin only)
+router.get('/two-factor-policy', verifyToken, checkRole('admin'), ensureDBConnection, async (req, res) => {
+  try {
+    const policy = await getSecurityPolicy();
+
+    res.json({
+      twoFactorRequiredRoles: policy?.twoFactorRequiredRoles || [],
+      updatedBy: policy?.updatedBy || null,
+      updatedAt: policy?.updatedAt || null,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Require two-factor authentication for admin and/or manager routes (Admin only)
+router.put('/two-factor-policy', verifyToken, checkRole('admin'), ensureDBConnection, validate(twoFactorPolicyRules), async (req, res) => {
+  try {
+    const roles = [...new Set(req.body.twoFactorRequiredRoles)];
+
+    // Otherwise the admin would lock themselves out of this route
+    if (roles.includes('admin') && !req.user.tfa) {
+      return res.status(400).json({ message: 'Enable two-factor authentication and sign in with it before requiring it for admins' });
+    }
+
+    const policy = await setTwoFactorRequiredRoles(roles, req.user.userId);
+
+    res.json({
+      twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+      updatedBy: policy.updatedBy,
+      updatedAt: policy.updatedAt,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Update user role (Admin only)
-router.put('/:id/role', verifyToken, checkRole('admin'), ensureDBConnection, async (req, res) => {
+router.put('/:id/role', verifyToken, checkRole('admin'), ensureDBConnection, validate(updateRoleRules), async (req, res) => {
   try {
     const { role } = req.body;
     const user = await User.findById(req.params.id);
@@ -65,9 +151,15 @@ router.put('/:id/role', verifyToken, checkRole('admin'), ensureDBConnection, asy
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const roleChanged = user.role !== role;
     user.role = role;
     await user.save();
 
+    // Live tokens carry the old role
+    if (roleChanged) {
+      await revokeUserSessions(user._id, 'Role changed');
+    }
+
     res.json(user);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -75,7 +167,7 @@ router.put('/:id/role', verifyToken, checkRole('admin'), ensureDBConnection, asy
 });
 
 // Suspend user (Admin only)
-router.put('/:id/suspend', verifyToken, checkRole('admin'), ensureDBConnection, async (req, res) => {
+router.put('/:id/suspend', verifyToken, checkRole('admin'), ensureDBConnection, validate(suspendRules), async (req, res) => {
   try {
     const { suspendReason, suspendFeedback } = req.body;
     const user = await User.findById(req.params.id);
@@ -88,6 +180,7 @@ router.put('/:id/suspend', verifyToken, checkRole('admin'), ensureDBConnection,
     user.suspendReason = suspendReason;
     user.suspendFeedback = suspendFeedback;
     await user.save();
+    await revokeUserSessions(user._id, 'Account suspended');
 
     res.json(user);
   } catch (error) {
@@ -96,7 +189,7 @@ router.put('/:id/suspend', verifyToken, checkRole('admin'), ensureDBConnection,
 });
 
 // Unsuspend user (Admin only)
-router.put('/:id/unsuspend', verifyToken, checkRole('admin'), ensureDBConnection, async (req, res) => {
+router.put('/:id/unsuspend', verifyToken, checkRole('admin'), ensureDBConnection, validate(userIdRules), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -115,5 +208,46 @@ router.put('/:id/unsuspend', verifyToken, checkRole('admin'), ensureDBConnection
   }
 });
 
+// Sign a user out everywhere (Admin only)
+router.delete('/:id/sessions', verifyToken, checkRole('admin'), ensureDBConnection, validate(userIdRules), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const revoked = await revokeUserSessions(user._id, 'Revoked by admin');
+
+    res.json({ message: 'Sessions revoked', revoked });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Reset a user's two-factor authentication after they lose their device and recovery codes
+// (Admin only). Signs them out everywhere; they can enroll again after their next login.
+router.delete('/:id/two-factor', verifyToken, checkRole('admin'), ensureDBConnection, validate(userIdRules), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    disableTwoFactor(user);
+    await user.save();
+    await revokeUserSessions(user._id, 'Two-factor authentication reset by admin');
+
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 export default router;
 
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Imported after dotenv so MONGODB_URI is available
+const { connectDB } = await import('../db.js');
+const { default: LedgerEntry } = await import('../models/LedgerEntry.js');
+const { default: LoanApplication } = await import('../models/LoanApplication.js');
+const { postJournal } = await import('../utils/ledger.js');
+const { roundCurrency } = await import('../utils/amortization.js');
+
+const journal = (application, entryType, debitAccount, creditAccount, amount, details = {}) => {
+  const rounded = roundCurrency(amount);
+  if (rounded <= 0) return null;
+
+  return postJournal({
+    applicationId: application._id,
+    entryType,
+    description: 'Opening balance (backfill)',
+    ...details,
+    lines: [
+      { account: debitAccount, debit: rounded, credit: 0 },
+      { account: creditAccount, debit: 0, credit: rounded },
+    ],
+  });
+};
+
+// Post opening journals for applications created before the ledger existed
+async function backfillLedger() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await connectDB();
+    console.log('Connected to MongoDB');
+
+    const onLedger = await LedgerEntry.distinct('applicationId');
+    const applications = await LoanApplication.find({
+      _id: { $nin: onLedger },
+      $or: [
+        { totalAmount: { $gt: 0 } },
+        { applicationFeeStatus: { $in: ['Paid', 'Refunded'] } },
+      ],
+    });
+
+    let backfilled = 0;
+    for (const application of applications) {
+      const feeAmount = application.paymentDetails?.amount || 0;
+      if (['Paid', 'Refunded'].includes(application.applicationFeeStatus)) {
+        await journal(application, 'Fee', 'cash', 'fee_income', feeAmount, {
+          reference: application.paymentDetails?.transactionId || '',
+        });
+      }
+      if (application.applicationFeeStatus === 'Refunded') {
+        await journal(application, 'Refund', 'fee_income', 'cash', application.refund?.amount || feeAmount, {
+          reference: application.refund?.refundId || '',
+        });
+      }
+
+      if (application.totalAmount > 0) {
+        const lateFees = application.lateFeesTotal || 0;
+        await journal(application, 'Disbursement', 'loans_receivable', 'cash', application.loanAmount);
+        await journal(application, 'Interest', 'loans_receivable', 'interest_income',
+          application.totalAmount - application.loanAmount - lateFees);
+        await journal(application, 'LateFee', 'loans_receivable', 'fee_income', lateFees);
+
+        for (const repayment of application.repayments) {
+          await journal(application, 'Repayment', 'cash', 'loans_receivable', repayment.amount, {
+            reference: repayment.transactionId || repayment._id.toString(),
+          });
+        }
+      }
+
+      backfilled++;
+    }
+
+    console.log(`\n✅ Backfilled ledger for ${backfilled} application(s)\n`);
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error backfilling ledger:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+backfillLedger();
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Imported after dotenv so MONGODB_URI is available
+const { connectDB } = await import('../db.js');
+const { runDelinquencyCheck } = await import('../utils/delinquency.js');
+
+async function checkDelinquency() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await connectDB();
+    console.log('Connected to MongoDB');
+
+    const summary = await runDelinquencyCheck();
+
+    console.log('\n✅ Delinquency check complete');
+    console.log('=====================================');
+    console.log('Applications scanned:', summary.scanned);
+    console.log('Delinquent:', summary.delinquent);
+    console.log('Late fees applied:', summary.lateFeesApplied);
+    console.log('Late fee amount:', summary.lateFeeAmount);
+    console.log('=====================================\n');
+
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error running delinquency check:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+checkDelinquency();
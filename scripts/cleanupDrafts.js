@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Imported after dotenv so MONGODB_URI and the storage settings are available
+const { connectDB } = await import('../db.js');
+const { cleanupStaleDrafts, getDraftRetentionDays } = await import('../utils/drafts.js');
+
+async function cleanupDrafts() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await connectDB();
+    console.log('Connected to MongoDB');
+
+    const summary = await cleanupStaleDrafts();
+
+    console.log('\n✅ Draft cleanup complete');
+    console.log('=====================================');
+    console.log('Retention (days):', getDraftRetentionDays());
+    console.log('Drafts deleted:', summary.deleted);
+    console.log('Files removed:', summary.filesRemoved);
+    console.log('=====================================\n');
+
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error cleaning up drafts:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+cleanupDrafts();
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Imported after dotenv so MONGODB_URI is available
+const { connectDB } = await import('../db.js');
+const { default: LoanApplication } = await import('../models/LoanApplication.js');
+
+// Legacy status -> workflow status. Repaid approved loans are closed. Approved loans that were
+// live before disbursements were recorded (they already have a balance, or were approved before
+// status history existed) are treated as disbursed so they keep accepting repayments.
+const MIGRATIONS = [
+  { filter: { status: 'Pending' }, to: 'Submitted' },
+  { filter: { status: 'Cancelled' }, to: 'Withdrawn' },
+  { filter: { status: 'Approved', repaymentStatus: 'Complete' }, to: 'Closed' },
+  {
+    filter: {
+      status: 'Approved',
+      'disbursements.0': { $exists: false },
+      $or: [{ totalAmount: { $gt: 0 } }, { 'statusHistory.to': { $ne: 'Approved' } }],
+    },
+    to: 'Disbursed',
+  },
+];
+
+// Move applications created before the lifecycle workflow onto its statuses
+async function migrateApplicationStatuses() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await connectDB();
+    console.log('Connected to MongoDB');
+
+    console.log('\n✅ Application statuses migrated');
+    console.log('=====================================');
+
+    for (const { filter, to } of MIGRATIONS) {
+      // Raw collection update: the legacy statuses are no longer valid enum values
+      const result = await LoanApplication.collection.updateMany(filter, {
+        $set: { status: to },
+        $push: {
+          statusHistory: {
+            _id: new mongoose.Types.ObjectId(),
+            from: filter.status,
+            to,
+            actor: null,
+            actorRole: 'system',
+            reason: 'Status migration',
+            changedAt: new Date(),
+          },
+        },
+      });
+      console.log(`${filter.status} -> ${to}:`, result.modifiedCount);
+    }
+
+    console.log('=====================================\n');
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error migrating application statuses:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migrateApplicationStatuses();
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Imported after dotenv so MONGODB_URI and the payment provider settings are available
+const { connectDB } = await import('../db.js');
+const { runAutopay } = await import('../utils/autopay.js');
+const { registerNotificationHandlers } = await import('../utils/notifications.js');
+
+async function autopay() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await connectDB();
+    console.log('Connected to MongoDB');
+    registerNotificationHandlers();
+
+    const summary = await runAutopay();
+
+    console.log('\n✅ Autopay run complete');
+    console.log('=====================================');
+    console.log('Applications due:', summary.scanned);
+    console.log('Charged:', summary.charged);
+    console.log('Processing:', summary.processing);
+    console.log('Failed:', summary.failed);
+    console.log('=====================================\n');
+
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error running autopay:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+autopay();
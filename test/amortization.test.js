@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocateRepayment, buildInstallmentSchedule, parseEmiPlanMonths, roundCurrency } from '../utils/amortization.js';
+
+const sum = (installments, field) => roundCurrency(installments.reduce((total, installment) => total + installment[field], 0));
+
+describe('buildInstallmentSchedule', () => {
+  it('charges the standard EMI on a reducing balance', () => {
+    // 10,000 at 12% a year over 12 months: 1% a month, EMI 888.49
+    const schedule = buildInstallmentSchedule({
+      principal: 10000,
+      annualRate: 12,
+      termMonths: 12,
+      startDate: new Date(2026, 0, 15),
+    });
+
+    assert.equal(schedule.length, 12);
+    assert.deepEqual(schedule.slice(0, 11).map(installment => installment.amount), Array(11).fill(888.49));
+    assert.deepEqual(
+      [schedule[0].interest, schedule[0].principal, schedule[0].balance],
+      [100, 788.49, 9211.51]
+    );
+    assert.deepEqual(
+      [schedule[1].interest, schedule[1].principal, schedule[1].balance],
+      [92.12, 796.37, 8415.14]
+    );
+  });
+
+  it('lets the final installment absorb rounding', () => {
+    const schedule = buildInstallmentSchedule({ principal: 10000, annualRate: 12, termMonths: 12 });
+    const last = schedule.at(-1);
+
+    assert.equal(last.balance, 0);
+    assert.equal(last.amount, 888.47);
+    assert.equal(last.amount, roundCurrency(last.principal + last.interest));
+    assert.equal(sum(schedule, 'principal'), 10000);
+  });
+
+  it('splits an interest-free loan evenly with the remainder last', () => {
+    const schedule = buildInstallmentSchedule({ principal: 1000, annualRate: 0, termMonths: 3 });
+
+    assert.deepEqual(schedule.map(installment => installment.amount), [333.33, 333.33, 333.34]);
+    assert.deepEqual(schedule.map(installment => installment.interest), [0, 0, 0]);
+  });
+
+  it('schedules weekly installments at the weekly rate', () => {
+    const schedule = buildInstallmentSchedule({
+      principal: 10000,
+      annualRate: 12,
+      termMonths: 12,
+      frequency: 'Weekly',
+      startDate: new Date(2026, 0, 1),
+    });
+
+    assert.equal(schedule.length, 52);
+    assert.equal(schedule[0].interest, 23.08); // 10,000 x 12% / 52
+    assert.equal(schedule[0].amount, 204.3);
+    assert.equal(schedule.at(-1).balance, 0);
+    assert.equal(sum(schedule, 'principal'), 10000);
+    assert.deepEqual(schedule[0].dueDate, new Date(2026, 0, 8));
+    assert.deepEqual(schedule[1].dueDate, new Date(2026, 0, 15));
+    assert.deepEqual(schedule.at(-1).dueDate, new Date(2026, 11, 31));
+  });
+
+  it('keeps monthly due dates within short months', () => {
+    const schedule = buildInstallmentSchedule({
+      principal: 3000,
+      annualRate: 12,
+      termMonths: 3,
+      startDate: new Date(2026, 0, 31),
+    });
+
+    assert.deepEqual(schedule.map(installment => installment.dueDate), [
+      new Date(2026, 1, 28),
+      new Date(2026, 2, 31),
+      new Date(2026, 3, 30),
+    ]);
+  });
+});
+
+describe('parseEmiPlanMonths', () => {
+  it('reads months, years and weeks', () => {
+    assert.equal(parseEmiPlanMonths('6 Months'), 6);
+    assert.equal(parseEmiPlanMonths('1 Year'), 12);
+    assert.equal(parseEmiPlanMonths('52 weeks'), 12);
+    assert.equal(parseEmiPlanMonths('soon'), null);
+  });
+});
+
+describe('allocateRepayment', () => {
+  const installments = () => [
+    { installmentNumber: 1, amount: 100, principal: 90, interest: 10, lateFee: 15, paidAmount: 0, status: 'Overdue' },
+    { installmentNumber: 2, amount: 100, principal: 91, interest: 9, paidAmount: 0, status: 'Pending' },
+    { installmentNumber: 3, amount: 100, principal: 92, interest: 8, paidAmount: 0, status: 'Pending' },
+  ];
+
+  it('settles the oldest installment, late fee included, before the next', () => {
+    const schedule = installments();
+    const paidAt = new Date(2026, 5, 1);
+
+    const remainder = allocateRepayment(schedule, 150, paidAt);
+
+    assert.equal(remainder, 0);
+    assert.deepEqual(schedule.map(installment => installment.paidAmount), [115, 35, 0]);
+    assert.deepEqual(schedule.map(installment => installment.status), ['Paid', 'Partial', 'Pending']);
+    assert.equal(schedule[0].paidAt, paidAt);
+  });
+
+  it('leaves an overdue installment overdue until it is paid in full', () => {
+    const schedule = installments();
+
+    allocateRepayment(schedule, 105);
+
+    assert.equal(schedule[0].paidAmount, 105);
+    assert.equal(schedule[0].status, 'Overdue');
+    assert.equal(schedule[1].paidAmount, 0);
+  });
+
+  it('continues from earlier partial payments and returns what is left over', () => {
+    const schedule = installments();
+    allocateRepayment(schedule, 50);
+
+    const remainder = allocateRepayment(schedule, 300);
+
+    assert.deepEqual(schedule.map(installment => installment.status), ['Paid', 'Paid', 'Paid']);
+    assert.equal(remainder, 35);
+  });
+});
@@ -0,0 +1,33 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMemoryCollection, request, resetMemoryDb, startServer, stopServer } from './helpers/server.js';
+
+describe('POST /api/auth/register', () => {
+  before(async () => {
+    await startServer();
+  });
+
+  after(stopServer);
+
+  beforeEach(resetMemoryDb);
+
+  const register = (body) =>
+    request('POST', '/api/auth/register', {
+      body: { name: 'New User', email: 'new-user@example.com', password: 'correct-horse-9', ...body },
+    });
+
+  it('creates a borrower', async () => {
+    const response = await register();
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.user.role, 'borrower');
+  });
+
+  it('ignores a requested staff role', async () => {
+    const response = await register({ role: 'manager' });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.user.role, 'borrower');
+    assert.deepEqual(getMemoryCollection('User').documents.map(user => user.role), ['borrower']);
+  });
+});
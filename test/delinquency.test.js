@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyLateFees, computeLateFee, getDelinquencyBucket, updateDelinquencyStatus } from '../utils/delinquency.js';
+
+const day = (month, date, hours = 0) => new Date(Date.UTC(2026, month - 1, date, hours));
+
+const installment = (dueDate, overrides = {}) => ({
+  dueDate,
+  amount: 200,
+  paidAmount: 0,
+  status: 'Pending',
+  ...overrides,
+});
+
+const buildApplication = (installments) => ({
+  installments,
+  totalAmount: 1000,
+  remainingAmount: 1000,
+  lateFeesTotal: 0,
+  pendingLedgerJournals: [],
+});
+
+describe('getDelinquencyBucket', () => {
+  it('buckets days past due at 30 and 60', () => {
+    assert.equal(getDelinquencyBucket(0), 'Current');
+    assert.equal(getDelinquencyBucket(1), '1-30');
+    assert.equal(getDelinquencyBucket(30), '1-30');
+    assert.equal(getDelinquencyBucket(31), '31-60');
+    assert.equal(getDelinquencyBucket(60), '31-60');
+    assert.equal(getDelinquencyBucket(61), '60+');
+  });
+});
+
+describe('updateDelinquencyStatus', () => {
+  const statusOn = (now, installments = [installment(day(1, 1))]) => {
+    const application = buildApplication(installments);
+    updateDelinquencyStatus(application, now);
+    return application;
+  };
+
+  it('counts days from the oldest unpaid due date', () => {
+    const cases = [
+      [day(1, 31), 30, '1-30'],
+      [day(2, 1), 31, '31-60'],
+      [day(3, 2), 60, '31-60'],
+      [day(3, 3), 61, '60+'],
+    ];
+
+    for (const [now, daysPastDue, bucket] of cases) {
+      const application = statusOn(now);
+      assert.equal(application.daysPastDue, daysPastDue);
+      assert.equal(application.delinquencyStatus, bucket);
+      assert.equal(application.installments[0].status, 'Overdue');
+    }
+  });
+
+  it('treats an installment missed by hours as one day late', () => {
+    const application = statusOn(day(1, 1, 12));
+
+    assert.equal(application.daysPastDue, 1);
+    assert.equal(application.delinquencyStatus, '1-30');
+  });
+
+  it('ignores paid and future installments', () => {
+    const application = statusOn(day(2, 15), [
+      installment(day(1, 1), { status: 'Paid', paidAmount: 200 }),
+      installment(day(2, 1)),
+      installment(day(3, 1)),
+    ]);
+
+    assert.equal(application.daysPastDue, 14);
+    assert.deepEqual(application.installments.map(i => i.status), ['Paid', 'Overdue', 'Pending']);
+  });
+
+  it('is current when nothing is past due', () => {
+    const application = statusOn(day(1, 1));
+
+    assert.equal(application.daysPastDue, 0);
+    assert.equal(application.delinquencyStatus, 'Current');
+    assert.equal(application.installments[0].status, 'Pending');
+  });
+});
+
+describe('computeLateFee', () => {
+  it('charges a flat amount or a percentage of the installment', () => {
+    assert.equal(computeLateFee({ feeType: 'flat', amount: 25 }, installment(day(1, 1))), 25);
+    assert.equal(computeLateFee({ feeType: 'percentage', amount: 5 }, installment(day(1, 1))), 10);
+    assert.equal(computeLateFee({ feeType: 'flat', amount: 0 }, installment(day(1, 1))), 0);
+    assert.equal(computeLateFee(undefined, installment(day(1, 1))), 0);
+  });
+});
+
+describe('applyLateFees', () => {
+  const policy = { feeType: 'flat', amount: 25, gracePeriodDays: 5 };
+
+  it('waits out the grace period', () => {
+    const application = buildApplication([installment(day(1, 1))]);
+
+    assert.equal(applyLateFees(application, policy, day(1, 6)), 0);
+    assert.equal(application.installments[0].lateFee, undefined);
+
+    assert.equal(applyLateFees(application, policy, day(1, 7)), 25);
+    assert.equal(application.installments[0].lateFee, 25);
+    assert.deepEqual(application.installments[0].lateFeeAppliedAt, day(1, 7));
+  });
+
+  it('charges each installment once', () => {
+    const application = buildApplication([installment(day(1, 1)), installment(day(2, 1))]);
+
+    assert.equal(applyLateFees(application, policy, day(1, 10)), 25);
+    assert.equal(applyLateFees(application, policy, day(1, 20)), 0);
+    assert.equal(applyLateFees(application, policy, day(2, 10)), 25);
+    assert.equal(applyLateFees(application, policy, day(3, 10)), 0);
+
+    assert.deepEqual(application.installments.map(i => i.lateFee), [25, 25]);
+    assert.equal(application.lateFeesTotal, 50);
+    assert.equal(application.totalAmount, 1050);
+    assert.equal(application.remainingAmount, 1050);
+    assert.deepEqual(application.pendingLedgerJournals.map(journal => journal.entryType), ['LateFee', 'LateFee']);
+  });
+
+  it('skips paid installments', () => {
+    const application = buildApplication([installment(day(1, 1), { status: 'Paid', paidAmount: 200 })]);
+
+    assert.equal(applyLateFees(application, policy, day(3, 1)), 0);
+    assert.equal(application.pendingLedgerJournals.length, 0);
+  });
+});
@@ -0,0 +1,64 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeProvider, WEBHOOK_TOLERANCE_SECONDS } from '../utils/paymentProviders/fakeProvider.js';
+import { getPaymentProvider, setPaymentProvider } from '../utils/paymentProviders/index.js';
+
+describe('fake provider webhooks', () => {
+  const provider = createFakeProvider({ webhookSecret: 'whsec_test' });
+  const payload = JSON.stringify({ id: 'evt_fake_1', type: 'payment_intent.succeeded' });
+  const now = () => Math.floor(Date.now() / 1000);
+
+  it('accepts a signed payload within the tolerance', () => {
+    const signature = provider.signWebhookPayload(payload, now() - WEBHOOK_TOLERANCE_SECONDS + 5);
+
+    assert.equal(provider.constructWebhookEvent(payload, signature).id, 'evt_fake_1');
+  });
+
+  it('rejects a replayed payload once its timestamp is too old', () => {
+    const signature = provider.signWebhookPayload(payload, now() - WEBHOOK_TOLERANCE_SECONDS - 5);
+
+    assert.throws(() => provider.constructWebhookEvent(payload, signature), /tolerance/);
+  });
+
+  it('rejects a payload signed with another secret', () => {
+    const signature = createFakeProvider({ webhookSecret: 'whsec_other' }).signWebhookPayload(payload);
+
+    assert.throws(() => provider.constructWebhookEvent(payload, signature), /expected signature/);
+  });
+
+  it('accepts no webhooks without a secret', () => {
+    const unsigned = createFakeProvider();
+
+    assert.equal(unsigned.webhookConfigured, false);
+    assert.throws(() => unsigned.constructWebhookEvent(payload, 't=1,v1=abc'), /No webhook secret/);
+  });
+});
+
+describe('getPaymentProvider with PAYMENT_PROVIDER=fake', () => {
+  const environment = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...environment };
+    setPaymentProvider(undefined);
+    mock.restoreAll();
+  });
+
+  it('uses FAKE_WEBHOOK_SECRET', () => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+    process.env.FAKE_WEBHOOK_SECRET = 'whsec_test';
+
+    const provider = getPaymentProvider();
+
+    assert.equal(provider.name, 'fake');
+    assert.equal(provider.webhookConfigured, true);
+  });
+
+  it('is refused in production', () => {
+    mock.method(console, 'error', () => {});
+    process.env.PAYMENT_PROVIDER = 'fake';
+    process.env.FAKE_WEBHOOK_SECRET = 'whsec_test';
+    process.env.NODE_ENV = 'production';
+
+    assert.equal(getPaymentProvider(), null);
+  });
+});
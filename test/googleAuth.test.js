@@ -0,0 +1,117 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { GoogleAuthError, setGoogleKeyFetcher, verifyGoogleIdToken } from '../utils/googleAuth.js';
+import { getMemoryCollection, request, resetMemoryDb, startServer, stopServer } from './helpers/server.js';
+
+// Google ID tokens signed with a local RSA key served through setGoogleKeyFetcher
+const CLIENT_ID = 'test-client.apps.googleusercontent.com';
+const KEY_ID = 'test-key-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const signIdToken = (claims = {}, { kid = KEY_ID, expiresIn = '1h' } = {}) =>
+  jwt.sign(
+    {
+      iss: 'https://accounts.google.com',
+      aud: CLIENT_ID,
+      sub: '1234567890',
+      email: 'borrower@example.com',
+      email_verified: true,
+      name: 'Test Borrower',
+      ...claims,
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: kid, expiresIn }
+  );
+
+const useLocalKey = () =>
+  setGoogleKeyFetcher(async () => ({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }],
+  }));
+
+const rejects = (token, message) =>
+  assert.rejects(verifyGoogleIdToken(token), (error) => {
+    assert.ok(error instanceof GoogleAuthError);
+    assert.equal(error.message, message);
+    return true;
+  });
+
+describe('verifyGoogleIdToken', () => {
+  beforeEach(() => {
+    process.env.GOOGLE_CLIENT_ID = CLIENT_ID;
+    useLocalKey();
+  });
+
+  it('returns the claims of a valid token', async () => {
+    const claims = await verifyGoogleIdToken(signIdToken());
+
+    assert.equal(claims.sub, '1234567890');
+    assert.equal(claims.email, 'borrower@example.com');
+  });
+
+  it('rejects a token for another client', () => rejects(signIdToken({ aud: 'other-client' }), 'Invalid Google token'));
+
+  it('rejects a token from another issuer', () => rejects(signIdToken({ iss: 'https://evil.example.com' }), 'Invalid Google token'));
+
+  it('rejects an expired token', () => rejects(signIdToken({}, { expiresIn: -60 }), 'Google token expired'));
+
+  it('rejects a token signed with an unknown key', async () => {
+    let fetches = 0;
+    setGoogleKeyFetcher(async () => {
+      fetches += 1;
+      return { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }] };
+    });
+
+    await rejects(signIdToken({}, { kid: 'rotated-away' }), 'Invalid Google token');
+    // The key set is refetched once in case Google rotated its keys
+    assert.equal(fetches, 2);
+  });
+
+  it('rejects an account whose email Google has not verified', () =>
+    rejects(signIdToken({ email_verified: false }), 'Google account email is not verified'));
+
+  it('rejects tokens not signed with RS256', () =>
+    rejects(jwt.sign({ aud: CLIENT_ID, iss: 'accounts.google.com' }, 'shared-secret', { keyid: KEY_ID }), 'Invalid Google token'));
+
+  it('reports missing configuration', async () => {
+    delete process.env.GOOGLE_CLIENT_ID;
+    await assert.rejects(verifyGoogleIdToken(signIdToken()), (error) => error instanceof GoogleAuthError && error.configuration);
+  });
+});
+
+describe('POST /api/auth/google', () => {
+  before(async () => {
+    await startServer();
+  });
+
+  after(stopServer);
+
+  beforeEach(() => {
+    resetMemoryDb();
+    process.env.GOOGLE_CLIENT_ID = CLIENT_ID;
+    useLocalKey();
+  });
+
+  it('creates one account when the first sign-ins arrive together', async () => {
+    const idToken = signIdToken({ sub: 'concurrent-sub', email: 'new-user@example.com' });
+
+    const responses = await Promise.all([
+      request('POST', '/api/auth/google', { body: { idToken } }),
+      request('POST', '/api/auth/google', { body: { idToken } }),
+    ]);
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 201]);
+    assert.equal(responses[0].body.user._id, responses[1].body.user._id);
+    assert.equal(getMemoryCollection('User').documents.length, 1);
+  });
+
+  it('refuses to link an account already linked to another Google account', async () => {
+    const first = await request('POST', '/api/auth/google', { body: { idToken: signIdToken({ sub: 'first-sub' }) } });
+    const second = await request('POST', '/api/auth/google', { body: { idToken: signIdToken({ sub: 'second-sub' }) } });
+
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 409);
+  });
+});
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+import LoanApplication from '../../models/LoanApplication.js';
+
+// A submitted application with a $10 fee. Pass overrides for other states.
+export const createApplication = (user, overrides = {}) =>
+  LoanApplication.create({
+    loanId: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    userEmail: user.email,
+    loanTitle: 'Small Business Loan',
+    interestRate: 12,
+    firstName: 'Test',
+    lastName: 'Borrower',
+    contactNumber: '+15550100',
+    nationalId: 'ID-1234',
+    incomeSource: 'Salary',
+    monthlyIncome: 4000,
+    loanAmount: 1200,
+    reasonForLoan: 'Equipment',
+    address: '1 Main Street',
+    status: 'Submitted',
+    submittedAt: new Date(),
+    currency: 'usd',
+    applicationFee: { feeType: 'flat', amount: 10, currency: 'usd' },
+    ...overrides,
+  });
@@ -0,0 +1,498 @@
+import mongoose from 'mongoose';
+
+// In-memory stand-in for the MongoDB driver so route tests run without a database server.
+//
+// Each model's driver collection is replaced with a MemoryCollection, so Mongoose itself (casting,
+// validation, save deltas, optimistic concurrency, hooks) runs exactly as in production. Only the
+// query and update operators the app uses are supported; anything else throws so a test never
+// passes against an operation the fake silently ignores. Unique indexes declared in the schemas
+// are enforced with the driver's duplicate key error (code 11000).
+
+const isObjectId = (value) => value?._bsontype === 'ObjectId' || value?._bsontype === 'ObjectID';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !isObjectId(value)
+  && !(value instanceof Date) && !Buffer.isBuffer(value);
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+};
+
+// Comparable form of a value: ObjectIds as hex strings, Dates as timestamps
+const normalize = (value) => {
+  if (isObjectId(value)) return value.toHexString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const isEqual = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (Array.isArray(left) && Array.isArray(right)) {
+    return left.length === right.length && left.every((item, i) => isEqual(item, right[i]));
+  }
+  if (isPlainObject(left) && isPlainObject(right)) {
+    const keys = Object.keys(left);
+    return keys.length === Object.keys(right).length && keys.every(key => isEqual(left[key], right[key]));
+  }
+  return left === right;
+};
+
+const compare = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+// Values at a dotted path, descending into arrays the way MongoDB does
+const valuesAt = (doc, path) => {
+  let current = [doc];
+  for (const part of path.split('.')) {
+    const next = [];
+    for (const value of current) {
+      if (Array.isArray(value) && !/^\d+$/.test(part)) {
+        for (const item of value) {
+          if (isPlainObject(item) && part in item) next.push(item[part]);
+        }
+      } else if (value !== null && typeof value === 'object' && part in value) {
+        next.push(value[part]);
+      }
+    }
+    current = next;
+  }
+  return current;
+};
+
+// Candidates a condition is tested against: each value plus the elements of array values
+const candidatesOf = (values) => values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+
+const matchesOperators = (values, condition) =>
+  Object.entries(condition).every(([operator, operand]) => {
+    const candidates = candidatesOf(values);
+    switch (operator) {
+      case '$eq':
+        return matchesValue(values, operand);
+      case '$ne':
+        return !matchesValue(values, operand);
+      case '$in':
+        return operand.some(item => matchesValue(values, item));
+      case '$nin':
+        return !operand.some(item => matchesValue(values, item));
+      case '$gt':
+        return candidates.some(value => value != null && compare(value, operand) > 0);
+      case '$gte':
+        return candidates.some(value => value != null && compare(value, operand) >= 0);
+      case '$lt':
+        return candidates.some(value => value != null && compare(value, operand) < 0);
+      case '$lte':
+        return candidates.some(value => value != null && compare(value, operand) <= 0);
+      case '$exists':
+        return (values.length > 0) === Boolean(operand);
+      case '$type':
+        if (operand !== 'string') throw new Error(`memoryDb: unsupported $type ${operand}`);
+        return candidates.some(value => typeof value === 'string');
+      case '$regex': {
+        const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+        return candidates.some(value => typeof value === 'string' && regex.test(value));
+      }
+      case '$options':
+        return true;
+      case '$elemMatch':
+        return values.some(value => Array.isArray(value) && value.some(item => matchesFilter(item, operand)));
+      default:
+        throw new Error(`memoryDb: unsupported query operator ${operator}`);
+    }
+  });
+
+// Equality as MongoDB applies it: null matches missing fields, scalars match array elements
+const matchesValue = (values, expected) => {
+  if (expected === null || expected === undefined) {
+    return values.length === 0 || candidatesOf(values).some(value => value === null || value === undefined);
+  }
+  if (expected instanceof RegExp) {
+    return candidatesOf(values).some(value => typeof value === 'string' && expected.test(value));
+  }
+  return candidatesOf(values).some(value => isEqual(value, expected));
+};
+
+const matchesFilter = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matchesFilter(doc, sub));
+    if (key === '$or') return condition.some(sub => matchesFilter(doc, sub));
+    if (key === '$nor') return !condition.some(sub => matchesFilter(doc, sub));
+    if (key.startsWith('$')) throw new Error(`memoryDb: unsupported query operator ${key}`);
+
+    const values = valuesAt(doc, key);
+    if (isPlainObject(condition) && Object.keys(condition).some(k => k.startsWith('$'))) {
+      return matchesOperators(values, condition);
+    }
+    return matchesValue(values, condition);
+  });
+
+const setPath = (doc, path, value) => {
+  const parts = path.split('.');
+  let target = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (target[part] === undefined || target[part] === null) target[part] = {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), doc);
+
+const unsetPath = (doc, path) => {
+  const parts = path.split('.');
+  const parent = getPath(doc, parts.slice(0, -1).join('.')) ?? (parts.length === 1 ? doc : undefined);
+  if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+};
+
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  // A replacement document (no operators)
+  if (!Object.keys(update).some(key => key.startsWith('$'))) {
+    const replacement = { _id: doc._id, ...clone(update) };
+    for (const key of Object.keys(doc)) delete doc[key];
+    Object.assign(doc, replacement);
+    return;
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, clone(value));
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(doc, path, clone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (getPath(doc, path) || 0) + value);
+          break;
+        case '$push': {
+          const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+          const array = getPath(doc, path) || [];
+          array.push(...clone(items));
+          setPath(doc, path, array);
+          break;
+        }
+        case '$addToSet': {
+          const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+          const array = getPath(doc, path) || [];
+          for (const item of items) {
+            if (!array.some(existing => isEqual(existing, item))) array.push(clone(item));
+          }
+          setPath(doc, path, array);
+          break;
+        }
+        case '$pullAll':
+          setPath(doc, path, (getPath(doc, path) || []).filter(item => !value.some(v => isEqual(item, v))));
+          break;
+        case '$pull':
+          setPath(doc, path, (getPath(doc, path) || []).filter(item =>
+            !(isPlainObject(value) ? matchesFilter(item, value) : isEqual(item, value))));
+          break;
+        default:
+          throw new Error(`memoryDb: unsupported update operator ${operator}`);
+      }
+    }
+  }
+};
+
+const applyProjection = (doc, projection) => {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+  const entries = Object.entries(projection).filter(([key]) => key !== '_id');
+  const inclusive = entries.some(([, include]) => include);
+  if (!inclusive) {
+    const result = clone(doc);
+    for (const [path] of entries) unsetPath(result, path);
+    if (projection._id === 0) delete result._id;
+    return result;
+  }
+
+  const result = projection._id === 0 ? {} : { _id: doc._id };
+  for (const [path] of entries) {
+    const value = getPath(doc, path);
+    if (value !== undefined) setPath(result, path, clone(value));
+  }
+  return result;
+};
+
+const sortDocuments = (docs, sort) => {
+  if (!sort) return docs;
+  const keys = Array.isArray(sort) ? sort : Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const order = compare(getPath(a, key), getPath(b, key));
+      if (order !== 0) return direction === -1 || direction === 'desc' ? -order : order;
+    }
+    return 0;
+  });
+};
+
+const duplicateKeyError = (collection, index) => {
+  const error = new Error(`E11000 duplicate key error collection: ${collection} index: ${Object.keys(index).join('_')}`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  return error;
+};
+
+const fieldValue = (doc, expression) => {
+  if (typeof expression !== 'string' || !expression.startsWith('$')) {
+    throw new Error(`memoryDb: unsupported aggregation expression ${JSON.stringify(expression)}`);
+  }
+  return getPath(doc, expression.slice(1)) ?? null;
+};
+
+const groupDocuments = (docs, { _id: idSpec, ...accumulators }) => {
+  const groups = new Map();
+  for (const doc of docs) {
+    const id = isPlainObject(idSpec)
+      ? Object.fromEntries(Object.entries(idSpec).map(([key, expression]) => [key, fieldValue(doc, expression)]))
+      : fieldValue(doc, idSpec);
+    const groupKey = JSON.stringify(isPlainObject(id) ? Object.values(id).map(normalize) : normalize(id));
+    if (!groups.has(groupKey)) groups.set(groupKey, { _id: id });
+    const group = groups.get(groupKey);
+
+    for (const [field, accumulator] of Object.entries(accumulators)) {
+      if (!('$sum' in accumulator)) throw new Error(`memoryDb: unsupported accumulator in ${field}`);
+      const value = typeof accumulator.$sum === 'number' ? accumulator.$sum : fieldValue(doc, accumulator.$sum);
+      group[field] = (group[field] || 0) + (typeof value === 'number' ? value : 0);
+    }
+  }
+  return [...groups.values()];
+};
+
+class MemoryCursor {
+  constructor(docs) {
+    this.docs = docs;
+  }
+
+  async toArray() {
+    return this.docs;
+  }
+
+  async next() {
+    return this.docs.shift() ?? null;
+  }
+
+  async close() {}
+}
+
+export class MemoryCollection {
+  constructor(name, uniqueIndexes = []) {
+    this.name = name;
+    this.uniqueIndexes = uniqueIndexes; // [{ fields, sparse, partialFilterExpression }]
+    this.documents = [];
+  }
+
+  assertUnique(candidate) {
+    for (const { fields, sparse, partialFilterExpression } of this.uniqueIndexes) {
+      const keyOf = (doc) => Object.keys(fields).map(field => normalize(getPath(doc, field)));
+      const indexed = (doc) => !partialFilterExpression || matchesFilter(doc, partialFilterExpression);
+      const key = keyOf(candidate);
+      if (sparse && key.every(value => value === undefined)) continue;
+      if (!indexed(candidate)) continue;
+
+      const clash = this.documents.some(doc =>
+        doc !== candidate && !isEqual(doc._id, candidate._id) && indexed(doc) && isEqual(keyOf(doc), key));
+      if (clash) throw duplicateKeyError(this.name, fields);
+    }
+  }
+
+  matching(filter) {
+    return this.documents.filter(doc => matchesFilter(doc, filter));
+  }
+
+  async insertOne(doc) {
+    const stored = clone(doc);
+    stored._id = stored._id ?? new mongoose.Types.ObjectId();
+    this.assertUnique(stored);
+    this.documents.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [i, doc] of docs.entries()) {
+      insertedIds[i] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = sortDocuments(this.matching(filter), options.sort);
+    return doc ? applyProjection(clone(doc), options.projection) : null;
+  }
+
+  find(filter, options = {}) {
+    let docs = sortDocuments(this.matching(filter), options.sort);
+    if (options.skip) docs = docs.slice(options.skip);
+    if (options.limit) docs = docs.slice(0, options.limit);
+    return new MemoryCursor(docs.map(doc => applyProjection(clone(doc), options.projection)));
+  }
+
+  async countDocuments(filter) {
+    return this.matching(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.documents.length;
+  }
+
+  async distinct(field, filter) {
+    const values = [];
+    for (const value of candidatesOf(this.matching(filter).flatMap(doc => valuesAt(doc, field)))) {
+      if (!Array.isArray(value) && !values.some(existing => isEqual(existing, value))) values.push(value);
+    }
+    return values;
+  }
+
+  updateDocument(doc, update, options = {}) {
+    const updated = clone(doc);
+    applyUpdate(updated, update, options);
+    this.assertUnique(updated);
+    this.documents[this.documents.indexOf(doc)] = updated;
+    return updated;
+  }
+
+  upsert(filter, update) {
+    const seed = Object.fromEntries(
+      Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isPlainObject(value))
+    );
+    const doc = { _id: new mongoose.Types.ObjectId(), ...clone(seed) };
+    applyUpdate(doc, update, { inserting: true });
+    this.assertUnique(doc);
+    this.documents.push(doc);
+    return doc;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = this.matching(filter);
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      const created = this.upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: created._id };
+    }
+    this.updateDocument(doc, update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.matching(filter);
+    for (const doc of docs) this.updateDocument(doc, update);
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0 };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = sortDocuments(this.matching(filter), options.sort);
+    let value;
+    if (!doc) {
+      const created = options.upsert ? this.upsert(filter, update) : null;
+      value = options.returnDocument === 'after' ? created : null;
+    } else {
+      const updated = this.updateDocument(doc, update);
+      value = options.returnDocument === 'after' ? updated : doc;
+    }
+
+    const result = value ? applyProjection(clone(value), options.projection) : null;
+    return options.includeResultMetadata ? { value: result, ok: 1 } : result;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.matching(filter);
+    if (doc) this.documents.splice(this.documents.indexOf(doc), 1);
+    const result = doc ? clone(doc) : null;
+    return options.includeResultMetadata ? { value: result, ok: 1 } : result;
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.matching(filter);
+    if (doc) this.documents.splice(this.documents.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const docs = this.matching(filter);
+    this.documents = this.documents.filter(doc => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  // Only $match and a $group with field references and $sum accumulators
+  aggregate(pipeline) {
+    let docs = this.documents;
+    for (const stage of pipeline) {
+      const [name, spec] = Object.entries(stage)[0];
+      if (name === '$match') {
+        docs = docs.filter(doc => matchesFilter(doc, spec));
+      } else if (name === '$group') {
+        docs = groupDocuments(docs, spec);
+      } else {
+        throw new Error(`memoryDb: unsupported aggregation stage ${name}`);
+      }
+    }
+    return new MemoryCursor(clone(docs));
+  }
+
+  async createIndex() {
+    return 'memory_index';
+  }
+
+  async createIndexes() {
+    return [];
+  }
+
+  async listIndexes() {
+    return new MemoryCursor([]);
+  }
+}
+
+const collections = new Map();
+
+// Swap every registered model's driver collection for an in-memory one and mark the connection
+// as open, so ensureDBConnection and verifyToken proceed. Import the app before calling this.
+export const useMemoryDb = () => {
+  mongoose.set('autoIndex', false);
+  mongoose.set('autoCreate', false);
+
+  for (const name of mongoose.modelNames()) {
+    const model = mongoose.model(name);
+    const uniqueIndexes = model.schema.indexes()
+      .filter(([, options]) => options?.unique)
+      .map(([fields, options]) => ({
+        fields,
+        sparse: Boolean(options.sparse),
+        partialFilterExpression: options.partialFilterExpression,
+      }));
+
+    const collection = new MemoryCollection(model.collection.name, uniqueIndexes);
+    model.collection.collection = collection;
+    model.collection.buffer = false;
+    collections.set(name, collection);
+  }
+
+  mongoose.connection.readyState = 1;
+};
+
+// Forget every stored document (call between tests)
+export const resetMemoryDb = () => {
+  for (const collection of collections.values()) {
+    collection.documents = [];
+  }
+};
+
+export const getMemoryCollection = (modelName) => collections.get(modelName);
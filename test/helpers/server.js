@@ -0,0 +1,55 @@
+import { getMemoryCollection, resetMemoryDb, useMemoryDb } from './memoryDb.js';
+
+// Start the Express app on a random port against the in-memory database.
+// Set provider environment variables before calling; the app is imported once per test file.
+
+process.env.VERCEL = '1'; // Don't connect to MongoDB or listen on import
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+let server;
+let baseUrl;
+
+export const startServer = async () => {
+  const { default: app } = await import('../../index.js');
+  useMemoryDb();
+
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return baseUrl;
+};
+
+export const stopServer = () => new Promise((resolve) => server.close(resolve));
+
+// fetch() against the app; JSON bodies are serialized unless `raw` is given
+export const request = async (method, path, { token, body, raw, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: raw ?? (body === undefined ? undefined : JSON.stringify(body)),
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null, headers: response.headers };
+};
+
+// A saved user with a live session; returns the user and an access token
+export const createUserWithSession = async ({ role = 'borrower', email } = {}) => {
+  const { default: User } = await import('../../models/User.js');
+  const { createSession } = await import('../../utils/sessions.js');
+
+  const user = await User.create({
+    name: `Test ${role}`,
+    email: email || `${role}-${Date.now()}-${Math.random().toString(16).slice(2)}@example.com`,
+    password: 'not-used-in-tests',
+    role,
+  });
+  const { accessToken } = await createSession(user, { headers: {}, ip: '127.0.0.1' });
+  return { user, token: accessToken };
+};
+
+export { getMemoryCollection, resetMemoryDb };
@@ -0,0 +1,104 @@
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createUserWithSession, getMemoryCollection, request, resetMemoryDb, startServer, stopServer } from './helpers/server.js';
+import { createApplication } from './helpers/fixtures.js';
+
+// Idempotency-Key on money-moving routes: which responses are stored for replay
+describe('Idempotency-Key', () => {
+  let LoanApplication;
+  let manager;
+  let application;
+
+  before(async () => {
+    await startServer();
+    ({ default: LoanApplication } = await import('../models/LoanApplication.js'));
+  });
+
+  after(stopServer);
+
+  beforeEach(async () => {
+    resetMemoryDb();
+    mock.restoreAll();
+    manager = await createUserWithSession({ role: 'manager' });
+    const { user: borrower } = await createUserWithSession();
+    application = await createApplication(borrower, { status: 'Disbursed', totalAmount: 1300, remainingAmount: 1300 });
+  });
+
+  const recordCash = () =>
+    request('POST', `/api/repayments/${application._id}`, {
+      token: manager.token,
+      headers: { 'Idempotency-Key': 'repayment-1' },
+      body: { amount: 100, paymentMethod: 'Cash', transactionId: 'receipt-1' },
+    });
+
+  it('replays a completed response', async () => {
+    const first = await recordCash();
+    const second = await recordCash();
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(second.body, first.body);
+    assert.equal((await LoanApplication.findById(application._id)).repayments.length, 1);
+  });
+
+  it('lets a request that hit a concurrent update be retried with the same key', async () => {
+    const save = mock.method(LoanApplication.prototype, 'save');
+    save.mock.mockImplementationOnce(async function () {
+      throw new mongoose.Error.VersionError(this, this.__v, ['repayments']);
+    });
+
+    const conflicted = await recordCash();
+    assert.equal(conflicted.status, 409);
+    assert.equal(getMemoryCollection('IdempotencyKey').documents.length, 0);
+
+    const retried = await recordCash();
+    assert.equal(retried.status, 200);
+    assert.equal(retried.headers.get('idempotent-replayed'), null);
+    assert.equal(retried.body.application.paidAmount, 100);
+  });
+
+  it('records a double-submitted disbursement tranche once', async () => {
+    const approved = await createApplication(manager.user, {
+      status: 'Approved',
+      approvedAt: new Date(),
+      emiPlan: '12 Months',
+      applicationFeeStatus: 'Paid',
+    });
+    const disburse = () =>
+      request('POST', `/api/applications/${approved._id}/disbursements`, {
+        token: manager.token,
+        headers: { 'Idempotency-Key': 'tranche-1' },
+        body: { method: 'Bank Transfer', reference: 'TRX-1', amount: 500 },
+      });
+
+    const first = await disburse();
+    const second = await disburse();
+
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 201);
+    assert.equal(second.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(second.body, first.body);
+
+    const stored = await LoanApplication.findById(approved._id);
+    assert.equal(stored.disbursements.length, 1);
+    assert.equal(getMemoryCollection('LedgerEntry').documents.filter(entry => entry.entryType === 'Disbursement').length, 2);
+  });
+
+  it('stores other client errors for replay', async () => {
+    const tooMuch = () =>
+      request('POST', `/api/repayments/${application._id}`, {
+        token: manager.token,
+        headers: { 'Idempotency-Key': 'repayment-2' },
+        body: { amount: 5000, paymentMethod: 'Cash' },
+      });
+
+    const first = await tooMuch();
+    const second = await tooMuch();
+
+    assert.equal(first.status, 400);
+    assert.equal(second.status, 400);
+    assert.equal(second.headers.get('idempotent-replayed'), 'true');
+  });
+});
@@ -0,0 +1,171 @@
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createUserWithSession, getMemoryCollection, request, resetMemoryDb, startServer, stopServer } from './helpers/server.js';
+import { createApplication } from './helpers/fixtures.js';
+
+process.env.CRON_SECRET = 'test-cron-secret';
+
+// Ledger journals are saved with the application and posted afterwards; reversals go the same way
+describe('ledger posting', () => {
+  let LoanApplication;
+  let LedgerEntry;
+  let admin;
+  let manager;
+  let application;
+
+  before(async () => {
+    await startServer();
+    ({ default: LoanApplication } = await import('../models/LoanApplication.js'));
+    ({ default: LedgerEntry } = await import('../models/LedgerEntry.js'));
+  });
+
+  after(stopServer);
+
+  beforeEach(async () => {
+    resetMemoryDb();
+    mock.restoreAll();
+    admin = await createUserWithSession({ role: 'admin' });
+    manager = await createUserWithSession({ role: 'manager' });
+    const { user: borrower } = await createUserWithSession();
+    application = await createApplication(borrower, {
+      status: 'Approved',
+      approvedAt: new Date(),
+      emiPlan: '12 Months',
+      applicationFeeStatus: 'Paid',
+    });
+
+    const disbursed = await request('POST', `/api/applications/${application._id}/disbursements`, {
+      token: manager.token,
+      body: { method: 'Bank Transfer', reference: 'TRX-1' },
+    });
+    assert.equal(disbursed.status, 201);
+  });
+
+  const recordCash = (amount = 100, transactionId = 'receipt-1') =>
+    request('POST', `/api/repayments/${application._id}`, {
+      token: manager.token,
+      body: { amount, paymentMethod: 'Cash', transactionId },
+    });
+
+  const ledgerLines = (entryType) =>
+    getMemoryCollection('LedgerEntry').documents.filter(entry => entry.entryType === entryType);
+
+  const reverse = (journalId) =>
+    request('POST', `/api/ledger/journals/${journalId}/reverse`, {
+      token: admin.token,
+      body: { reason: 'Bounced' },
+    });
+
+  it('keeps a journal pending when posting fails and posts it on retry', async () => {
+    const insertMany = mock.method(LedgerEntry, 'insertMany');
+    insertMany.mock.mockImplementationOnce(async () => {
+      throw new Error('ledger unavailable');
+    });
+
+    const recorded = await recordCash();
+    assert.equal(recorded.status, 200);
+    assert.equal(ledgerLines('Repayment').length, 0);
+
+    const stored = await LoanApplication.findById(application._id);
+    assert.equal(stored.pendingLedgerJournals.length, 1);
+    assert.equal(stored.pendingLedgerJournals[0].entryType, 'Repayment');
+
+    // Balances count the pending journal, and reconciliation points it out
+    const balances = await request('GET', `/api/repayments/${application._id}`, { token: manager.token });
+    assert.equal(balances.body.paidAmount, 100);
+
+    const reconciliation = await request('GET', '/api/ledger/reconciliation', { token: admin.token });
+    assert.deepEqual(reconciliation.body.discrepancies.map(d => d.issues), [['1 ledger journal(s) not posted yet']]);
+
+    const retried = await request('POST', '/api/jobs/ledger-retry', {
+      headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` },
+    });
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.posted, 1);
+
+    assert.equal(ledgerLines('Repayment').length, 2);
+    assert.equal((await LoanApplication.findById(application._id)).pendingLedgerJournals.length, 0);
+    const afterRetry = await request('GET', '/api/ledger/reconciliation', { token: admin.token });
+    assert.equal(afterRetry.body.discrepancyCount, 0);
+  });
+
+  it('completes a partly posted journal without duplicating lines', async () => {
+    const { postJournal } = await import('../utils/ledger.js');
+    const journal = {
+      journalId: new mongoose.Types.ObjectId().toString(),
+      applicationId: application._id,
+      entryType: 'Repayment',
+      lines: [
+        { account: 'cash', debit: 25, credit: 0 },
+        { account: 'loans_receivable', debit: 0, credit: 25 },
+      ],
+    };
+
+    await LedgerEntry.create({ ...journal, ...journal.lines[0], lines: undefined });
+    await postJournal(journal);
+    await postJournal(journal);
+
+    assert.deepEqual(ledgerLines('Repayment').map(entry => entry.account).sort(), ['cash', 'loans_receivable']);
+  });
+
+  it('reverses a repayment once', async () => {
+    assert.equal((await recordCash()).status, 200);
+    const [repaymentLine] = ledgerLines('Repayment');
+
+    const reversed = await reverse(repaymentLine.journalId);
+    const again = await reverse(repaymentLine.journalId);
+
+    assert.equal(reversed.status, 200);
+    assert.equal(reversed.body.application.paidAmount, 0);
+    assert.equal(again.status, 409);
+    assert.equal(ledgerLines('Reversal').length, 2);
+
+    const stored = await LoanApplication.findById(application._id);
+    assert.ok(stored.repayments[0].reversedAt);
+    assert.equal(stored.pendingLedgerJournals.length, 0);
+  });
+
+  it('posts nothing when saving the reversed application fails', async () => {
+    assert.equal((await recordCash()).status, 200);
+    const [repaymentLine] = ledgerLines('Repayment');
+
+    const save = mock.method(LoanApplication.prototype, 'save');
+    save.mock.mockImplementationOnce(async function () {
+      throw new mongoose.Error.VersionError(this, this.__v, ['repayments']);
+    });
+
+    const response = await reverse(repaymentLine.journalId);
+
+    assert.equal(response.status, 409);
+    assert.equal(ledgerLines('Reversal').length, 0);
+    assert.equal((await LoanApplication.findById(application._id)).repayments[0].reversedAt, undefined);
+  });
+
+  it('lets only one of two concurrent reversals through', async () => {
+    assert.equal((await recordCash()).status, 200);
+    const [repaymentLine] = ledgerLines('Repayment');
+
+    const responses = await Promise.all([reverse(repaymentLine.journalId), reverse(repaymentLine.journalId)]);
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 409]);
+    assert.equal(ledgerLines('Reversal').length, 2);
+  });
+
+  it('refuses a second reversal journal for the same journal at the database', async () => {
+    const journalId = new mongoose.Types.ObjectId().toString();
+    const reversal = (account, debit, credit) => ({
+      journalId: new mongoose.Types.ObjectId().toString(),
+      applicationId: application._id,
+      entryType: 'Reversal',
+      reversedEntryType: 'Repayment',
+      reverses: journalId,
+      account,
+      debit,
+      credit,
+    });
+
+    await LedgerEntry.create(reversal('cash', 0, 25));
+    await assert.rejects(LedgerEntry.create(reversal('cash', 0, 25)), (error) => error.code === 11000);
+  });
+});
@@ -0,0 +1,97 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUserWithSession, request, resetMemoryDb, startServer, stopServer } from './helpers/server.js';
+import { createPasswordResetToken, getPasswordPolicyErrors } from '../utils/passwords.js';
+
+describe('getPasswordPolicyErrors', () => {
+  it('accepts a long enough password with a letter and a number', () => {
+    assert.deepEqual(getPasswordPolicyErrors('correct-horse-9'), []);
+  });
+
+  it('requires the minimum length', () => {
+    assert.deepEqual(getPasswordPolicyErrors('abc1234'), ['password must be 8 to 128 characters']);
+    assert.deepEqual(getPasswordPolicyErrors('abcd1234'), []);
+    assert.deepEqual(getPasswordPolicyErrors(`a1${'x'.repeat(127)}`), ['password must be 8 to 128 characters']);
+  });
+
+  it('follows PASSWORD_MIN_LENGTH', () => {
+    process.env.PASSWORD_MIN_LENGTH = '12';
+    try {
+      assert.deepEqual(getPasswordPolicyErrors('abcd12345'), ['password must be 12 to 128 characters']);
+    } finally {
+      delete process.env.PASSWORD_MIN_LENGTH;
+    }
+  });
+
+  it('requires a letter and a number', () => {
+    const error = 'password must contain at least one letter and one number';
+
+    assert.deepEqual(getPasswordPolicyErrors('abcdefghij'), [error]);
+    assert.deepEqual(getPasswordPolicyErrors('1234567890'), [error]);
+  });
+
+  it('refuses common passwords in any case', () => {
+    assert.deepEqual(getPasswordPolicyErrors('Password123'), ['password is too common']);
+    assert.deepEqual(getPasswordPolicyErrors('LOANLINK1'), ['password is too common']);
+  });
+});
+
+// Resetting a password with an emailed token (POST /api/auth/reset-password)
+describe('POST /api/auth/reset-password', () => {
+  let User;
+  let user;
+  let token;
+
+  before(async () => {
+    await startServer();
+    ({ default: User } = await import('../models/User.js'));
+  });
+
+  after(stopServer);
+
+  beforeEach(async () => {
+    resetMemoryDb();
+    ({ user } = await createUserWithSession());
+    token = createPasswordResetToken(user);
+    await user.save();
+  });
+
+  const resetPassword = (body) =>
+    request('POST', '/api/auth/reset-password', { body: { token, password: 'new-password-42', ...body } });
+
+  it('sets the password once per token', async () => {
+    const first = await resetPassword();
+    const second = await resetPassword({ password: 'another-password-7' });
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 400);
+    assert.equal(second.body.message, 'Reset link is invalid or has expired');
+
+    const login = await request('POST', '/api/auth/login', { body: { email: user.email, password: 'new-password-42' } });
+    assert.equal(login.status, 200);
+  });
+
+  it('refuses an expired token', async () => {
+    await User.updateOne({ _id: user._id }, { $set: { 'passwordReset.expiresAt': new Date(Date.now() - 1000) } });
+
+    const response = await resetPassword();
+
+    assert.equal(response.status, 400);
+    assert.equal((await User.findById(user._id)).password, user.password);
+  });
+
+  it('refuses a token replaced by a newer one', async () => {
+    const stored = await User.findById(user._id);
+    createPasswordResetToken(stored);
+    await stored.save();
+
+    assert.equal((await resetPassword()).status, 400);
+  });
+
+  it('applies the password policy', async () => {
+    const response = await resetPassword({ password: 'password123' });
+
+    assert.equal(response.status, 422);
+    assert.deepEqual(response.body.errors, [{ field: 'password', message: 'password is too common' }]);
+  });
+});
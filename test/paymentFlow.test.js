@@ -0,0 +1,102 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUserWithSession, request, startServer, stopServer } from './helpers/server.js';
+import { createApplication } from './helpers/fixtures.js';
+
+// The whole fee and repayment flow against the fake payment provider - no network involved
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.FAKE_WEBHOOK_SECRET = 'whsec_test';
+
+describe('fee and repayment flow (PAYMENT_PROVIDER=fake)', () => {
+  let LoanApplication;
+  let getLedgerBalances;
+  let provider;
+
+  before(async () => {
+    await startServer();
+    ({ default: LoanApplication } = await import('../models/LoanApplication.js'));
+    ({ getLedgerBalances } = await import('../utils/ledger.js'));
+    const { getPaymentProvider } = await import('../utils/paymentProviders/index.js');
+    provider = getPaymentProvider();
+  });
+
+  after(stopServer);
+
+  it('pays the fee, disburses the loan and applies a repayment to the ledger', async () => {
+    const borrower = await createUserWithSession();
+    const manager = await createUserWithSession({ role: 'manager' });
+    const application = await createApplication(borrower.user);
+    const applicationId = application._id.toString();
+
+    assert.equal(provider.name, 'fake');
+
+    // Application fee: create the intent, then confirm it with the test card
+    const feeIntent = await request('POST', '/api/payments/create-intent', {
+      token: borrower.token,
+      body: { applicationId },
+    });
+    assert.equal(feeIntent.status, 200);
+    assert.match(feeIntent.body.paymentIntentId, /^pi_fake_/);
+
+    const confirmed = await request('POST', '/api/payments/confirm', {
+      token: borrower.token,
+      body: { applicationId, transactionId: feeIntent.body.paymentIntentId, paymentMethodId: 'pm_card_visa' },
+    });
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.application.applicationFeeStatus, 'Paid');
+    assert.equal(confirmed.body.application.paymentDetails.amount, 10);
+
+    // Approval is covered elsewhere; disbursement starts the repayment schedule
+    await LoanApplication.updateOne(
+      { _id: application._id },
+      { $set: { status: 'Approved', approvedAt: new Date(), emiPlan: '12 Months' } }
+    );
+    const disbursed = await request('POST', `/api/applications/${applicationId}/disbursements`, {
+      token: manager.token,
+      body: { method: 'Bank Transfer', reference: 'TRX-1' },
+    });
+    assert.equal(disbursed.status, 201);
+    assert.equal(disbursed.body.status, 'Disbursed');
+    const totalAmount = Math.round(disbursed.body.installments.reduce((sum, i) => sum + i.amount, 0) * 100) / 100;
+    assert.ok(totalAmount > 1200);
+
+    // Repayment: create the intent, pay it, and let the signed webhook apply it
+    const repaymentIntent = await request('POST', '/api/payments/create-repayment-intent', {
+      token: borrower.token,
+      body: { applicationId, amount: 15000 },
+    });
+    assert.equal(repaymentIntent.status, 200);
+
+    const paid = await provider.confirmPaymentIntent(repaymentIntent.body.paymentIntentId, { paymentMethodId: 'pm_card_visa' });
+    const payload = JSON.stringify({
+      id: 'evt_fake_repayment',
+      object: 'event',
+      type: 'payment_intent.succeeded',
+      data: { object: paid },
+    });
+    const webhook = await request('POST', '/api/payments/webhook', {
+      raw: payload,
+      headers: { 'stripe-signature': provider.signWebhookPayload(payload) },
+    });
+    assert.equal(webhook.status, 200);
+    assert.deepEqual(webhook.body, { received: true });
+
+    // Balances come from the ledger and agree with the stored totals
+    const repayments = await request('GET', `/api/repayments/${applicationId}`, { token: borrower.token });
+    assert.equal(repayments.status, 200);
+    assert.equal(repayments.body.balanceSource, 'ledger');
+    assert.equal(repayments.body.totalAmount, totalAmount);
+    assert.equal(repayments.body.paidAmount, 150);
+    assert.equal(repayments.body.remainingAmount, Math.round((totalAmount - 150) * 100) / 100);
+    assert.equal(repayments.body.repaymentStatus, 'In Progress');
+    assert.equal(repayments.body.installments[0].status, 'Paid');
+
+    const stored = await LoanApplication.findById(application._id);
+    assert.equal(stored.pendingLedgerJournals.length, 0);
+
+    const ledger = await getLedgerBalances(stored);
+    assert.equal(ledger.feesCollected, 10);
+    assert.equal(stored.paidAmount, ledger.paidAmount);
+    assert.equal(stored.remainingAmount, ledger.remainingAmount);
+  });
+});
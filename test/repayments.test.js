@@ -0,0 +1,170 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUserWithSession, request, resetMemoryDb, startServer, stopServer } from './helpers/server.js';
+import { createApplication } from './helpers/fixtures.js';
+import { createFakeProvider } from '../utils/paymentProviders/fakeProvider.js';
+import { setPaymentProvider } from '../utils/paymentProviders/index.js';
+
+// Recording repayments directly: borrowers must prove the payment with the provider
+describe('POST /api/repayments/:applicationId', () => {
+  const provider = createFakeProvider();
+  let borrower;
+  let application;
+
+  before(async () => {
+    await startServer();
+    setPaymentProvider(provider);
+  });
+
+  after(stopServer);
+
+  beforeEach(async () => {
+    resetMemoryDb();
+    provider.reset();
+    borrower = await createUserWithSession();
+    application = await createApplication(borrower.user, {
+      status: 'Disbursed',
+      totalAmount: 1300,
+      remainingAmount: 1300,
+    });
+  });
+
+  const payRepayment = async (amount) => {
+    const intent = await provider.createPaymentIntent({
+      amount,
+      currency: 'usd',
+      metadata: { applicationId: application._id.toString(), type: 'repayment' },
+    });
+    return provider.confirmPaymentIntent(intent.id, { paymentMethodId: 'pm_card_visa' });
+  };
+
+  it('refuses manual payment methods from borrowers', async () => {
+    const response = await request('POST', `/api/repayments/${application._id}`, {
+      token: borrower.token,
+      body: { amount: 1300, paymentMethod: 'Cash' },
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.message, 'Only staff can record manual repayments');
+  });
+
+  it('refuses a transaction ID the provider does not know', async () => {
+    const response = await request('POST', `/api/repayments/${application._id}`, {
+      token: borrower.token,
+      body: { amount: 50, transactionId: 'pi_made_up' },
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('refuses a transaction ID the provider has not settled', async () => {
+    const intent = await provider.createPaymentIntent({
+      amount: 5000,
+      currency: 'usd',
+      metadata: { applicationId: application._id.toString(), type: 'repayment' },
+    });
+
+    const response = await request('POST', `/api/repayments/${application._id}`, {
+      token: borrower.token,
+      body: { amount: 50, transactionId: intent.id },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Payment does not match this repayment');
+  });
+
+  it('refuses an amount larger than the verified payment', async () => {
+    const intent = await payRepayment(5000);
+
+    const response = await request('POST', `/api/repayments/${application._id}`, {
+      token: borrower.token,
+      body: { amount: 500, transactionId: intent.id },
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('records a verified provider payment once', async () => {
+    const intent = await payRepayment(5000);
+
+    const response = await request('POST', `/api/repayments/${application._id}`, {
+      token: borrower.token,
+      body: { amount: 50, transactionId: intent.id },
+    });
+    const replayed = await request('POST', `/api/repayments/${application._id}`, {
+      token: borrower.token,
+      body: { amount: 50, transactionId: intent.id },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.application.paidAmount, 50);
+    assert.equal(response.body.application.remainingAmount, 1250);
+    assert.equal(replayed.status, 409);
+  });
+
+  it('lets staff record a manual payment', async () => {
+    const manager = await createUserWithSession({ role: 'manager' });
+
+    const response = await request('POST', `/api/repayments/${application._id}`, {
+      token: manager.token,
+      body: { amount: 100, paymentMethod: 'Cash', transactionId: 'receipt-42' },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.application.paidAmount, 100);
+  });
+});
+
+// Settling a loan from a payoff quote: the provider payment must be a settlement for this loan
+describe('POST /api/repayments/:applicationId/settle', () => {
+  const provider = createFakeProvider();
+  let borrower;
+  let application;
+
+  before(async () => {
+    await startServer();
+    setPaymentProvider(provider);
+  });
+
+  after(stopServer);
+
+  beforeEach(async () => {
+    resetMemoryDb();
+    provider.reset();
+    borrower = await createUserWithSession();
+    application = await createApplication(borrower.user, {
+      status: 'Disbursed',
+      totalAmount: 1300,
+      remainingAmount: 1300,
+    });
+  });
+
+  const settleWithPayment = async (type) => {
+    const { body: quote } = await request('GET', `/api/repayments/${application._id}/payoff-quote`, { token: borrower.token });
+    const intent = await provider.createPaymentIntent({
+      amount: Math.round(quote.settlementAmount * 100),
+      currency: 'usd',
+      metadata: { applicationId: application._id.toString(), type },
+    });
+    await provider.confirmPaymentIntent(intent.id, { paymentMethodId: 'pm_card_visa' });
+
+    return request('POST', `/api/repayments/${application._id}/settle`, {
+      token: borrower.token,
+      body: { amount: quote.settlementAmount, transactionId: intent.id },
+    });
+  };
+
+  it('refuses a repayment payment of the same amount', async () => {
+    const response = await settleWithPayment('repayment');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Payment does not match this payoff quote');
+  });
+
+  it('settles the loan with a settlement payment', async () => {
+    const response = await settleWithPayment('settlement');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.application.repaymentStatus, 'Complete');
+  });
+});
@@ -0,0 +1,68 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUserWithSession, getMemoryCollection, request, resetMemoryDb, startServer, stopServer } from './helpers/server.js';
+import { createSession, rotateRefreshToken } from '../utils/sessions.js';
+
+// Refresh token rotation with POST /api/auth/refresh
+describe('POST /api/auth/refresh', () => {
+  let refreshToken;
+
+  before(async () => {
+    await startServer();
+  });
+
+  after(stopServer);
+
+  beforeEach(async () => {
+    resetMemoryDb();
+    const { user } = await createUserWithSession();
+    ({ refreshToken } = await createSession(user, { headers: {}, ip: '127.0.0.1' }));
+  });
+
+  const refresh = (token) => request('POST', '/api/auth/refresh', { body: { refreshToken: token } });
+
+  const sessionFor = (token) =>
+    getMemoryCollection('Session').documents.find(session => session._id.toString() === token.split('.')[0]);
+
+  it('rotates the refresh token', async () => {
+    const response = await refresh(refreshToken);
+
+    assert.equal(response.status, 200);
+    assert.notEqual(response.body.refreshToken, refreshToken);
+    assert.equal((await request('GET', '/api/auth/me', { token: response.body.token })).status, 200);
+
+    const next = await refresh(response.body.refreshToken);
+    assert.equal(next.status, 200);
+  });
+
+  it('revokes the session when a replaced token is used again', async () => {
+    const rotated = await refresh(refreshToken);
+
+    const reused = await refresh(refreshToken);
+
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, 'SESSION_EXPIRED');
+    assert.equal(sessionFor(refreshToken).revokedReason, 'Refresh token reused');
+    assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+    assert.equal((await request('GET', '/api/auth/me', { token: rotated.body.token })).status, 401);
+  });
+
+  it('rotates a token presented twice at once only once', async () => {
+    const req = { headers: {}, ip: '127.0.0.1' };
+
+    const results = await Promise.allSettled([rotateRefreshToken(refreshToken, req), rotateRefreshToken(refreshToken, req)]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.ok(sessionFor(refreshToken).revokedAt);
+  });
+
+  it('refuses an unknown token without touching the session', async () => {
+    const [sessionId] = refreshToken.split('.');
+
+    const response = await refresh(`${sessionId}.not-the-secret`);
+
+    assert.equal(response.status, 401);
+    assert.equal(sessionFor(refreshToken).revokedAt, null);
+    assert.equal((await refresh(refreshToken)).status, 200);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { base32Decode, base32Encode, generateTotp, getTimeStep, verifyTotp } from '../utils/totp.js';
+
+// RFC 6238 appendix B, SHA-1: the ASCII secret "12345678901234567890". The RFC lists 8-digit
+// codes; a 6-digit code is the last six digits of the same value.
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130'],
+];
+
+describe('TOTP', () => {
+  it('encodes secrets in base32', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(base32Decode(RFC_SECRET.toLowerCase()).toString(), '12345678901234567890');
+    assert.throws(() => base32Decode('GEZ1'), /Invalid base32 character/);
+  });
+
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    for (const [seconds, code] of RFC_VECTORS) {
+      assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code.slice(-6), `T = ${seconds}`);
+    }
+  });
+
+  it('accepts a code one step either side of now', () => {
+    const now = 1111111111 * 1000;
+    const step = getTimeStep(now);
+
+    assert.equal(verifyTotp(RFC_SECRET, '050471', { now }), step);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 30000), { now }), step - 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30000), { now }), step + 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 60000), { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '12345', { now }), null);
+  });
+
+  it('rejects steps at or before afterStep', () => {
+    const now = 1111111111 * 1000;
+    const step = getTimeStep(now);
+
+    assert.equal(verifyTotp(RFC_SECRET, '050471', { now, afterStep: step }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '050471', { now, afterStep: step - 1 }), step);
+  });
+});
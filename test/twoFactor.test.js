@@ -0,0 +1,111 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUserWithSession, request, resetMemoryDb, startServer, stopServer } from './helpers/server.js';
+import { generateTotp } from '../utils/totp.js';
+import {
+  confirmEnrollment,
+  createChallengeToken,
+  getLockoutWait,
+  startEnrollment,
+  verifySecondFactor,
+} from '../utils/twoFactor.js';
+
+process.env.TWO_FACTOR_MAX_ATTEMPTS = '3';
+
+const STEP_MS = 30 * 1000;
+
+// Finishing a two-factor login with POST /api/auth/login/2fa
+describe('two-factor login', () => {
+  let User;
+  let user;
+  let secret;
+  let recoveryCodes;
+  let enrollmentCode;
+
+  before(async () => {
+    await startServer();
+    ({ default: User } = await import('../models/User.js'));
+  });
+
+  after(stopServer);
+
+  beforeEach(async () => {
+    resetMemoryDb();
+    ({ user } = await createUserWithSession({ role: 'manager' }));
+    ({ secret } = startEnrollment(user));
+    enrollmentCode = generateTotp(secret);
+    recoveryCodes = confirmEnrollment(user, enrollmentCode);
+    await user.save();
+  });
+
+  const finishLogin = (body) =>
+    request('POST', '/api/auth/login/2fa', { body: { challengeToken: createChallengeToken(user), ...body } });
+
+  // Enrollment used up the current step, so the next fresh code is one step ahead
+  const nextCode = () => generateTotp(secret, Date.now() + STEP_MS);
+
+  it('accepts a code from the authenticator app once', async () => {
+    const code = nextCode();
+
+    const first = await finishLogin({ code });
+    const replayed = await finishLogin({ code });
+
+    assert.equal(first.status, 200);
+    assert.ok(first.body.token);
+    assert.equal(replayed.status, 401);
+    assert.equal(replayed.body.message, 'Invalid authentication code');
+  });
+
+  it('refuses the code used to confirm enrollment', async () => {
+    const response = await finishLogin({ code: enrollmentCode });
+
+    assert.equal(response.status, 401);
+  });
+
+  it('locks codes out after TWO_FACTOR_MAX_ATTEMPTS wrong ones', async () => {
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const response = await finishLogin({ code: '000000' });
+      assert.equal(response.status, 401, `attempt ${attempt}`);
+    }
+
+    const locked = await finishLogin({ code: nextCode() });
+
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 14 * 60);
+    const stored = await User.findById(user._id);
+    assert.ok(getLockoutWait(stored) > 0);
+    assert.equal(stored.twoFactor.failedAttempts, 0);
+  });
+
+  it('resets the count of wrong codes after a correct one', async () => {
+    await finishLogin({ code: '000000' });
+    await finishLogin({ code: '000000' });
+    assert.equal((await finishLogin({ code: nextCode() })).status, 200);
+
+    assert.equal((await finishLogin({ code: '000000' })).status, 401);
+    assert.equal((await User.findById(user._id)).twoFactor.failedAttempts, 1);
+  });
+
+  it('uses up a recovery code', async () => {
+    const first = await finishLogin({ recoveryCode: recoveryCodes[0].toUpperCase() });
+    const again = await finishLogin({ recoveryCode: recoveryCodes[0] });
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.recoveryCodesRemaining, 9);
+    assert.equal(again.status, 401);
+    assert.equal((await User.findById(user._id)).twoFactor.recoveryCodeHashes.length, 9);
+  });
+});
+
+describe('verifySecondFactor', () => {
+  it('does not accept a recovery code twice or a made-up one', () => {
+    const user = { email: 'user@example.com', twoFactor: { recoveryCodeHashes: [] } };
+    const { secret } = startEnrollment(user);
+    const [code] = confirmEnrollment(user, generateTotp(secret));
+
+    assert.equal(verifySecondFactor(user, { recoveryCode: code }), 'recovery');
+    assert.equal(verifySecondFactor(user, { recoveryCode: code }), null);
+    assert.equal(verifySecondFactor(user, { recoveryCode: 'aaaaa-bbbbb' }), null);
+    assert.equal(user.twoFactor.recoveryCodeHashes.length, 9);
+  });
+});
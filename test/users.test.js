@@ -0,0 +1,49 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUserWithSession, request, resetMemoryDb, startServer, stopServer } from './helpers/server.js';
+import { createPasswordResetToken } from '../utils/passwords.js';
+import { confirmEnrollment, startEnrollment } from '../utils/twoFactor.js';
+import { generateTotp } from '../utils/totp.js';
+
+// User documents sent in responses leave out credentials and token hashes
+describe('PUT /api/users/:id/role', () => {
+  let admin;
+  let user;
+
+  before(async () => {
+    await startServer();
+  });
+
+  after(stopServer);
+
+  beforeEach(async () => {
+    resetMemoryDb();
+    admin = await createUserWithSession({ role: 'admin' });
+    ({ user } = await createUserWithSession());
+
+    createPasswordResetToken(user);
+    user.emailVerification = { tokenHash: 'verification-hash', sentAt: new Date() };
+    const { secret } = startEnrollment(user);
+    confirmEnrollment(user, generateTotp(secret));
+    await user.save();
+  });
+
+  it('returns the user without secrets', async () => {
+    const response = await request('PUT', `/api/users/${user._id}/role`, {
+      token: admin.token,
+      body: { role: 'manager' },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.role, 'manager');
+    assert.equal(response.body.email, user.email);
+    for (const field of ['password', 'passwordReset', 'emailVerification']) {
+      assert.equal(field in response.body, false, field);
+    }
+    assert.equal(response.body.twoFactor.enabled, true);
+    assert.deepEqual(
+      ['secret', 'pendingSecret', 'recoveryCodeHashes'].filter(field => field in response.body.twoFactor),
+      []
+    );
+  });
+});
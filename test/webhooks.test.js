@@ -0,0 +1,152 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import {
+  createUserWithSession,
+  getMemoryCollection,
+  request,
+  resetMemoryDb,
+  startServer,
+  stopServer,
+} from './helpers/server.js';
+import { createApplication } from './helpers/fixtures.js';
+
+// Stripe webhook: events are built locally and signed with the webhook secret, as Stripe would
+const WEBHOOK_SECRET = 'whsec_test_secret';
+process.env.PAYMENT_PROVIDER = 'stripe';
+process.env.STRIPE_SECRET_KEY = 'sk_test_webhooks';
+process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+let LoanApplication;
+let sequence = 0;
+
+const paymentIntentEvent = (type, application, overrides = {}) => ({
+  id: `evt_test_${++sequence}`,
+  object: 'event',
+  type,
+  data: {
+    object: {
+      id: `pi_test_${sequence}`,
+      object: 'payment_intent',
+      amount: 1000,
+      amount_received: type === 'payment_intent.succeeded' ? 1000 : 0,
+      currency: 'usd',
+      created: Math.floor(Date.now() / 1000),
+      metadata: { applicationId: application._id.toString(), type: 'application_fee' },
+      last_payment_error: null,
+      cancellation_reason: null,
+      ...overrides,
+    },
+  },
+});
+
+const deliver = (event, { secret = WEBHOOK_SECRET } = {}) => {
+  const payload = JSON.stringify(event);
+  return request('POST', '/api/payments/webhook', {
+    raw: payload,
+    headers: { 'stripe-signature': stripe.webhooks.generateTestHeaderString({ payload, secret }) },
+  });
+};
+
+describe('POST /api/payments/webhook', () => {
+  let borrower;
+
+  before(async () => {
+    await startServer();
+    ({ default: LoanApplication } = await import('../models/LoanApplication.js'));
+  });
+
+  after(stopServer);
+
+  beforeEach(async () => {
+    resetMemoryDb();
+    ({ user: borrower } = await createUserWithSession());
+  });
+
+  it('marks the application fee paid for payment_intent.succeeded', async () => {
+    const application = await createApplication(borrower);
+    const event = paymentIntentEvent('payment_intent.succeeded', application);
+
+    const response = await deliver(event);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { received: true });
+
+    const updated = await LoanApplication.findById(application._id);
+    assert.equal(updated.applicationFeeStatus, 'Paid');
+    assert.equal(updated.paymentDetails.transactionId, event.data.object.id);
+    assert.equal(updated.paymentDetails.amount, 10);
+    assert.equal(updated.lastPaymentAttempt.status, 'Succeeded');
+
+    const ledger = getMemoryCollection('LedgerEntry').documents;
+    assert.deepEqual(ledger.map(entry => [entry.entryType, entry.account, entry.debit, entry.credit]), [
+      ['Fee', 'cash', 10, 0],
+      ['Fee', 'fee_income', 0, 10],
+    ]);
+  });
+
+  it('records payment_intent.payment_failed without touching the fee', async () => {
+    const application = await createApplication(borrower);
+    const event = paymentIntentEvent('payment_intent.payment_failed', application, {
+      last_payment_error: { message: 'Your card was declined.' },
+    });
+
+    const response = await deliver(event);
+
+    assert.equal(response.status, 200);
+    const updated = await LoanApplication.findById(application._id);
+    assert.equal(updated.applicationFeeStatus, 'Unpaid');
+    assert.equal(updated.lastPaymentAttempt.status, 'Failed');
+    assert.equal(updated.lastPaymentAttempt.failureMessage, 'Your card was declined.');
+    assert.equal(getMemoryCollection('LedgerEntry').documents.length, 0);
+  });
+
+  it('records payment_intent.canceled with the cancellation reason', async () => {
+    const application = await createApplication(borrower);
+    const event = paymentIntentEvent('payment_intent.canceled', application, { cancellation_reason: 'abandoned' });
+
+    const response = await deliver(event);
+
+    assert.equal(response.status, 200);
+    const updated = await LoanApplication.findById(application._id);
+    assert.equal(updated.applicationFeeStatus, 'Unpaid');
+    assert.equal(updated.lastPaymentAttempt.status, 'Canceled');
+    assert.equal(updated.lastPaymentAttempt.failureMessage, 'abandoned');
+  });
+
+  it('rejects an event signed with the wrong secret', async () => {
+    const application = await createApplication(borrower);
+    const event = paymentIntentEvent('payment_intent.succeeded', application);
+
+    const response = await deliver(event, { secret: 'whsec_someone_else' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Invalid webhook signature');
+    const updated = await LoanApplication.findById(application._id);
+    assert.equal(updated.applicationFeeStatus, 'Unpaid');
+    assert.equal(getMemoryCollection('PaymentEvent').documents.length, 0);
+  });
+
+  it('ignores a redelivered event ID', async () => {
+    const application = await createApplication(borrower, { status: 'Disbursed', totalAmount: 1300, remainingAmount: 1300 });
+    const event = paymentIntentEvent('payment_intent.succeeded', application, {
+      amount: 5000,
+      amount_received: 5000,
+      metadata: { applicationId: application._id.toString(), type: 'repayment' },
+    });
+
+    const first = await deliver(event);
+    // A new intent under the same event ID would be applied again if the ID weren't checked
+    const redelivered = await deliver({ ...event, data: { object: { ...event.data.object, id: 'pi_test_other' } } });
+
+    assert.deepEqual(first.body, { received: true });
+    assert.equal(redelivered.status, 200);
+    assert.deepEqual(redelivered.body, { received: true, duplicate: true });
+
+    const updated = await LoanApplication.findById(application._id);
+    assert.equal(updated.repayments.length, 1);
+    assert.equal(updated.paidAmount, 50);
+    assert.equal(getMemoryCollection('PaymentEvent').documents.length, 1);
+  });
+});
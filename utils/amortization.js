@@ -0,0 +1,118 @@
+// Reducing-balance amortization for approved loans.
+// interestRate on a loan/application is treated as an annual percentage.
+
+const PERIODS_PER_YEAR = {
+  Monthly: 12,
+  Weekly: 52,
+};
+
+const DEFAULT_TERM_MONTHS = 12;
+
+export const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Parse an EMI plan label such as "6 Months", "12 months" or "1 Year" into a term in months
+export const parseEmiPlanMonths = (plan) => {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(month|week|year)?/i.exec(plan || '');
+  if (!match) return null;
+
+  const value = Number(match[1]);
+  const unit = (match[2] || 'month').toLowerCase();
+  if (!value) return null;
+
+  if (unit === 'year') return value * 12;
+  if (unit === 'week') return (value * 12) / 52;
+  return value;
+};
+
+// Pick the application's EMI plan if the product offers it, otherwise the product's first plan
+export const resolveEmiPlan = (application, loan) => {
+  const plans = loan?.emiPlans || [];
+  if (application.emiPlan && (plans.length === 0 || plans.includes(application.emiPlan))) {
+    return application.emiPlan;
+  }
+  return plans[0] || `${DEFAULT_TERM_MONTHS} Months`;
+};
+
+const addPeriods = (startDate, frequency, count) => {
+  const date = new Date(startDate);
+  if (frequency === 'Weekly') {
+    date.setDate(date.getDate() + 7 * count);
+    return date;
+  }
+
+  // Clamp to the last day of the month (Jan 31 + 1 month => Feb 28/29)
+  const day = date.getDate();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + count);
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  date.setDate(Math.min(day, lastDay));
+  return date;
+};
+
+// Build the installment plan for a loan. The last installment absorbs rounding so the balance ends at 0.
+export const buildInstallmentSchedule = ({
+  principal,
+  annualRate,
+  termMonths,
+  frequency = 'Monthly',
+  startDate = new Date(),
+}) => {
+  const periodsPerYear = PERIODS_PER_YEAR[frequency] || PERIODS_PER_YEAR.Monthly;
+  const count = Math.max(1, Math.round((termMonths || DEFAULT_TERM_MONTHS) * periodsPerYear / 12));
+  const rate = (annualRate || 0) / 100 / periodsPerYear;
+
+  const payment = rate === 0
+    ? principal / count
+    : (principal * rate) / (1 - Math.pow(1 + rate, -count));
+
+  const installments = [];
+  let balance = principal;
+
+  for (let i = 1; i <= count; i++) {
+    const interest = roundCurrency(balance * rate);
+    const principalPart = i === count
+      ? roundCurrency(balance)
+      : roundCurrency(payment - interest);
+
+    balance = roundCurrency(balance - principalPart);
+
+    installments.push({
+      installmentNumber: i,
+      dueDate: addPeriods(startDate, frequency, i),
+      principal: principalPart,
+      interest,
+      amount: roundCurrency(principalPart + interest),
+      balance,
+      paidAmount: 0,
+      status: 'Pending',
+    });
+  }
+
+  return installments;
+};
+
+// Spread a repayment over unpaid installments (including late fees), oldest first. Returns any unallocated remainder.
+export const allocateRepayment = (installments, amount, paidAt = new Date()) => {
+  let remaining = roundCurrency(amount);
+
+  for (const installment of installments) {
+    if (remaining <= 0) break;
+
+    const amountDue = roundCurrency(installment.amount + (installment.lateFee || 0));
+    const due = roundCurrency(amountDue - (installment.paidAmount || 0));
+    if (due <= 0) continue;
+
+    const applied = Math.min(due, remaining);
+    installment.paidAmount = roundCurrency((installment.paidAmount || 0) + applied);
+    remaining = roundCurrency(remaining - applied);
+
+    if (installment.paidAmount >= amountDue) {
+      installment.status = 'Paid';
+      installment.paidAt = paidAt;
+    } else if (installment.status !== 'Overdue') {
+      installment.status = 'Partial';
+    }
+  }
+
+  return remaining;
+};
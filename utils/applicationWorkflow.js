@@ -0,0 +1,129 @@
+// Loan application lifecycle.
+//
+//   Draft -> Submitted -> Under Review -> Approved -> Disbursed -> Closed
+//                              |  ^          \
+//                              v  |           -> Rejected
+//                          Needs Info
+//
+// Borrowers may withdraw until the application is approved. An approved loan becomes Disbursed
+// once its funds have been sent in full (see utils/disbursements.js) and only then accepts
+// repayments. Each transition lists the roles allowed to make it; 'system' is used for automatic
+// moves (e.g. closing a repaid loan).
+
+export const APPLICATION_STATUSES = [
+  'Draft',
+  'Submitted',
+  'Under Review',
+  'Needs Info',
+  'Approved',
+  'Rejected',
+  'Disbursed',
+  'Closed',
+  'Withdrawn',
+];
+
+const STAFF = ['admin', 'manager'];
+
+const TRANSITIONS = {
+  Draft: {
+    Submitted: ['borrower'],
+    Withdrawn: ['borrower'],
+  },
+  Submitted: {
+    'Under Review': STAFF,
+    Rejected: STAFF,
+    Withdrawn: ['borrower'],
+  },
+  'Under Review': {
+    'Needs Info': STAFF,
+    Approved: STAFF,
+    Rejected: STAFF,
+    Withdrawn: ['borrower'],
+  },
+  'Needs Info': {
+    Submitted: ['borrower'],
+    'Under Review': STAFF,
+    Rejected: STAFF,
+    Withdrawn: ['borrower'],
+  },
+  Approved: {
+    Disbursed: STAFF,
+  },
+  Disbursed: {
+    Closed: [...STAFF, 'system'],
+  },
+  // A reversed repayment can reopen a loan closed as repaid
+  Closed: {
+    Disbursed: ['system'],
+  },
+  Rejected: {},
+  Withdrawn: {},
+};
+
+// Statuses in which the loan is live and accepts repayments
+export const REPAYABLE_STATUSES = ['Disbursed'];
+
+// Statuses in which the borrower has a loan that is committed or not yet repaid
+export const ACTIVE_LOAN_STATUSES = ['Approved', ...REPAYABLE_STATUSES];
+
+// Statuses before a decision has been made
+export const OPEN_STATUSES = ['Draft', 'Submitted', 'Under Review', 'Needs Info'];
+
+export const isRepayable = (application) => REPAYABLE_STATUSES.includes(application.status);
+
+// Statuses the given role can move an application to from its current status
+export const getAllowedTransitions = (status, role) =>
+  Object.entries(TRANSITIONS[status] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+
+// Reason a transition is not allowed, or null if it is
+export const getTransitionError = (application, to, role) => {
+  if (!APPLICATION_STATUSES.includes(to)) {
+    return `Unknown status: ${to}`;
+  }
+  if (application.status === to) {
+    return `Application is already ${to}`;
+  }
+
+  const roles = TRANSITIONS[application.status]?.[to];
+  if (!roles) {
+    return `Cannot change status from ${application.status} to ${to}`;
+  }
+  if (!roles.includes(role)) {
+    return `A ${role} cannot change status from ${application.status} to ${to}`;
+  }
+  return null;
+};
+
+// Move the application to a new status and record the change. Callers check getTransitionError first.
+export const transitionApplication = (application, to, { actor = null, actorRole = 'system', reason = '' } = {}) => {
+  const from = application.status;
+  application.status = to;
+  application.statusHistory.push({
+    from,
+    to,
+    actor,
+    actorRole,
+    reason,
+    changedAt: new Date(),
+  });
+};
+
+// Close a live loan once it has been repaid in full
+export const closeIfRepaid = (application) => {
+  if (application.repaymentStatus !== 'Complete' || !isRepayable(application)) return false;
+
+  transitionApplication(application, 'Closed', { reason: 'Loan repaid in full' });
+  return true;
+};
+
+// Reopen a loan closed as repaid when it has an outstanding balance again (e.g. after a reversal)
+export const reopenIfOutstanding = (application) => {
+  if (application.status !== 'Closed' || application.repaymentStatus === 'Complete') return false;
+
+  const closing = [...application.statusHistory].reverse().find(entry => entry.to === 'Closed');
+  const previous = REPAYABLE_STATUSES.includes(closing?.from) ? closing.from : 'Disbursed';
+  transitionApplication(application, previous, { reason: 'Outstanding balance after reversal' });
+  return true;
+};
@@ -0,0 +1,127 @@
+import LoanApplication from '../models/LoanApplication.js';
+import User from '../models/User.js';
+import { roundCurrency } from './amortization.js';
+import { applySucceededPayment, applyUnsuccessfulPayment } from './paymentProcessing.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import { DEFAULT_CURRENCY, toMinorUnits } from './fees.js';
+import { REPAYABLE_STATUSES } from './applicationWorkflow.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours to wait before each retry of a failed charge, e.g. AUTOPAY_RETRY_BACKOFF_HOURS=24,72,168.
+// Autopay is switched off once every retry has failed.
+export const getRetryBackoffHours = () =>
+  (process.env.AUTOPAY_RETRY_BACKOFF_HOURS || '24,72,168')
+    .split(',')
+    .map(Number)
+    .filter(hours => hours > 0);
+
+// Amount currently due: every unpaid installment whose due date has passed
+export const getAmountDue = (application, now = new Date()) => {
+  const due = (application.installments || [])
+    .filter(installment => installment.status !== 'Paid' && installment.dueDate <= now)
+    .reduce((sum, installment) =>
+      sum + installment.amount + (installment.lateFee || 0) - (installment.paidAmount || 0), 0);
+
+  return roundCurrency(Math.min(due, application.remainingAmount));
+};
+
+const recordFailure = (application, message, now) => {
+  const backoff = getRetryBackoffHours();
+  const autopay = application.autopay;
+
+  autopay.failedAttempts += 1;
+  autopay.lastError = message;
+
+  if (autopay.failedAttempts > backoff.length) {
+    autopay.enabled = false;
+    autopay.nextAttemptAt = undefined;
+  } else {
+    autopay.nextAttemptAt = new Date(now.getTime() + backoff[autopay.failedAttempts - 1] * HOUR_MS);
+  }
+};
+
+// Charge one application's due installments on its saved payment method
+export const chargeApplication = async (application, { paymentProvider, now = new Date() }) => {
+  const amountDue = getAmountDue(application, now);
+  if (amountDue <= 0) return 'nothing_due';
+
+  const autopay = application.autopay;
+  autopay.lastAttemptAt = now;
+
+  const user = await User.findById(application.userId).select('paymentCustomerId');
+  if (!user?.paymentCustomerId) {
+    recordFailure(application, 'No saved payment method on file', now);
+    return 'failed';
+  }
+
+  // One key per installment and attempt, so a crashed run can't charge the same attempt twice
+  const oldestDue = application.installments.find(installment => installment.status !== 'Paid');
+  const idempotencyKey = `autopay-${application._id}-${oldestDue.installmentNumber}-${autopay.failedAttempts}`;
+
+  let paymentIntent;
+  try {
+    paymentIntent = await paymentProvider.chargeSavedPaymentMethod({
+      customerId: user.paymentCustomerId,
+      paymentMethodId: autopay.paymentMethodId,
+      amount: toMinorUnits(amountDue, application.currency),
+      currency: application.currency || DEFAULT_CURRENCY,
+      metadata: {
+        applicationId: application._id.toString(),
+        userId: application.userId.toString(),
+        type: 'repayment',
+        autopay: 'true',
+      },
+      idempotencyKey,
+    });
+  } catch (error) {
+    recordFailure(application, error.message, now);
+    return 'failed';
+  }
+
+  if (paymentIntent.status === 'succeeded') {
+    applySucceededPayment(application, paymentIntent);
+    autopay.failedAttempts = 0;
+    autopay.nextAttemptAt = undefined;
+    autopay.lastError = '';
+    return 'charged';
+  }
+
+  // e.g. bank debits - the webhook records the repayment once it settles
+  if (paymentIntent.status === 'processing') {
+    return 'processing';
+  }
+
+  applyUnsuccessfulPayment(application, paymentIntent, 'Failed');
+  recordFailure(application, paymentIntent.last_payment_error?.message || `Payment ${paymentIntent.status}`, now);
+  return 'failed';
+};
+
+// Charge every autopay loan with installments due. Used by scripts/runAutopay.js and /api/jobs.
+export const runAutopay = async ({ now = new Date() } = {}) => {
+  const paymentProvider = getPaymentProvider();
+  if (!paymentProvider) {
+    throw new Error('Payment service is not configured');
+  }
+
+  const applications = await LoanApplication.find({
+    status: { $in: REPAYABLE_STATUSES },
+    repaymentStatus: { $ne: 'Complete' },
+    'autopay.enabled': true,
+    installments: { $elemMatch: { status: { $ne: 'Paid' }, dueDate: { $lte: now } } },
+    $or: [
+      { 'autopay.nextAttemptAt': null },
+      { 'autopay.nextAttemptAt': { $lte: now } },
+    ],
+  });
+
+  const summary = { scanned: applications.length, charged: 0, processing: 0, failed: 0 };
+
+  for (const application of applications) {
+    const outcome = await chargeApplication(application, { paymentProvider, now });
+    if (summary[outcome] !== undefined) summary[outcome]++;
+    await application.save();
+  }
+
+  return summary;
+};
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import ApplicationComment from '../models/ApplicationComment.js';
+import User from '../models/User.js';
+
+export const COMMENT_VISIBILITIES = ['internal', 'borrower'];
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'manager';
+
+// Comments a user may read: staff see everything, borrowers only the conversation
+export const getVisibleCommentsFilter = (user) => (isStaff(user) ? {} : { visibility: 'borrower' });
+
+// Mentioned user IDs that are not active staff (only admins and managers can be mentioned)
+export const getInvalidMentions = async (mentions) => {
+  if (mentions.length === 0) return [];
+
+  const staff = await User.find({
+    _id: { $in: mentions },
+    role: { $in: ['admin', 'manager'] },
+    isSuspended: { $ne: true },
+  }).select('_id');
+  const staffIds = new Set(staff.map(member => member._id.toString()));
+
+  return mentions.filter(id => !staffIds.has(id.toString()));
+};
+
+// Unread comments per application for a user: Map of application ID -> { unreadComments, unreadMentions }
+export const getUnreadCounts = async (applicationIds, user) => {
+  if (applicationIds.length === 0) return new Map();
+
+  const userId = new mongoose.Types.ObjectId(user.userId);
+  const counts = await ApplicationComment.aggregate([
+    {
+      $match: {
+        applicationId: { $in: applicationIds.map(id => new mongoose.Types.ObjectId(id)) },
+        readBy: { $ne: userId },
+        ...getVisibleCommentsFilter(user),
+      },
+    },
+    {
+      $group: {
+        _id: '$applicationId',
+        unreadComments: { $sum: 1 },
+        unreadMentions: { $sum: { $cond: [{ $in: [userId, '$mentions'] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  return new Map(counts.map(({ _id, unreadComments, unreadMentions }) => [
+    _id.toString(),
+    { unreadComments, unreadMentions },
+  ]));
+};
+
+// Application JSON with the caller's unread counts added
+export const withUnreadCounts = (application, counts) => ({
+  ...(application.toJSON ? application.toJSON() : application),
+  ...(counts.get(application._id.toString()) || { unreadComments: 0, unreadMentions: 0 }),
+});
+
+// Mark comments as read by the user
+export const markCommentsRead = (commentIds, user) =>
+  ApplicationComment.updateMany(
+    { _id: { $in: commentIds }, readBy: { $ne: user.userId } },
+    { $addToSet: { readBy: user.userId } },
+  );
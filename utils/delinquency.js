@@ -0,0 +1,109 @@
+import LoanApplication from '../models/LoanApplication.js';
+import Loan from '../models/Loan.js';
+import { roundCurrency } from './amortization.js';
+import { queueLedgerJournal } from './ledger.js';
+import { REPAYABLE_STATUSES } from './applicationWorkflow.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DELINQUENCY_BUCKETS = ['1-30', '31-60', '60+'];
+
+export const getDelinquencyBucket = (daysPastDue) => {
+  if (daysPastDue <= 0) return 'Current';
+  if (daysPastDue <= 30) return '1-30';
+  if (daysPastDue <= 60) return '31-60';
+  return '60+';
+};
+
+const daysBetween = (from, to) => Math.floor((to.getTime() - new Date(from).getTime()) / DAY_MS);
+
+const isUnpaid = (installment) => installment.status !== 'Paid';
+
+// Late fee for one overdue installment under a product's policy
+export const computeLateFee = (policy, installment) => {
+  if (!policy || !policy.amount) return 0;
+  if (policy.feeType === 'flat') return roundCurrency(policy.amount);
+  if (policy.feeType === 'percentage') return roundCurrency((installment.amount * policy.amount) / 100);
+  return 0;
+};
+
+// Flag past-due installments and recompute days past due / bucket. No fees are charged here,
+// so it is also safe to call after recording a repayment.
+export const updateDelinquencyStatus = (application, now = new Date()) => {
+  let oldestDueDate = null;
+
+  for (const installment of application.installments || []) {
+    if (!isUnpaid(installment) || installment.dueDate >= now) continue;
+
+    installment.status = 'Overdue';
+    if (!oldestDueDate || installment.dueDate < oldestDueDate) {
+      oldestDueDate = installment.dueDate;
+    }
+  }
+
+  application.daysPastDue = oldestDueDate ? Math.max(daysBetween(oldestDueDate, now), 1) : 0;
+  application.delinquencyStatus = getDelinquencyBucket(application.daysPastDue);
+  application.delinquencyCheckedAt = now;
+};
+
+// Charge the product's late fee once on every installment past its grace period.
+// Returns the total fee added.
+export const applyLateFees = (application, policy, now = new Date()) => {
+  let added = 0;
+
+  for (const installment of application.installments || []) {
+    if (!isUnpaid(installment) || installment.lateFeeAppliedAt) continue;
+    if (daysBetween(installment.dueDate, now) <= (policy?.gracePeriodDays || 0)) continue;
+
+    const fee = computeLateFee(policy, installment);
+    if (fee <= 0) continue;
+
+    installment.lateFee = fee;
+    installment.lateFeeAppliedAt = now;
+    added = roundCurrency(added + fee);
+  }
+
+  if (added > 0) {
+    application.lateFeesTotal = roundCurrency((application.lateFeesTotal || 0) + added);
+    application.totalAmount = roundCurrency(application.totalAmount + added);
+    application.remainingAmount = roundCurrency(application.remainingAmount + added);
+    queueLedgerJournal(application, 'LateFee', added, { description: 'Late fee for overdue installments' });
+  }
+
+  return added;
+};
+
+// Scan approved, unfinished loans with a schedule. Used by scripts/checkDelinquency.js and /api/jobs.
+export const runDelinquencyCheck = async ({ now = new Date() } = {}) => {
+  const applications = await LoanApplication.find({
+    status: { $in: REPAYABLE_STATUSES },
+    repaymentStatus: { $ne: 'Complete' },
+    'installments.0': { $exists: true },
+  });
+
+  const loanIds = [...new Set(applications.map(a => a.loanId.toString()))];
+  const loans = await Loan.find({ _id: { $in: loanIds } }).select('lateFeePolicy');
+  const policies = new Map(loans.map(l => [l._id.toString(), l.lateFeePolicy]));
+
+  const summary = {
+    scanned: applications.length,
+    delinquent: 0,
+    lateFeesApplied: 0,
+    lateFeeAmount: 0,
+  };
+
+  for (const application of applications) {
+    updateDelinquencyStatus(application, now);
+    const fee = applyLateFees(application, policies.get(application.loanId.toString()), now);
+
+    if (application.delinquencyStatus !== 'Current') summary.delinquent++;
+    if (fee > 0) {
+      summary.lateFeesApplied++;
+      summary.lateFeeAmount = roundCurrency(summary.lateFeeAmount + fee);
+    }
+
+    await application.save();
+  }
+
+  return summary;
+};
@@ -0,0 +1,98 @@
+import { buildInstallmentSchedule, parseEmiPlanMonths, roundCurrency } from './amortization.js';
+import { transitionApplication } from './applicationWorkflow.js';
+import { DOMAIN_EVENTS, queueDomainEvent } from './events.js';
+import { queueLedgerJournal } from './ledger.js';
+
+// Disbursement of approved loans.
+//
+// Staff record each payment sent to the borrower (the full amount at once or in tranches). Every
+// tranche posts a Disbursement journal. Once the whole loan amount has been sent the repayment
+// schedule is built from the date of the final tranche, scheduled interest is posted and the
+// application becomes Disbursed, which is when it starts accepting repayments.
+
+export const DISBURSEMENT_METHODS = ['Bank Transfer', 'Mobile Money', 'Cheque', 'Cash'];
+
+export const getUndisbursedAmount = (application) =>
+  roundCurrency(Math.max(application.loanAmount - (application.disbursedAmount || 0), 0));
+
+// Reason a tranche cannot be recorded, or null if it can
+export const getDisbursementError = (application, { amount, disbursedAt }, now = new Date()) => {
+  if (application.status !== 'Approved') {
+    return 'Only approved loans can be disbursed';
+  }
+
+  const undisbursed = getUndisbursedAmount(application);
+  if (roundCurrency(amount) > undisbursed) {
+    return `Amount exceeds the undisbursed balance of ${undisbursed}`;
+  }
+  if (Number.isNaN(disbursedAt.getTime())) {
+    return 'Invalid disbursement date';
+  }
+  if (disbursedAt > now) {
+    return 'Disbursement date cannot be in the future';
+  }
+
+  const approvedOn = application.approvedAt && new Date(application.approvedAt).setUTCHours(0, 0, 0, 0);
+  if (approvedOn && disbursedAt < approvedOn) {
+    return 'Disbursement date cannot be before the loan was approved';
+  }
+  return null;
+};
+
+// Build the installment plan and scheduled interest from the disbursement date
+const startRepayment = (application, startDate, createdBy) => {
+  application.disbursedAt = startDate;
+  application.installments = buildInstallmentSchedule({
+    principal: application.loanAmount,
+    annualRate: application.interestRate,
+    termMonths: parseEmiPlanMonths(application.emiPlan),
+    frequency: application.repaymentSchedule,
+    startDate,
+  });
+
+  application.totalAmount = roundCurrency(
+    application.installments.reduce((sum, installment) => sum + installment.amount, 0)
+  );
+  application.paidAmount = 0;
+  application.remainingAmount = application.totalAmount;
+  application.repaymentStatus = 'Pending';
+
+  queueLedgerJournal(application, 'Interest', application.totalAmount - application.loanAmount, {
+    description: `Scheduled interest (${application.emiPlan})`,
+    createdBy,
+  });
+};
+
+// Record a tranche (not saved). Callers check getDisbursementError first.
+// Returns true when this tranche completed the disbursement.
+export const recordDisbursement = (application, { amount, method, reference, disbursedAt, recordedBy = null, recordedByRole }) => {
+  const rounded = roundCurrency(amount);
+
+  application.disbursements.push({
+    amount: rounded,
+    method,
+    reference,
+    disbursedAt,
+    recordedBy,
+  });
+  application.disbursedAmount = roundCurrency((application.disbursedAmount || 0) + rounded);
+
+  queueLedgerJournal(application, 'Disbursement', rounded, {
+    reference,
+    description: `Loan disbursement (${method})`,
+    createdBy: recordedBy,
+  });
+
+  if (getUndisbursedAmount(application) > 0) return false;
+
+  // Interest runs from when the borrower has received the whole loan
+  const startDate = new Date(Math.max(...application.disbursements.map(tranche => tranche.disbursedAt)));
+  startRepayment(application, startDate, recordedBy);
+  transitionApplication(application, 'Disbursed', {
+    actor: recordedBy,
+    actorRole: recordedByRole,
+    reason: `Disbursed in ${application.disbursements.length} tranche(s)`,
+  });
+  queueDomainEvent(application, DOMAIN_EVENTS.LOAN_DISBURSED);
+  return true;
+};
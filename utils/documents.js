@@ -0,0 +1,53 @@
+import { getStorage } from './storage/index.js';
+
+// Loan document uploads: accepted file types, size limit and verification status.
+
+// Accepted MIME types and the leading bytes their files must start with
+const FILE_SIGNATURES = {
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]], // %PDF
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+};
+
+export const ALLOWED_MIME_TYPES = Object.keys(FILE_SIGNATURES);
+
+const DEFAULT_MAX_SIZE_MB = 5;
+
+// DOCUMENT_MAX_SIZE_MB caps each upload (default 5 MB)
+export const getMaxDocumentSize = () =>
+  (Number(process.env.DOCUMENT_MAX_SIZE_MB) || DEFAULT_MAX_SIZE_MB) * 1024 * 1024;
+
+// Whether the file content matches its declared MIME type (the client-supplied type alone is not trusted)
+export const matchesFileSignature = (buffer, mimeType) =>
+  (FILE_SIGNATURES[mimeType] || []).some(signature =>
+    buffer.length >= signature.length && signature.every((byte, i) => buffer[i] === byte)
+  );
+
+// Required documents (by name) that have no verified upload yet
+export const getUnverifiedDocuments = (application, requiredDocuments = []) =>
+  requiredDocuments.filter(name =>
+    !(application.documents || []).some(document => document.name === name && document.status === 'Verified')
+  );
+
+// Storage key for an uploaded document
+export const buildDocumentKey = (application, document, originalName) => {
+  const safeName = (originalName || 'document').replace(/[^a-zA-Z0-9._-]/g, '_').slice(-100);
+  return `applications/${application._id}/${document._id}-${safeName}`;
+};
+
+// Delete the stored files of an application that is being removed. Returns the number removed.
+export const removeDocumentFiles = async (application) => {
+  const storage = getStorage();
+  let removed = 0;
+
+  for (const document of storage ? application.documents || [] : []) {
+    try {
+      await storage.remove(document.storageKey);
+      removed++;
+    } catch (error) {
+      console.error('Document cleanup error:', error);
+    }
+  }
+
+  return removed;
+};
@@ -0,0 +1,68 @@
+import LoanApplication from '../models/LoanApplication.js';
+import { removeDocumentFiles } from './documents.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Borrower fields an application needs before it can be submitted
+export const SUBMISSION_FIELDS = [
+  'firstName',
+  'lastName',
+  'contactNumber',
+  'nationalId',
+  'incomeSource',
+  'monthlyIncome',
+  'loanAmount',
+  'reasonForLoan',
+  'address',
+];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Fields still missing from a draft
+export const getMissingFields = (application) =>
+  SUBMISSION_FIELDS.filter(field => isBlank(application[field]));
+
+// Field errors (in the 422 response shape) for a draft that no longer fits its loan product's terms
+export const getLoanTermErrors = (application, loan) => {
+  const errors = [];
+
+  if (!isBlank(application.loanAmount) && application.loanAmount > loan.maxLoanLimit) {
+    errors.push({ field: 'loanAmount', message: `loanAmount cannot exceed the loan's limit of ${loan.maxLoanLimit}` });
+  }
+  if (application.emiPlan && !loan.emiPlans.includes(application.emiPlan)) {
+    errors.push({ field: 'emiPlan', message: `emiPlan must be one of ${loan.emiPlans.join(', ')}` });
+  }
+
+  return errors;
+};
+
+// DRAFT_RETENTION_DAYS: drafts not edited for this long are deleted (default 30)
+export const getDraftRetentionDays = () => Number(process.env.DRAFT_RETENTION_DAYS) || 30;
+
+// Delete stale drafts and their uploaded files. Used by scripts/cleanupDrafts.js and /api/jobs.
+export const cleanupStaleDrafts = async ({ now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - getDraftRetentionDays() * DAY_MS);
+  const drafts = await LoanApplication.find({
+    status: 'Draft',
+    $or: [
+      { lastEditedAt: { $lt: cutoff } },
+      { lastEditedAt: { $exists: false }, createdAt: { $lt: cutoff } },
+    ],
+  }).select('_id');
+
+  const summary = {
+    cutoff,
+    deleted: 0,
+    filesRemoved: 0,
+  };
+
+  for (const { _id } of drafts) {
+    // Skip drafts the borrower submitted since the scan
+    const draft = await LoanApplication.findOneAndDelete({ _id, status: 'Draft' });
+    if (!draft) continue;
+    summary.deleted++;
+    summary.filesRemoved += await removeDocumentFiles(draft);
+  }
+
+  return summary;
+};
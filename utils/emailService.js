@@ -139,3 +139,111 @@ LoanLink Support Team
   return await sendEmail(contactMessage.email, subject, html, text);
 };
 
+
+// Send a password reset link
+export const sendPasswordResetEmail = async (user, resetUrl, expiresInMinutes) => {
+  const subject = 'Reset your LoanLink password';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+        .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
+        .button { display: inline-block; background-color: #4F46E5; color: white; padding: 10px 20px; border-radius: 5px; text-decoration: none; }
+        .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>LoanLink - Password Reset</h1>
+        </div>
+        <div class="content">
+          <p>Dear ${user.name},</p>
+          <p>We received a request to reset your password. Use the link below to choose a new one. It works once and expires in ${expiresInMinutes} minutes.</p>
+          <p><a class="button" href="${resetUrl}">Reset password</a></p>
+          <p>If you did not ask to reset your password, you can ignore this email.</p>
+          <p>Best regards,<br>LoanLink Team</p>
+        </div>
+        <div class="footer">
+          <p>This is an automated message from LoanLink.</p>
+          <p>Please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Dear ${user.name},
+
+We received a request to reset your password. Use the link below to choose a new one. It works once and expires in ${expiresInMinutes} minutes.
+
+${resetUrl}
+
+If you did not ask to reset your password, you can ignore this email.
+
+Best regards,
+LoanLink Team
+  `;
+
+  return await sendEmail(user.email, subject, html, text);
+};
+
+// Send an email address verification link
+export const sendVerificationEmail = async (user, verifyUrl) => {
+  const subject = 'Confirm your LoanLink email address';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+        .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
+        .button { display: inline-block; background-color: #4F46E5; color: white; padding: 10px 20px; border-radius: 5px; text-decoration: none; }
+        .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>LoanLink - Confirm Your Email</h1>
+        </div>
+        <div class="content">
+          <p>Dear ${user.name},</p>
+          <p>Welcome to LoanLink! Please confirm your email address so you can apply for loans and make payments.</p>
+          <p><a class="button" href="${verifyUrl}">Confirm email</a></p>
+          <p>If you did not create a LoanLink account, you can ignore this email.</p>
+          <p>Best regards,<br>LoanLink Team</p>
+        </div>
+        <div class="footer">
+          <p>This is an automated message from LoanLink.</p>
+          <p>Please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Dear ${user.name},
+
+Welcome to LoanLink! Please confirm your email address so you can apply for loans and make payments:
+
+${verifyUrl}
+
+If you did not create a LoanLink account, you can ignore this email.
+
+Best regards,
+LoanLink Team
+  `;
+
+  return await sendEmail(user.email, subject, html, text);
+};
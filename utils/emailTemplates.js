@@ -0,0 +1,173 @@
+import { formatCurrency } from './fees.js';
+
+// Templates for notification emails. Each returns { subject, html, text }.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+// Same look as the contact reply email (utils/emailService.js)
+const layout = (title, bodyHtml) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+        .content { background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
+        .message-box { background-color: white; padding: 15px; margin: 15px 0; border-left: 4px solid #4F46E5; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e5e7eb; }
+        .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>LoanLink - ${escapeHtml(title)}</h1>
+        </div>
+        <div class="content">
+          ${bodyHtml}
+          <p>Best regards,<br>LoanLink Team</p>
+        </div>
+        <div class="footer">
+          <p>You can change which emails you receive in your notification preferences.</p>
+          <p>Please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+const greeting = (application) => `Dear ${application.firstName || 'borrower'},`;
+
+export const applicationSubmittedEmail = ({ application }) => {
+  const amount = formatCurrency(application.loanAmount, application.currency);
+  return {
+    subject: `We received your application for ${application.loanTitle}`,
+    html: layout('Application Received', `
+          <p>${escapeHtml(greeting(application))}</p>
+          <p>Thank you for applying for <strong>${escapeHtml(application.loanTitle)}</strong> (${amount}). Our team will review it and let you know the outcome.</p>`),
+    text: `${greeting(application)}
+
+Thank you for applying for ${application.loanTitle} (${amount}). Our team will review it and let you know the outcome.
+
+Best regards,
+LoanLink Team
+`,
+  };
+};
+
+export const applicationApprovedEmail = ({ application }) => {
+  const amount = formatCurrency(application.loanAmount, application.currency);
+  return {
+    subject: `Your ${application.loanTitle} application was approved`,
+    html: layout('Application Approved', `
+          <p>${escapeHtml(greeting(application))}</p>
+          <p>Good news - your application for <strong>${escapeHtml(application.loanTitle)}</strong> (${amount}) has been approved. We will email you your repayment schedule once the funds have been sent.</p>`),
+    text: `${greeting(application)}
+
+Good news - your application for ${application.loanTitle} (${amount}) has been approved. We will email you your repayment schedule once the funds have been sent.
+
+Best regards,
+LoanLink Team
+`,
+  };
+};
+
+export const loanDisbursedEmail = ({ application }) => {
+  const money = (value) => formatCurrency(value, application.currency);
+  const installments = application.installments || [];
+  const rows = installments.map(i =>
+    `<tr><td>${i.installmentNumber}</td><td>${formatDate(i.dueDate)}</td><td>${money(i.amount)}</td></tr>`
+  ).join('');
+  const lines = installments.map(i => `  ${i.installmentNumber}. ${formatDate(i.dueDate)}  ${money(i.amount)}`).join('\n');
+
+  return {
+    subject: `Your ${application.loanTitle} loan has been disbursed`,
+    html: layout('Loan Disbursed', `
+          <p>${escapeHtml(greeting(application))}</p>
+          <p>The funds for your <strong>${escapeHtml(application.loanTitle)}</strong> loan have been sent. Your repayments start now.</p>
+          <div class="message-box">
+            <p><strong>Loan amount:</strong> ${money(application.loanAmount)}<br>
+            <strong>Total repayable:</strong> ${money(application.totalAmount)}<br>
+            <strong>Plan:</strong> ${escapeHtml(application.emiPlan)} (${escapeHtml(application.repaymentSchedule)})</p>
+            ${installments.length ? `<table><tr><th>#</th><th>Due</th><th>Amount</th></tr>${rows}</table>` : ''}
+          </div>`),
+    text: `${greeting(application)}
+
+The funds for your ${application.loanTitle} loan have been sent. Your repayments start now.
+
+Loan amount: ${money(application.loanAmount)}
+Total repayable: ${money(application.totalAmount)}
+Plan: ${application.emiPlan} (${application.repaymentSchedule})
+${installments.length ? `\nRepayment schedule:\n${lines}\n` : ''}
+Best regards,
+LoanLink Team
+`,
+  };
+};
+
+export const applicationRejectedEmail = ({ application, reason }) => ({
+  subject: `Update on your ${application.loanTitle} application`,
+  html: layout('Application Update', `
+          <p>${escapeHtml(greeting(application))}</p>
+          <p>We're sorry - your application for <strong>${escapeHtml(application.loanTitle)}</strong> was not approved.</p>
+          ${reason ? `<div class="message-box"><p><strong>Reason:</strong></p><p>${escapeHtml(reason).replace(/\n/g, '<br>')}</p></div>` : ''}`),
+  text: `${greeting(application)}
+
+We're sorry - your application for ${application.loanTitle} was not approved.
+${reason ? `\nReason:\n${reason}\n` : ''}
+Best regards,
+LoanLink Team
+`,
+});
+
+export const paymentReceiptEmail = ({ application, amount, transactionId, description }) => {
+  const paid = formatCurrency(amount, application.currency);
+  const remaining = description === 'Application fee'
+    ? ''
+    : `Remaining balance: ${formatCurrency(application.remainingAmount, application.currency)}`;
+
+  return {
+    subject: `Payment receipt - ${paid}`,
+    html: layout('Payment Receipt', `
+          <p>${escapeHtml(greeting(application))}</p>
+          <p>We received your payment. Thank you!</p>
+          <div class="message-box">
+            <p><strong>${escapeHtml(description)}:</strong> ${paid}<br>
+            <strong>Loan:</strong> ${escapeHtml(application.loanTitle)}<br>
+            ${transactionId ? `<strong>Reference:</strong> ${escapeHtml(transactionId)}<br>` : ''}
+            ${remaining ? `<strong>${escapeHtml(remaining)}</strong>` : ''}</p>
+          </div>`),
+    text: `${greeting(application)}
+
+We received your payment. Thank you!
+
+${description}: ${paid}
+Loan: ${application.loanTitle}
+${transactionId ? `Reference: ${transactionId}\n` : ''}${remaining ? `${remaining}\n` : ''}
+Best regards,
+LoanLink Team
+`,
+  };
+};
+
+export const loanRepaidEmail = ({ application }) => ({
+  subject: `Your ${application.loanTitle} loan is fully repaid`,
+  html: layout('Loan Repaid', `
+          <p>${escapeHtml(greeting(application))}</p>
+          <p>Congratulations - your <strong>${escapeHtml(application.loanTitle)}</strong> loan is fully repaid (${formatCurrency(application.paidAmount, application.currency)} in total). There is nothing more to pay.</p>`),
+  text: `${greeting(application)}
+
+Congratulations - your ${application.loanTitle} loan is fully repaid (${formatCurrency(application.paidAmount, application.currency)} in total). There is nothing more to pay.
+
+Best regards,
+LoanLink Team
+`,
+});
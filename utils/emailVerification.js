@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { sendVerificationEmail } from './emailService.js';
+
+const SECOND_MS = 1000;
+const HOUR_MS = 60 * 60 * SECOND_MS;
+
+// Accounts created before verification existed have no emailVerified field and count as verified
+export const isEmailVerified = (user) => user.emailVerified !== false;
+
+// EMAIL_VERIFICATION_TTL_HOURS: how long a verification link works (default 48)
+export const getVerificationLifetime = () => (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * HOUR_MS;
+
+// EMAIL_VERIFICATION_RESEND_SECONDS: minimum wait between verification emails (default 60)
+export const getResendCooldown = () => (Number(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60) * SECOND_MS;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Seconds until another verification email may be sent (0 if one can be sent now)
+export const getResendWait = (user, now = new Date()) => {
+  const sentAt = user.emailVerification?.sentAt;
+  if (!sentAt) return 0;
+  return Math.max(Math.ceil((sentAt.getTime() + getResendCooldown() - now.getTime()) / SECOND_MS), 0);
+};
+
+// Issue a new verification token, save it and email the link. Replaces any earlier link.
+export const sendVerificationLink = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.emailVerification = {
+    tokenHash: hashToken(token),
+    sentAt: new Date(),
+    expiresAt: new Date(Date.now() + getVerificationLifetime()),
+  };
+  await user.save();
+
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  return sendVerificationEmail(user, `${clientUrl}/verify-email?token=${token}`);
+};
+
+// Mark the account holding this token as verified. Returns the user, or null if the token is
+// unknown or expired.
+export const verifyEmailToken = async (token) => {
+  const user = await User.findOne({
+    'emailVerification.tokenHash': hashToken(token),
+    'emailVerification.expiresAt': { $gt: new Date() },
+  });
+  if (!user) return null;
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.emailVerification = undefined;
+  await user.save();
+  return user;
+};
@@ -0,0 +1,37 @@
+import { EventEmitter } from 'events';
+
+// In-process domain events. Like ledger journals, events are queued on the application
+// (queueDomainEvent) and emitted by the LoanApplication post-save hook, so listeners only
+// hear about changes that were actually saved. Listeners receive { application, ...details }.
+
+export const DOMAIN_EVENTS = {
+  APPLICATION_SUBMITTED: 'application.submitted',
+  APPLICATION_APPROVED: 'application.approved',
+  APPLICATION_REJECTED: 'application.rejected',
+  FEE_PAID: 'payment.fee_paid',
+  REPAYMENT_RECORDED: 'repayment.recorded',
+  LOAN_DISBURSED: 'loan.disbursed',
+  LOAN_REPAID: 'loan.repaid',
+};
+
+export const domainEvents = new EventEmitter();
+
+export const queueDomainEvent = (application, name, details = {}) => {
+  application.$locals.domainEvents = application.$locals.domainEvents || [];
+  application.$locals.domainEvents.push({ name, details });
+};
+
+// Emit queued events (called from the LoanApplication post-save hook)
+export const flushDomainEvents = (application) => {
+  const events = application.$locals.domainEvents || [];
+  application.$locals.domainEvents = [];
+
+  for (const { name, details } of events) {
+    try {
+      domainEvents.emit(name, { application, ...details });
+    } catch (error) {
+      // A failing listener must not fail the request that saved the application
+      console.error(`Domain event listener error (${name}):`, error);
+    }
+  }
+};
@@ -0,0 +1,60 @@
+import { roundCurrency } from './amortization.js';
+
+// Application fees and currency handling.
+
+export const DEFAULT_CURRENCY = 'usd';
+
+// Fee charged before fees became configurable per product ($10)
+const LEGACY_APPLICATION_FEE = { feeType: 'flat', amount: 10, currency: DEFAULT_CURRENCY };
+
+// Currencies without a minor unit (amounts are sent to the payment provider as-is)
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf',
+];
+
+const isZeroDecimal = (currency) => ZERO_DECIMAL_CURRENCIES.includes((currency || DEFAULT_CURRENCY).toLowerCase());
+
+// 12.34 usd -> 1234, 500 jpy -> 500
+export const toMinorUnits = (amount, currency) =>
+  isZeroDecimal(currency) ? Math.round(amount) : Math.round(amount * 100);
+
+// 1234 usd -> 12.34, 500 jpy -> 500
+export const fromMinorUnits = (amount, currency) =>
+  isZeroDecimal(currency) ? amount : amount / 100;
+
+// Fee for an application to a loan product, as snapshotted onto the application at submission
+export const computeApplicationFee = (loan, loanAmount) => {
+  const currency = loan.currency || DEFAULT_CURRENCY;
+  const { feeType = 'flat', amount = LEGACY_APPLICATION_FEE.amount } = loan.applicationFee || {};
+
+  if (feeType === 'waived') {
+    return { feeType, amount: 0, currency };
+  }
+
+  const fee = feeType === 'percentage' ? (loanAmount * amount) / 100 : amount;
+  return {
+    feeType,
+    amount: isZeroDecimal(currency) ? Math.round(fee) : roundCurrency(fee),
+    currency,
+  };
+};
+
+// The fee owed on an application (applications submitted before the snapshot existed owe the legacy fee)
+export const getApplicationFee = (application) =>
+  application.applicationFee?.feeType ? application.applicationFee : LEGACY_APPLICATION_FEE;
+
+// Whether a PaymentIntent pays the application's fee in full and in the right currency
+export const matchesApplicationFee = (application, paymentIntent) => {
+  const fee = getApplicationFee(application);
+  return paymentIntent.currency?.toLowerCase() === fee.currency.toLowerCase()
+    && (paymentIntent.amount_received || 0) >= toMinorUnits(fee.amount, fee.currency);
+};
+
+// 1234.5, 'usd' -> "$1,234.50" (for emails and other display text)
+export const formatCurrency = (amount, currency = DEFAULT_CURRENCY) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(amount || 0);
+  } catch {
+    return `${amount} ${currency.toUpperCase()}`;
+  }
+};
@@ -0,0 +1,117 @@
+import LoanApplication from '../models/LoanApplication.js';
+import { ACTIVE_LOAN_STATUSES } from './applicationWorkflow.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Related applications listed per flag
+const MAX_RELATED = 10;
+
+export const FRAUD_SIGNALS = [
+  'sharedNationalId',
+  'sharedContactNumber',
+  'sharedAddress',
+  'sharedEmail',
+  'activeUnpaidLoan',
+  'recentApplications',
+];
+
+export const FRAUD_REVIEW_STATUSES = ['None', 'Flagged', 'Cleared', 'Confirmed'];
+
+// Normalized values used to match applications regardless of formatting
+export const getMatchKeys = (application) => {
+  const normalize = (value, pattern) =>
+    (value ? String(value).toLowerCase().replace(pattern, '') : '') || undefined;
+
+  return {
+    nationalId: normalize(application.nationalId, /[^a-z0-9]/g),
+    contactNumber: normalize(application.contactNumber, /\D/g),
+    address: normalize(application.address, /[^a-z0-9]/g),
+    email: normalize(application.userEmail, /\s/g),
+  };
+};
+
+// Flag more than FRAUD_VELOCITY_LIMIT (default 3) applications submitted within FRAUD_VELOCITY_DAYS (default 30)
+export const getVelocityLimit = () => ({
+  limit: Number(process.env.FRAUD_VELOCITY_LIMIT) || 3,
+  days: Number(process.env.FRAUD_VELOCITY_DAYS) || 30,
+});
+
+const SHARED_FIELDS = [
+  { signal: 'sharedNationalId', key: 'nationalId', field: 'nationalId', label: 'national ID' },
+  { signal: 'sharedContactNumber', key: 'contactNumber', field: 'contactNumber', label: 'phone number' },
+  { signal: 'sharedAddress', key: 'address', field: 'address', label: 'address' },
+  { signal: 'sharedEmail', key: 'email', field: 'userEmail', label: 'email' },
+];
+
+// Submitted applications from other accounts with the same value (applications submitted before
+// match keys were stored are matched on the exact value)
+const findSharedApplications = (application, { key, field }) =>
+  LoanApplication.find({
+    _id: { $ne: application._id },
+    userId: { $ne: application.userId },
+    status: { $ne: 'Draft' },
+    $or: [
+      { [`matchKeys.${key}`]: application.matchKeys[key] },
+      { [field]: application[field] },
+    ],
+  })
+    .select('_id')
+    .sort({ createdAt: -1 })
+    .limit(MAX_RELATED);
+
+// Run the duplicate and fraud checks and store the flags on the application (not saved).
+// A cleared or confirmed review is kept; otherwise the application is Flagged when any check matches.
+export const detectFraudSignals = async (application, { now = new Date() } = {}) => {
+  application.matchKeys = getMatchKeys(application);
+  const flags = [];
+
+  for (const shared of SHARED_FIELDS) {
+    if (!application.matchKeys[shared.key]) continue;
+
+    const related = await findSharedApplications(application, shared);
+    if (related.length > 0) {
+      flags.push({
+        signal: shared.signal,
+        detail: `Same ${shared.label} as ${related.length}${related.length === MAX_RELATED ? '+' : ''} application(s) from other accounts`,
+        relatedApplications: related.map(other => other._id),
+      });
+    }
+  }
+
+  const activeLoans = await LoanApplication.find({
+    _id: { $ne: application._id },
+    userId: application.userId,
+    status: { $in: ACTIVE_LOAN_STATUSES },
+    repaymentStatus: { $ne: 'Complete' },
+  }).select('_id').limit(MAX_RELATED);
+  if (activeLoans.length > 0) {
+    flags.push({
+      signal: 'activeUnpaidLoan',
+      detail: `Applicant has ${activeLoans.length} active unpaid loan(s)`,
+      relatedApplications: activeLoans.map(other => other._id),
+    });
+  }
+
+  const { limit, days } = getVelocityLimit();
+  const recent = await LoanApplication.find({
+    _id: { $ne: application._id },
+    userId: application.userId,
+    submittedAt: { $gte: new Date(now.getTime() - days * DAY_MS) },
+  }).select('_id');
+  // Including this application
+  if (recent.length + 1 > limit) {
+    flags.push({
+      signal: 'recentApplications',
+      detail: `${recent.length + 1} applications submitted in the last ${days} days`,
+      relatedApplications: recent.slice(0, MAX_RELATED).map(other => other._id),
+    });
+  }
+
+  application.fraudFlags = flags.map(flag => ({ ...flag, detectedAt: now }));
+
+  if (!['Cleared', 'Confirmed'].includes(application.fraudReview?.status)) {
+    application.fraudReview = { status: flags.length > 0 ? 'Flagged' : 'None' };
+  }
+
+  return application.fraudFlags;
+};
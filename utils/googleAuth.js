@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Google sign-in: verify an ID token from Google Identity Services.
+//
+// The token's RS256 signature is checked against Google's published keys (JWKS), its audience
+// against GOOGLE_CLIENT_ID (comma-separated if several clients sign in) and its issuer against
+// Google's. Keys are cached for as long as Google's Cache-Control header allows. Tests can swap
+// the key source with setGoogleKeyFetcher.
+
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const DEFAULT_CACHE_MS = 60 * 60 * 1000;
+
+export class GoogleAuthError extends Error {
+  constructor(message, { configuration = false } = {}) {
+    super(message);
+    this.name = 'GoogleAuthError';
+    this.configuration = configuration;
+  }
+}
+
+// Key fetcher: () -> { keys: [jwk], maxAgeMs }
+const fetchGoogleKeys = async () => {
+  const response = await fetch(GOOGLE_CERTS_URL);
+  if (!response.ok) {
+    throw new Error(`Could not fetch Google signing keys (${response.status})`);
+  }
+
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  const { keys } = await response.json();
+  return { keys, maxAgeMs: maxAge ? Number(maxAge[1]) * 1000 : DEFAULT_CACHE_MS };
+};
+
+let keyFetcher = fetchGoogleKeys;
+let cache = { keys: new Map(), expiresAt: 0 };
+
+// Swap the key source (tests inject local keys) and drop cached keys
+export const setGoogleKeyFetcher = (fetcher) => {
+  keyFetcher = fetcher || fetchGoogleKeys;
+  cache = { keys: new Map(), expiresAt: 0 };
+};
+
+const loadKeys = async () => {
+  const { keys, maxAgeMs = DEFAULT_CACHE_MS } = await keyFetcher();
+  cache = {
+    keys: new Map(keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])),
+    expiresAt: Date.now() + maxAgeMs,
+  };
+};
+
+// Public key for a key ID. Refetches once for an unknown ID, since Google rotates its keys.
+const getSigningKey = async (kid) => {
+  if (Date.now() >= cache.expiresAt) await loadKeys();
+  if (!cache.keys.has(kid)) await loadKeys();
+  return cache.keys.get(kid) || null;
+};
+
+export const getGoogleClientIds = () =>
+  (process.env.GOOGLE_CLIENT_ID || '').split(',').map(id => id.trim()).filter(Boolean);
+
+// Verify an ID token and return its claims ({ sub, email, name, picture, ... }).
+// Throws GoogleAuthError when the token is not a valid Google sign-in for this app.
+export const verifyGoogleIdToken = async (idToken) => {
+  const audience = getGoogleClientIds();
+  if (audience.length === 0) {
+    throw new GoogleAuthError('Google sign-in is not configured', { configuration: true });
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+    throw new GoogleAuthError('Invalid Google token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  if (!key) {
+    throw new GoogleAuthError('Invalid Google token');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, { algorithms: ['RS256'], audience, issuer: GOOGLE_ISSUERS });
+  } catch (error) {
+    throw new GoogleAuthError(error.name === 'TokenExpiredError' ? 'Google token expired' : 'Invalid Google token');
+  }
+
+  if (!claims.email || (claims.email_verified !== true && claims.email_verified !== 'true')) {
+    throw new GoogleAuthError('Google account email is not verified');
+  }
+  return claims;
+};
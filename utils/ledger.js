@@ -0,0 +1,209 @@
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { roundCurrency } from './amortization.js';
+
+// Double-entry ledger for loan money movements.
+//
+// Accounts: loans_receivable (what the borrower owes), cash, interest_income, fee_income.
+//   Disbursement  Dr loans_receivable / Cr cash
+//   Interest      Dr loans_receivable / Cr interest_income
+//   LateFee       Dr loans_receivable / Cr fee_income
+//   Repayment     Dr cash             / Cr loans_receivable
+//   Fee           Dr cash             / Cr fee_income        (application fee)
+//   Refund        Dr fee_income       / Cr cash              (application fee refund)
+//   Rebate        Dr interest_income  / Cr loans_receivable  (unearned interest waived on early payoff)
+//   Reversal      mirror image of the reversed journal
+//
+// Mutations queue journals on the application (queueLedgerJournal). They are saved with it in
+// pendingLedgerJournals, so the change and its journals are stored in one write, and the
+// LoanApplication post-save hook posts them. A journal that fails to post stays pending and is
+// retried on the next save of the application or by the ledger-retry job; posting is idempotent
+// per journalId.
+
+const POSTINGS = {
+  Disbursement: ['loans_receivable', 'cash'],
+  Interest: ['loans_receivable', 'interest_income'],
+  LateFee: ['loans_receivable', 'fee_income'],
+  Repayment: ['cash', 'loans_receivable'],
+  Fee: ['cash', 'fee_income'],
+  Refund: ['fee_income', 'cash'],
+  Rebate: ['interest_income', 'loans_receivable'],
+};
+
+// Receivable movements that change what is owed vs. what has been paid
+const CHARGE_TYPES = ['Disbursement', 'Interest', 'LateFee', 'Rebate'];
+const PAYMENT_TYPES = ['Repayment'];
+
+// Entry types that can be reversed through the API
+export const REVERSIBLE_TYPES = ['Repayment'];
+
+const buildLines = (entryType, amount) => {
+  const [debitAccount, creditAccount] = POSTINGS[entryType];
+  return [
+    { account: debitAccount, debit: amount, credit: 0 },
+    { account: creditAccount, debit: 0, credit: amount },
+  ];
+};
+
+const newJournalId = () => new mongoose.Types.ObjectId().toString();
+
+// Insert one balanced journal. Lines already on the ledger under the same journalId are skipped,
+// so posting a journal again completes it instead of duplicating it.
+export const postJournal = async ({ journalId = newJournalId(), applicationId, entryType, lines, ...details }) => {
+  const debits = roundCurrency(lines.reduce((sum, line) => sum + line.debit, 0));
+  const credits = roundCurrency(lines.reduce((sum, line) => sum + line.credit, 0));
+
+  if (debits !== credits || debits <= 0) {
+    throw new Error(`Unbalanced ${entryType} journal: debits ${debits}, credits ${credits}`);
+  }
+
+  const posted = await LedgerEntry.distinct('account', { journalId });
+  const missing = lines.filter(line => !posted.includes(line.account));
+
+  if (missing.length > 0) {
+    await LedgerEntry.insertMany(missing.map(line => ({
+      journalId,
+      applicationId,
+      entryType,
+      ...details,
+      account: line.account,
+      debit: line.debit,
+      credit: line.credit,
+    })));
+  }
+
+  return journalId;
+};
+
+const queueJournal = (application, journal) => {
+  const journalId = newJournalId();
+  application.pendingLedgerJournals.push({ journalId, ...journal });
+  return journalId;
+};
+
+// Queue a standard journal to be posted when the application is next saved
+export const queueLedgerJournal = (application, entryType, amount, { reference = '', description = '', createdBy = null } = {}) => {
+  const rounded = roundCurrency(amount);
+  if (rounded <= 0) return null;
+
+  return queueJournal(application, {
+    entryType,
+    lines: buildLines(entryType, rounded),
+    reference,
+    description,
+    createdBy,
+  });
+};
+
+// Queue the mirror image of a posted journal. Returns the reversal's journalId.
+export const queueReversalJournal = async (application, journalId, { description = '', createdBy = null } = {}) => {
+  const entries = await LedgerEntry.find({ journalId });
+
+  if (entries.length === 0) {
+    throw new Error('Journal not found');
+  }
+
+  return queueJournal(application, {
+    entryType: 'Reversal',
+    reversedEntryType: entries[0].entryType,
+    reverses: journalId,
+    reference: entries[0].reference,
+    description,
+    createdBy,
+    lines: entries.map(entry => ({ account: entry.account, debit: entry.credit, credit: entry.debit })),
+  });
+};
+
+// Whether a journal has been reversed, on the ledger or still pending on the application
+export const isJournalReversed = async (application, journalId) =>
+  application.pendingLedgerJournals.some(journal => journal.reverses === journalId)
+  || Boolean(await LedgerEntry.exists({ reverses: journalId }));
+
+// Post the application's pending journals and drop the ones that made it onto the ledger
+// (called from the LoanApplication post-save hook). Returns how many are still pending.
+export const flushLedgerJournals = async (application) => {
+  const journals = application.pendingLedgerJournals || [];
+  if (journals.length === 0) return 0;
+
+  const posted = [];
+  for (const journal of journals) {
+    const { journalId, entryType, reversedEntryType, reverses, reference, description, createdBy, lines } = journal;
+    try {
+      await postJournal({
+        journalId,
+        applicationId: application._id,
+        entryType,
+        reversedEntryType,
+        reverses,
+        reference,
+        description,
+        createdBy,
+        lines,
+      });
+      posted.push(journalId);
+    } catch (error) {
+      console.error(`Ledger posting error (journal ${journalId} stays pending):`, error);
+    }
+  }
+
+  if (posted.length > 0) {
+    try {
+      await application.constructor.updateOne(
+        { _id: application._id },
+        { $pull: { pendingLedgerJournals: { journalId: { $in: posted } } } }
+      );
+    } catch (error) {
+      // Harmless: posting is idempotent, so the journals are dropped on the next flush
+      console.error('Error clearing posted ledger journals:', error);
+      return journals.length;
+    }
+    // Mirror the removal in memory without marking the path as modified for the next save
+    application.pendingLedgerJournals = journals.filter(journal => !posted.includes(journal.journalId));
+    application.unmarkModified('pendingLedgerJournals');
+  }
+
+  return journals.length - posted.length;
+};
+
+// Pending journals as ledger entries, for balances that include what is about to be posted
+export const pendingEntries = (application) =>
+  (application?.pendingLedgerJournals || []).flatMap(({ entryType, reversedEntryType, lines }) =>
+    lines.map(({ account, debit, credit }) => ({ entryType, reversedEntryType, account, debit, credit })));
+
+// Fold ledger entries into balances. Reversals count against the type they reverse.
+export const summarizeEntries = (entries) => {
+  const balances = {
+    totalAmount: 0,
+    paidAmount: 0,
+    remainingAmount: 0,
+    feesCollected: 0,
+    hasLoanEntries: false, // Any loans_receivable movement (i.e. the loan itself is on the ledger)
+  };
+
+  for (const entry of entries) {
+    const kind = entry.reversedEntryType || entry.entryType;
+
+    if (entry.account === 'loans_receivable') {
+      balances.hasLoanEntries = true;
+      if (CHARGE_TYPES.includes(kind)) balances.totalAmount += entry.debit - entry.credit;
+      if (PAYMENT_TYPES.includes(kind)) balances.paidAmount += entry.credit - entry.debit;
+      balances.remainingAmount += entry.debit - entry.credit;
+    }
+
+    if (entry.account === 'fee_income' && ['Fee', 'Refund'].includes(kind)) {
+      balances.feesCollected += entry.credit - entry.debit;
+    }
+  }
+
+  for (const key of ['totalAmount', 'paidAmount', 'remainingAmount', 'feesCollected']) {
+    balances[key] = roundCurrency(balances[key]);
+  }
+  return balances;
+};
+
+// Balances of an application: its ledger entries plus the journals still pending on it
+export const getLedgerBalances = async (application) =>
+  summarizeEntries([
+    ...await LedgerEntry.find({ applicationId: application._id }).lean(),
+    ...pendingEntries(application),
+  ]);
@@ -0,0 +1,62 @@
+import User from '../models/User.js';
+import { sendEmail } from './emailService.js';
+import { DOMAIN_EVENTS, domainEvents } from './events.js';
+import {
+  applicationApprovedEmail,
+  applicationRejectedEmail,
+  applicationSubmittedEmail,
+  loanDisbursedEmail,
+  loanRepaidEmail,
+  paymentReceiptEmail,
+} from './emailTemplates.js';
+
+// Borrower emails for domain events. Each notification belongs to a preference category
+// the borrower can switch off (User.notificationPreferences).
+const NOTIFICATIONS = {
+  [DOMAIN_EVENTS.APPLICATION_SUBMITTED]: { category: 'applicationUpdates', template: applicationSubmittedEmail },
+  [DOMAIN_EVENTS.APPLICATION_APPROVED]: { category: 'applicationUpdates', template: applicationApprovedEmail },
+  [DOMAIN_EVENTS.APPLICATION_REJECTED]: { category: 'applicationUpdates', template: applicationRejectedEmail },
+  [DOMAIN_EVENTS.LOAN_DISBURSED]: { category: 'applicationUpdates', template: loanDisbursedEmail },
+  [DOMAIN_EVENTS.FEE_PAID]: {
+    category: 'paymentReceipts',
+    template: (event) => paymentReceiptEmail({ ...event, description: 'Application fee' }),
+  },
+  [DOMAIN_EVENTS.REPAYMENT_RECORDED]: {
+    category: 'paymentReceipts',
+    template: (event) => paymentReceiptEmail({ ...event, description: 'Repayment' }),
+  },
+  [DOMAIN_EVENTS.LOAN_REPAID]: { category: 'paymentReceipts', template: loanRepaidEmail },
+};
+
+export const NOTIFICATION_CATEGORIES = ['applicationUpdates', 'paymentReceipts'];
+
+// Send one notification unless the borrower opted out. Never throws.
+export const notify = async (name, event) => {
+  const { category, template } = NOTIFICATIONS[name];
+
+  try {
+    const user = await User.findById(event.application.userId).select('email notificationPreferences');
+    if (user?.notificationPreferences?.[category] === false) return { sent: false, reason: 'opted out' };
+
+    const { subject, html, text } = template(event);
+    const result = await sendEmail(user?.email || event.application.userEmail, subject, html, text);
+    return { sent: result.success };
+  } catch (error) {
+    console.error(`Notification error (${name}):`, error);
+    return { sent: false, reason: error.message };
+  }
+};
+
+let registered = false;
+
+// Subscribe the email notifications to domain events (once per process: the API and scripts that save applications)
+export const registerNotificationHandlers = () => {
+  if (registered) return;
+  registered = true;
+
+  for (const name of Object.keys(NOTIFICATIONS)) {
+    domainEvents.on(name, (event) => {
+      notify(name, event);
+    });
+  }
+};
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Passwords that meet the length and character rules but are still too easy to guess
+const COMMON_PASSWORDS = new Set([
+  'password1', 'password123', 'passw0rd', 'qwerty123', 'abc12345', 'iloveyou1', 'letmein1',
+  'welcome1', 'admin123', '1q2w3e4r', 'loanlink1', 'loanlink123',
+]);
+
+// PASSWORD_MIN_LENGTH (default 8)
+export const getPasswordMinLength = () => Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+
+// Everything wrong with a new password under the strength policy (empty if it is acceptable)
+export const getPasswordPolicyErrors = (password) => {
+  const errors = [];
+  const minLength = getPasswordMinLength();
+
+  if (password.length < minLength || password.length > 128) {
+    errors.push(`password must be ${minLength} to 128 characters`);
+  }
+  if (!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) {
+    errors.push('password must contain at least one letter and one number');
+  }
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    errors.push('password is too common');
+  }
+
+  return errors;
+};
+
+// PASSWORD_RESET_TTL_MINUTES: how long a reset link works (default 60)
+export const getResetTokenLifetime = () => (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * MINUTE_MS;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a reset token (not saved). Only its hash is stored, and issuing a new one replaces the last.
+export const createPasswordResetToken = (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.passwordReset = {
+    tokenHash: hashToken(token),
+    requestedAt: new Date(),
+    expiresAt: new Date(Date.now() + getResetTokenLifetime()),
+  };
+  return token;
+};
+
+export const findUserByResetToken = (token) =>
+  User.findOne({
+    'passwordReset.tokenHash': hashToken(token),
+    'passwordReset.expiresAt': { $gt: new Date() },
+  });
+
+// Hash and store a new password (not saved), using up any outstanding reset token
+export const setPassword = async (user, password) => {
+  user.password = await bcrypt.hash(password, 10);
+  user.passwordChangedAt = new Date();
+  user.passwordReset = undefined;
+};
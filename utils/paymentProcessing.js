@@ -0,0 +1,183 @@
+// Apply payments (Stripe PaymentIntents and recorded repayments) to a LoanApplication.
+// Shared by the webhook, /confirm and the repayments route so every path stays idempotent.
+
+import { allocateRepayment, roundCurrency } from './amortization.js';
+import { updateDelinquencyStatus } from './delinquency.js';
+import { queueLedgerJournal } from './ledger.js';
+import { computePayoffQuote } from './payoff.js';
+import { fromMinorUnits, matchesApplicationFee } from './fees.js';
+import { closeIfRepaid } from './applicationWorkflow.js';
+import { DOMAIN_EVENTS, queueDomainEvent } from './events.js';
+
+const LOAN_PAYMENT_TYPES = ['repayment', 'settlement'];
+
+const getPaymentType = (paymentIntent) =>
+  LOAN_PAYMENT_TYPES.includes(paymentIntent.metadata?.type) ? paymentIntent.metadata.type : 'application_fee';
+
+// Record a repayment unless the same transaction was already applied
+export const recordRepayment = (application, { amount, transactionId, paymentMethod, createdBy }) => {
+  if (transactionId && application.repayments.some(r => r.transactionId === transactionId)) {
+    return false;
+  }
+
+  const paymentDate = new Date();
+  application.repayments.push({
+    amount,
+    paymentDate,
+    transactionId: transactionId || '',
+    paymentMethod: paymentMethod || 'Stripe',
+  });
+
+  // Manual repayments without a transaction ID are referenced by their subdocument ID
+  const repayment = application.repayments[application.repayments.length - 1];
+  queueLedgerJournal(application, 'Repayment', amount, {
+    reference: transactionId || repayment._id.toString(),
+    description: `Repayment via ${paymentMethod || 'Stripe'}`,
+    createdBy,
+  });
+  queueDomainEvent(application, DOMAIN_EVENTS.REPAYMENT_RECORDED, {
+    amount,
+    transactionId: transactionId || '',
+    paymentMethod: paymentMethod || 'Stripe',
+  });
+
+  // Settle scheduled installments oldest first (legacy loans have no schedule)
+  allocateRepayment(application.installments || [], amount, paymentDate);
+  if (application.installments?.length) {
+    updateDelinquencyStatus(application, paymentDate);
+  }
+
+  application.paidAmount = roundCurrency((application.paidAmount || 0) + amount);
+  application.remainingAmount = roundCurrency(application.totalAmount - application.paidAmount);
+
+  if (application.remainingAmount <= 0) {
+    application.repaymentStatus = 'Complete';
+    application.remainingAmount = 0;
+    closeIfRepaid(application);
+    queueDomainEvent(application, DOMAIN_EVENTS.LOAN_REPAID);
+  } else {
+    application.repaymentStatus = 'In Progress';
+  }
+
+  return true;
+};
+
+// Close a loan early with the settlement amount of a payoff quote. The unearned interest
+// is rebated. Returns false if the transaction was already applied.
+export const settleLoan = (application, quote, { transactionId, paymentMethod, createdBy }) => {
+  const recorded = recordRepayment(application, {
+    amount: quote.settlementAmount,
+    transactionId,
+    paymentMethod,
+    createdBy,
+  });
+  if (!recorded) return false;
+
+  // Without a rebate the repayment alone clears the balance (and already announced it)
+  const repaidByRepayment = application.repaymentStatus === 'Complete';
+  const settledAt = new Date();
+  queueLedgerJournal(application, 'Rebate', quote.interestRebate, {
+    reference: transactionId || '',
+    description: `Early payoff interest rebate (quote ${quote.quoteDate})`,
+    createdBy,
+  });
+
+  for (const installment of application.installments || []) {
+    if (installment.status !== 'Paid') {
+      installment.status = 'Paid';
+      installment.paidAt = settledAt;
+    }
+  }
+
+  application.totalAmount = roundCurrency(application.totalAmount - quote.interestRebate);
+  application.remainingAmount = 0;
+  application.repaymentStatus = 'Complete';
+  application.daysPastDue = 0;
+  application.delinquencyStatus = 'Current';
+  application.settlement = {
+    settledAt,
+    quoteDate: quote.quoteDate,
+    amount: quote.settlementAmount,
+    interestRebate: quote.interestRebate,
+    transactionId: transactionId || '',
+    paymentMethod,
+  };
+  closeIfRepaid(application);
+  if (!repaidByRepayment) {
+    queueDomainEvent(application, DOMAIN_EVENTS.LOAN_REPAID);
+  }
+
+  return true;
+};
+
+// Apply a succeeded PaymentIntent. Returns false if it had already been applied.
+export const applySucceededPayment = (application, paymentIntent) => {
+  const paymentType = getPaymentType(paymentIntent);
+  const amount = fromMinorUnits(paymentIntent.amount_received || paymentIntent.amount, paymentIntent.currency);
+  let applied;
+
+  if (paymentType === 'settlement') {
+    // Honour the quote the intent was created for; if the balance moved since, book it as a plain repayment
+    const quote = computePayoffQuote(application, new Date(paymentIntent.metadata.quoteDate));
+    const createdAt = paymentIntent.created ? new Date(paymentIntent.created * 1000) : new Date();
+    const matchesQuote = roundCurrency(amount) === quote.settlementAmount && createdAt <= quote.expiresAt;
+
+    applied = matchesQuote
+      ? settleLoan(application, quote, { transactionId: paymentIntent.id, paymentMethod: 'Stripe' })
+      : recordRepayment(application, { amount, transactionId: paymentIntent.id, paymentMethod: 'Stripe' });
+  } else if (paymentType === 'repayment') {
+    applied = recordRepayment(application, {
+      amount,
+      transactionId: paymentIntent.id,
+      paymentMethod: paymentIntent.metadata?.autopay === 'true' ? 'Autopay' : 'Stripe',
+    });
+  } else if (application.applicationFeeStatus !== 'Unpaid') {
+    applied = false;
+  } else if (!matchesApplicationFee(application, paymentIntent)) {
+    // Underpaid or wrong currency - leave the fee unpaid and keep the evidence on lastPaymentAttempt
+    console.warn('Payment does not match application fee:', paymentIntent.id, application._id.toString());
+    applied = false;
+  } else {
+    application.applicationFeeStatus = 'Paid';
+    application.paymentDetails = {
+      transactionId: paymentIntent.id,
+      paymentDate: new Date(),
+      amount,
+    };
+    queueLedgerJournal(application, 'Fee', amount, {
+      reference: paymentIntent.id,
+      description: 'Application fee',
+    });
+    queueDomainEvent(application, DOMAIN_EVENTS.FEE_PAID, { amount, transactionId: paymentIntent.id });
+    applied = true;
+  }
+
+  application.lastPaymentAttempt = {
+    paymentIntentId: paymentIntent.id,
+    paymentType,
+    status: 'Succeeded',
+    amount,
+    failureMessage: '',
+    updatedAt: new Date(),
+  };
+
+  return applied;
+};
+
+// Record a failed or canceled PaymentIntent. Balances are left untouched.
+export const applyUnsuccessfulPayment = (application, paymentIntent, status) => {
+  // Events can arrive out of order - never downgrade an intent that already succeeded
+  const last = application.lastPaymentAttempt;
+  if (last?.paymentIntentId === paymentIntent.id && last.status === 'Succeeded') {
+    return;
+  }
+
+  application.lastPaymentAttempt = {
+    paymentIntentId: paymentIntent.id,
+    paymentType: getPaymentType(paymentIntent),
+    status,
+    amount: fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+    failureMessage: paymentIntent.last_payment_error?.message || paymentIntent.cancellation_reason || '',
+    updatedAt: new Date(),
+  };
+};
@@ -0,0 +1,9 @@
+// Raised by payment providers. invalidRequest marks errors caused by bad input
+// (unknown payment ID, wrong state) as opposed to provider outages.
+export class PaymentProviderError extends Error {
+  constructor(message, { invalidRequest = false } = {}) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.invalidRequest = invalidRequest;
+  }
+}
@@ -0,0 +1,246 @@
+import crypto from 'crypto';
+import { PaymentProviderError } from './errors.js';
+
+// Deterministic in-memory payment provider for local development and tests (PAYMENT_PROVIDER=fake).
+// Mirrors the Stripe object shapes used by the app. Confirm with one of Stripe's test
+// payment method IDs: 'pm_card_visa' succeeds, 'pm_card_chargeDeclined' is declined.
+export const DECLINED_PAYMENT_METHOD = 'pm_card_chargeDeclined';
+
+// Webhook timestamps older or newer than this are rejected, like Stripe's default tolerance
+export const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const sign = (secret, timestamp, payload) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+
+// Webhooks are only accepted when a webhookSecret is given
+export const createFakeProvider = ({ webhookSecret } = {}) => {
+  let sequence = 0;
+  const paymentIntents = new Map();
+  const refundsByIntent = new Map();
+  const customers = new Map();
+  const setupIntents = new Map();
+
+  const nextId = (prefix) => `${prefix}_fake_${String(++sequence).padStart(6, '0')}`;
+
+  const getIntent = (id) => {
+    const intent = paymentIntents.get(id);
+    if (!intent) {
+      throw new PaymentProviderError(`No such payment_intent: '${id}'`, { invalidRequest: true });
+    }
+    return intent;
+  };
+
+  const getSetupIntent = (id) => {
+    const setupIntent = setupIntents.get(id);
+    if (!setupIntent) {
+      throw new PaymentProviderError(`No such setup_intent: '${id}'`, { invalidRequest: true });
+    }
+    return setupIntent;
+  };
+
+  const getCustomer = (id) => {
+    const customer = customers.get(id);
+    if (!customer) {
+      throw new PaymentProviderError(`No such customer: '${id}'`, { invalidRequest: true });
+    }
+    return customer;
+  };
+
+  // Callers get copies (without internal bookkeeping) so they can't mutate provider state
+  const copy = ({ idempotencyKey, ...object }) => structuredClone(object);
+
+  return {
+    name: 'fake',
+    webhookConfigured: Boolean(webhookSecret),
+
+    createPaymentIntent: async ({ amount, currency, metadata = {}, idempotencyKey }) => {
+      if (!Number.isInteger(amount) || amount <= 0) {
+        throw new PaymentProviderError('Amount must be a positive integer', { invalidRequest: true });
+      }
+
+      const existing = idempotencyKey
+        && [...paymentIntents.values()].find(pi => pi.idempotencyKey === idempotencyKey);
+      if (existing) return copy(existing);
+
+      const id = nextId('pi');
+      const intent = {
+        id,
+        object: 'payment_intent',
+        amount,
+        amount_received: 0,
+        currency,
+        metadata: { ...metadata },
+        status: 'requires_payment_method',
+        client_secret: `${id}_secret`,
+        created: Math.floor(Date.now() / 1000),
+        last_payment_error: null,
+        idempotencyKey,
+      };
+      paymentIntents.set(id, intent);
+      return copy(intent);
+    },
+
+    retrievePaymentIntent: async (id) => copy(getIntent(id)),
+
+    confirmPaymentIntent: async (id, { paymentMethodId = 'pm_card_visa' } = {}) => {
+      const intent = getIntent(id);
+
+      if (intent.status === 'succeeded') {
+        throw new PaymentProviderError('This PaymentIntent has already succeeded', { invalidRequest: true });
+      }
+
+      if (paymentMethodId === DECLINED_PAYMENT_METHOD) {
+        intent.status = 'requires_payment_method';
+        intent.last_payment_error = { code: 'card_declined', message: 'Your card was declined.' };
+      } else {
+        intent.status = 'succeeded';
+        intent.amount_received = intent.amount;
+        intent.last_payment_error = null;
+      }
+      return copy(intent);
+    },
+
+    refund: async ({ paymentIntentId, metadata = {}, idempotencyKey }) => {
+      const intent = getIntent(paymentIntentId);
+
+      if (intent.status !== 'succeeded') {
+        throw new PaymentProviderError('PaymentIntent has not succeeded', { invalidRequest: true });
+      }
+
+      const existing = refundsByIntent.get(paymentIntentId);
+      if (existing) {
+        if (existing.idempotencyKey === idempotencyKey) return copy(existing);
+        throw new PaymentProviderError('Charge has already been refunded', { invalidRequest: true });
+      }
+
+      const refund = {
+        id: nextId('re'),
+        object: 'refund',
+        amount: intent.amount_received,
+        currency: intent.currency,
+        payment_intent: paymentIntentId,
+        metadata: { ...metadata },
+        status: 'succeeded',
+        idempotencyKey,
+      };
+      refundsByIntent.set(paymentIntentId, refund);
+      return copy(refund);
+    },
+
+    createCustomer: async ({ email, name, metadata = {} }) => {
+      const customer = { id: nextId('cus'), object: 'customer', email, name, metadata: { ...metadata }, paymentMethods: [] };
+      customers.set(customer.id, customer);
+      return { id: customer.id, email, name };
+    },
+
+    createSetupIntent: async ({ customerId, metadata = {} }) => {
+      getCustomer(customerId);
+      const id = nextId('seti');
+      const setupIntent = {
+        id,
+        object: 'setup_intent',
+        customer: customerId,
+        metadata: { ...metadata },
+        status: 'requires_payment_method',
+        client_secret: `${id}_secret`,
+        payment_method: null,
+      };
+      setupIntents.set(id, setupIntent);
+      return copy(setupIntent);
+    },
+
+    retrieveSetupIntent: async (id) => copy(getSetupIntent(id)),
+
+    // Saves a card on the customer. The declined test card can be saved but every charge on it fails.
+    confirmSetupIntent: async (id, { paymentMethodId = 'pm_card_visa' } = {}) => {
+      const setupIntent = getSetupIntent(id);
+      if (setupIntent.status === 'succeeded') return copy(setupIntent);
+
+      const declines = paymentMethodId === DECLINED_PAYMENT_METHOD;
+      const method = {
+        id: nextId('pm'),
+        brand: 'visa',
+        last4: declines ? '0002' : '4242',
+        expMonth: 12,
+        expYear: 2099,
+        declines,
+      };
+      getCustomer(setupIntent.customer).paymentMethods.push(method);
+
+      setupIntent.status = 'succeeded';
+      setupIntent.payment_method = method.id;
+      return copy(setupIntent);
+    },
+
+    listPaymentMethods: async (customerId) =>
+      getCustomer(customerId).paymentMethods.map(({ declines, ...method }) => ({ ...method })),
+
+    chargeSavedPaymentMethod: async ({ customerId, paymentMethodId, amount, currency, metadata = {}, idempotencyKey }) => {
+      const method = getCustomer(customerId).paymentMethods.find(pm => pm.id === paymentMethodId);
+      if (!method) {
+        throw new PaymentProviderError(`No such PaymentMethod: '${paymentMethodId}'`, { invalidRequest: true });
+      }
+
+      const existing = idempotencyKey
+        && [...paymentIntents.values()].find(pi => pi.idempotencyKey === idempotencyKey);
+      if (existing) return copy(existing);
+
+      const id = nextId('pi');
+      const intent = {
+        id,
+        object: 'payment_intent',
+        amount,
+        amount_received: method.declines ? 0 : amount,
+        currency,
+        customer: customerId,
+        payment_method: paymentMethodId,
+        metadata: { ...metadata },
+        status: method.declines ? 'requires_payment_method' : 'succeeded',
+        client_secret: `${id}_secret`,
+        created: Math.floor(Date.now() / 1000),
+        last_payment_error: method.declines ? { code: 'card_declined', message: 'Your card was declined.' } : null,
+        idempotencyKey,
+      };
+      paymentIntents.set(id, intent);
+      return copy(intent);
+    },
+
+    // Same header format as Stripe: "t=<timestamp>,v1=<hmac>"
+    constructWebhookEvent: (rawBody, signature) => {
+      if (!webhookSecret) {
+        throw new PaymentProviderError('No webhook secret configured');
+      }
+
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+      const parts = Object.fromEntries(
+        String(signature || '').split(',').map(part => part.split('=')).filter(kv => kv.length === 2)
+      );
+
+      const expected = parts.t ? sign(webhookSecret, parts.t, payload) : '';
+      if (!parts.v1 || parts.v1.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected))) {
+        throw new PaymentProviderError('No signatures found matching the expected signature for payload');
+      }
+
+      const age = Math.floor(Date.now() / 1000) - Number(parts.t);
+      if (!Number.isInteger(Number(parts.t)) || Math.abs(age) > WEBHOOK_TOLERANCE_SECONDS) {
+        throw new PaymentProviderError('Timestamp outside the tolerance zone');
+      }
+
+      return JSON.parse(payload);
+    },
+
+    // Test helper: build the signature header for a webhook payload
+    signWebhookPayload: (payload, timestamp = Math.floor(Date.now() / 1000)) =>
+      `t=${timestamp},v1=${sign(webhookSecret, timestamp, payload)}`,
+
+    // Test helper: forget all provider state and restart ID numbering
+    reset: () => {
+      sequence = 0;
+      paymentIntents.clear();
+      refundsByIntent.clear();
+      customers.clear();
+      setupIntents.clear();
+    },
+  };
+};
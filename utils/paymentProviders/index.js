@@ -0,0 +1,53 @@
+import { createStripeProvider } from './stripeProvider.js';
+import { createFakeProvider } from './fakeProvider.js';
+
+export { PaymentProviderError } from './errors.js';
+
+// Payment provider interface (amounts are in the currency's minor unit, e.g. cents):
+//   createPaymentIntent({ amount, currency, metadata, idempotencyKey }) -> PaymentIntent
+//   retrievePaymentIntent(id) -> PaymentIntent
+//   confirmPaymentIntent(id, { paymentMethodId }) -> PaymentIntent
+//   refund({ paymentIntentId, metadata, idempotencyKey }) -> Refund
+//   constructWebhookEvent(rawBody, signature) -> Event (throws if the signature is invalid)
+//   createCustomer({ email, name, metadata }) -> Customer
+//   createSetupIntent({ customerId, metadata }) -> SetupIntent (saves a payment method for later charges)
+//   retrieveSetupIntent(id) / confirmSetupIntent(id, { paymentMethodId }) -> SetupIntent
+//   listPaymentMethods(customerId) -> [{ id, brand, last4, expMonth, expYear }]
+//   chargeSavedPaymentMethod({ customerId, paymentMethodId, amount, currency, metadata, idempotencyKey })
+//     -> PaymentIntent (off-session; declines are returned as a non-succeeded intent, not thrown)
+//
+// PAYMENT_PROVIDER selects the implementation: 'stripe' (default) or 'fake'. The fake provider is
+// refused when NODE_ENV is production and accepts webhooks only with FAKE_WEBHOOK_SECRET set.
+
+let provider;
+
+// Returns null when the selected provider is not configured (e.g. STRIPE_SECRET_KEY missing)
+export const getPaymentProvider = () => {
+  if (provider !== undefined) return provider;
+
+  const name = process.env.PAYMENT_PROVIDER || 'stripe';
+
+  if (name === 'fake' && process.env.NODE_ENV === 'production') {
+    console.error('PAYMENT_PROVIDER "fake" is not allowed in production');
+    provider = null;
+  } else if (name === 'fake') {
+    provider = createFakeProvider({ webhookSecret: process.env.FAKE_WEBHOOK_SECRET });
+  } else if (name === 'stripe') {
+    provider = process.env.STRIPE_SECRET_KEY
+      ? createStripeProvider({
+        secretKey: process.env.STRIPE_SECRET_KEY,
+        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+      })
+      : null;
+  } else {
+    console.error(`Unknown PAYMENT_PROVIDER "${name}"`);
+    provider = null;
+  }
+
+  return provider;
+};
+
+// Swap the provider at runtime (tests inject a fresh fake provider)
+export const setPaymentProvider = (nextProvider) => {
+  provider = nextProvider;
+};
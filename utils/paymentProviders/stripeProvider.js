@@ -0,0 +1,90 @@
+import Stripe from 'stripe';
+import { PaymentProviderError } from './errors.js';
+
+const toSavedMethod = (method) => ({
+  id: method.id,
+  brand: method.card?.brand || '',
+  last4: method.card?.last4 || '',
+  expMonth: method.card?.exp_month,
+  expYear: method.card?.exp_year,
+});
+
+// Stripe implementation of the payment provider interface (see ./index.js).
+// Objects are returned in Stripe's own shape, which the fake provider mirrors.
+export const createStripeProvider = ({ secretKey, webhookSecret }) => {
+  const stripe = new Stripe(secretKey);
+
+  // Normalize Stripe client errors so routes don't depend on Stripe error types
+  const call = async (fn) => {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error.type === 'StripeInvalidRequestError' || error.type === 'StripeCardError') {
+        throw new PaymentProviderError(error.message, { invalidRequest: true });
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'stripe',
+    webhookConfigured: Boolean(webhookSecret),
+
+    createPaymentIntent: ({ amount, currency, metadata, idempotencyKey }) =>
+      call(() => stripe.paymentIntents.create({ amount, currency, metadata }, { idempotencyKey })),
+
+    retrievePaymentIntent: (id) =>
+      call(() => stripe.paymentIntents.retrieve(id)),
+
+    confirmPaymentIntent: (id, { paymentMethodId }) =>
+      call(() => stripe.paymentIntents.confirm(id, { payment_method: paymentMethodId })),
+
+    refund: ({ paymentIntentId, metadata, idempotencyKey }) =>
+      call(() => stripe.refunds.create({ payment_intent: paymentIntentId, metadata }, { idempotencyKey })),
+
+    constructWebhookEvent: (rawBody, signature) =>
+      stripe.webhooks.constructEvent(rawBody, signature, webhookSecret),
+
+    createCustomer: ({ email, name, metadata }) =>
+      call(() => stripe.customers.create({ email, name, metadata })),
+
+    createSetupIntent: ({ customerId, metadata }) =>
+      call(() => stripe.setupIntents.create({
+        customer: customerId,
+        usage: 'off_session',
+        payment_method_types: ['card'],
+        metadata,
+      })),
+
+    retrieveSetupIntent: (id) =>
+      call(() => stripe.setupIntents.retrieve(id)),
+
+    confirmSetupIntent: (id, { paymentMethodId }) =>
+      call(() => stripe.setupIntents.confirm(id, { payment_method: paymentMethodId })),
+
+    listPaymentMethods: async (customerId) => {
+      const methods = await call(() => stripe.paymentMethods.list({ customer: customerId, type: 'card' }));
+      return methods.data.map(toSavedMethod);
+    },
+
+    chargeSavedPaymentMethod: async ({ customerId, paymentMethodId, amount, currency, metadata, idempotencyKey }) => {
+      try {
+        return await stripe.paymentIntents.create({
+          amount,
+          currency,
+          customer: customerId,
+          payment_method: paymentMethodId,
+          off_session: true,
+          confirm: true,
+          metadata,
+        }, { idempotencyKey });
+      } catch (error) {
+        // Off-session declines are raised as errors that carry the failed PaymentIntent
+        if (error.type === 'StripeCardError' && error.raw?.payment_intent) {
+          return error.raw.payment_intent;
+        }
+        return call(() => { throw error; });
+      }
+    },
+  };
+};
@@ -0,0 +1,84 @@
+import { roundCurrency } from './amortization.js';
+
+// Early payoff quotes. A quote is valid through the end of its quote date (UTC) and
+// rebates the scheduled interest that has not been earned by then. Quotes are not stored:
+// settlement recomputes the quote for the same date and requires the exact amount.
+
+const endOfUtcDay = (date) => {
+  const end = new Date(date);
+  end.setUTCHours(23, 59, 59, 999);
+  return end;
+};
+
+// Parse a YYYY-MM-DD quote date (defaults to today). Returns null for invalid or past dates.
+export const parseQuoteDate = (value, now = new Date()) => {
+  if (!value) return endOfUtcDay(now);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime())) return null;
+
+  const expiresAt = endOfUtcDay(date);
+  return expiresAt < now ? null : expiresAt;
+};
+
+// Compute the amount that closes the loan if paid by the end of the quote date
+export const computePayoffQuote = (application, quoteDate) => {
+  const asOf = endOfUtcDay(quoteDate);
+  const installments = application.installments || [];
+
+  const quote = {
+    applicationId: application._id,
+    quoteDate: asOf.toISOString().slice(0, 10),
+    currentBalance: roundCurrency(application.remainingAmount || 0),
+    outstandingPrincipal: 0,
+    accruedInterest: 0,
+    lateFeesDue: 0,
+    interestRebate: 0,
+    settlementAmount: 0,
+    expiresAt: asOf,
+  };
+
+  // Legacy loans without a schedule carry no interest breakdown - nothing to rebate
+  if (installments.length === 0) {
+    quote.settlementAmount = quote.currentBalance;
+    return quote;
+  }
+
+  let periodStart = application.disbursedAt || application.approvedAt || installments[0].dueDate;
+
+  for (const installment of installments) {
+    const previousPeriodStart = periodStart;
+    periodStart = installment.dueDate;
+    if (installment.status === 'Paid') continue;
+
+    // Payments on an installment cover its late fee first, then interest, then principal
+    let paid = installment.paidAmount || 0;
+    const lateFeeDue = Math.max((installment.lateFee || 0) - paid, 0);
+    paid = Math.max(paid - (installment.lateFee || 0), 0);
+    const interestDue = Math.max(installment.interest - paid, 0);
+    paid = Math.max(paid - installment.interest, 0);
+    const principalDue = Math.max(installment.principal - paid, 0);
+
+    // Share of this installment's interest period that has elapsed by the quote date
+    const periodLength = installment.dueDate - previousPeriodStart;
+    const earnedFraction = periodLength > 0
+      ? Math.min(Math.max((asOf - previousPeriodStart) / periodLength, 0), 1)
+      : 1;
+    const unearnedInterest = Math.min(installment.interest * (1 - earnedFraction), interestDue);
+
+    quote.outstandingPrincipal += principalDue;
+    quote.lateFeesDue += lateFeeDue;
+    quote.accruedInterest += interestDue - unearnedInterest;
+    quote.interestRebate += unearnedInterest;
+  }
+
+  for (const key of ['outstandingPrincipal', 'lateFeesDue', 'accruedInterest', 'interestRebate']) {
+    quote[key] = roundCurrency(quote[key]);
+  }
+
+  // The current balance is authoritative; the rebate is taken off it
+  quote.interestRebate = Math.min(quote.interestRebate, quote.currentBalance);
+  quote.settlementAmount = roundCurrency(quote.currentBalance - quote.interestRebate);
+  return quote;
+};
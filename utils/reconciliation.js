@@ -0,0 +1,156 @@
+import LedgerEntry from '../models/LedgerEntry.js';
+import LoanApplication from '../models/LoanApplication.js';
+import { allocateRepayment, roundCurrency } from './amortization.js';
+import { updateDelinquencyStatus } from './delinquency.js';
+import { flushLedgerJournals, getLedgerBalances, pendingEntries, summarizeEntries } from './ledger.js';
+
+const TOLERANCE = 0.01;
+
+const differs = (a, b) => Math.abs(roundCurrency((a || 0) - (b || 0))) > TOLERANCE;
+
+// Fee the application should have on the ledger according to its stored status
+const expectedFees = (application) =>
+  application.applicationFeeStatus === 'Paid' ? application.paymentDetails?.amount || 0 : 0;
+
+// Compare one application's stored totals with its ledger balances. Returns a list of issues.
+export const findDiscrepancies = (application, ledger) => {
+  const issues = [];
+  const hasLoan = application.totalAmount > 0 || application.paidAmount > 0;
+
+  if (hasLoan && !ledger.hasLoanEntries) {
+    issues.push('Loan has balances but no ledger entries');
+  } else {
+    for (const field of ['totalAmount', 'paidAmount', 'remainingAmount']) {
+      if (differs(application[field], ledger[field])) {
+        issues.push(`${field} is ${application[field] || 0} but the ledger says ${ledger[field]}`);
+      }
+    }
+  }
+
+  if (differs(expectedFees(application), ledger.feesCollected)) {
+    issues.push(`Application fee status is ${application.applicationFeeStatus} but the ledger holds ${ledger.feesCollected} in fees`);
+  }
+
+  const pending = application.pendingLedgerJournals?.length || 0;
+  if (pending > 0) {
+    issues.push(`${pending} ledger journal(s) not posted yet`);
+  }
+
+  return issues;
+};
+
+// Check every application that has money on it (stored or on the ledger)
+export const reconcileApplications = async () => {
+  // Sum per application/account/type; summarizeEntries works on these rows like on single entries
+  const rows = await LedgerEntry.aggregate([
+    {
+      $group: {
+        _id: {
+          applicationId: '$applicationId',
+          account: '$account',
+          entryType: '$entryType',
+          reversedEntryType: '$reversedEntryType',
+        },
+        debit: { $sum: '$debit' },
+        credit: { $sum: '$credit' },
+      },
+    },
+  ]);
+
+  const rowsByApplication = new Map();
+  for (const row of rows) {
+    const id = row._id.applicationId.toString();
+    if (!rowsByApplication.has(id)) rowsByApplication.set(id, []);
+    rowsByApplication.get(id).push({ ...row._id, debit: row.debit, credit: row.credit });
+  }
+
+  const applications = await LoanApplication.find({
+    $or: [
+      { _id: { $in: [...rowsByApplication.keys()] } },
+      { totalAmount: { $gt: 0 } },
+      { paidAmount: { $gt: 0 } },
+      { applicationFeeStatus: { $in: ['Paid', 'Refunded'] } },
+      { 'pendingLedgerJournals.0': { $exists: true } },
+    ],
+  }).select('userEmail loanTitle status applicationFeeStatus paymentDetails totalAmount paidAmount remainingAmount pendingLedgerJournals');
+
+  const discrepancies = [];
+  for (const application of applications) {
+    // Pending journals are counted so that only real drift is reported, and flagged separately
+    const ledger = summarizeEntries([
+      ...rowsByApplication.get(application._id.toString()) || [],
+      ...pendingEntries(application),
+    ]);
+    const issues = findDiscrepancies(application, ledger);
+
+    if (issues.length > 0) {
+      discrepancies.push({
+        applicationId: application._id,
+        userEmail: application.userEmail,
+        loanTitle: application.loanTitle,
+        status: application.status,
+        stored: {
+          totalAmount: application.totalAmount,
+          paidAmount: application.paidAmount,
+          remainingAmount: application.remainingAmount,
+          applicationFeeStatus: application.applicationFeeStatus,
+          pendingLedgerJournals: application.pendingLedgerJournals.length,
+        },
+        ledger,
+        issues,
+      });
+    }
+  }
+
+  return { checked: applications.length, discrepancies };
+};
+
+// Rewrite an application's stored totals from its ledger and re-allocate installments from
+// the repayments that have not been reversed (used after a reversal). The caller saves the application.
+export const syncApplicationBalances = async (application, now = new Date()) => {
+  const ledger = await getLedgerBalances(application);
+
+  application.totalAmount = ledger.totalAmount;
+  application.paidAmount = ledger.paidAmount;
+  application.remainingAmount = Math.max(ledger.remainingAmount, 0);
+
+  if (application.installments?.length) {
+    for (const installment of application.installments) {
+      installment.paidAmount = 0;
+      installment.status = 'Pending';
+      installment.paidAt = undefined;
+    }
+    // Replay the repayments that still stand, in the order they were made
+    const activeRepayments = application.repayments
+      .filter(repayment => !repayment.reversedAt)
+      .sort((a, b) => a.paymentDate - b.paymentDate);
+    for (const repayment of activeRepayments) {
+      allocateRepayment(application.installments, repayment.amount, repayment.paymentDate);
+    }
+    updateDelinquencyStatus(application, now);
+  }
+
+  if (application.remainingAmount <= 0 && application.totalAmount > 0) {
+    application.repaymentStatus = 'Complete';
+  } else {
+    application.repaymentStatus = application.paidAmount > 0 ? 'In Progress' : 'Pending';
+  }
+
+  return ledger;
+};
+
+// Post journals left pending by failed post-save hooks
+export const postPendingLedgerJournals = async () => {
+  const applications = await LoanApplication.find({ 'pendingLedgerJournals.0': { $exists: true } });
+
+  let posted = 0;
+  let stillPending = 0;
+  for (const application of applications) {
+    const queued = application.pendingLedgerJournals.length;
+    const remaining = await flushLedgerJournals(application);
+    posted += queued - remaining;
+    stillPending += remaining;
+  }
+
+  return { applications: applications.length, posted, stillPending };
+};
@@ -0,0 +1,99 @@
+import { getPaymentProvider } from './paymentProviders/index.js';
+import { queueLedgerJournal } from './ledger.js';
+import { fromMinorUnits } from './fees.js';
+
+// Refund policy per trigger: 'auto' refunds immediately, 'manual' leaves it to an admin
+export const getRefundPolicy = () => ({
+  onRejection: process.env.REFUND_ON_REJECTION || 'auto',
+  onCancellation: process.env.REFUND_ON_CANCELLATION || 'manual',
+});
+
+const REFUND_STATUSES = {
+  succeeded: 'Succeeded',
+  pending: 'Pending',
+  requires_action: 'Pending',
+  failed: 'Failed',
+  canceled: 'Failed',
+};
+
+// Reason the application fee can't be refunded, or null if it can
+export const getRefundBlocker = (application) => {
+  if (application.applicationFeeStatus === 'Refunded') {
+    return 'Application fee has already been refunded';
+  }
+  if (application.applicationFeeStatus !== 'Paid' || !application.paymentDetails?.transactionId) {
+    return 'Application fee has not been paid';
+  }
+  if (application.refund?.status === 'Pending') {
+    return 'A refund is already in progress';
+  }
+  if (['Approved', 'Disbursed', 'Closed'].includes(application.status)) {
+    return 'Application fees for approved loans are not refundable';
+  }
+  return null;
+};
+
+// Apply a provider refund object (from the API or a charge.refund.updated webhook) to the application
+export const applyRefundUpdate = (application, refund) => {
+  const status = REFUND_STATUSES[refund.status] || 'Pending';
+
+  application.refund.refundId = refund.id;
+  const amount = fromMinorUnits(refund.amount, refund.currency || application.currency);
+  application.refund.amount = amount;
+  application.refund.status = status;
+
+  // The webhook and the API response can both report success - only book it once
+  if (status === 'Succeeded' && application.applicationFeeStatus !== 'Refunded') {
+    application.refund.processedAt = new Date();
+    application.refund.failureMessage = '';
+    application.applicationFeeStatus = 'Refunded';
+    queueLedgerJournal(application, 'Refund', amount, {
+      reference: refund.id,
+      description: application.refund.reason,
+    });
+  } else if (status === 'Failed') {
+    application.refund.failureMessage = refund.failure_reason || 'Refund failed';
+  }
+};
+
+// Refund the application fee through the payment provider. Never throws for provider failures -
+// the outcome is recorded on application.refund so rejections/cancellations still go through.
+// The caller is responsible for saving the application.
+export const refundApplicationFee = async (application, { reason, requestedBy }) => {
+  const attempts = (application.refund?.attempts || 0) + 1;
+
+  application.refund = {
+    status: 'Pending',
+    attempts,
+    amount: application.paymentDetails.amount,
+    reason: reason || '',
+    requestedBy,
+    requestedAt: new Date(),
+  };
+
+  const paymentProvider = getPaymentProvider();
+  if (!paymentProvider) {
+    application.refund.status = 'Failed';
+    application.refund.failureMessage = 'Payment service is not configured';
+    return application.refund;
+  }
+
+  try {
+    const refund = await paymentProvider.refund({
+      paymentIntentId: application.paymentDetails.transactionId,
+      metadata: {
+        applicationId: application._id.toString(),
+        type: 'application_fee_refund',
+      },
+      // Retries of the same attempt are deduplicated; a new attempt after a failure gets a new key
+      idempotencyKey: `application-fee-refund-${application._id}-${attempts}`,
+    });
+    applyRefundUpdate(application, refund);
+  } catch (error) {
+    console.error('Refund error:', error);
+    application.refund.status = 'Failed';
+    application.refund.failureMessage = error.message;
+  }
+
+  return application.refund;
+};
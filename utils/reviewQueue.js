@@ -0,0 +1,85 @@
+import LoanApplication from '../models/LoanApplication.js';
+import User from '../models/User.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses in which an application is waiting on a reviewer
+export const REVIEW_STATUSES = ['Submitted', 'Under Review', 'Needs Info'];
+
+export const ASSIGNMENT_STRATEGIES = ['none', 'round-robin', 'least-loaded'];
+
+// REVIEW_ASSIGNMENT_STRATEGY: how submitted applications are assigned (default 'none' - reviewers claim them)
+export const getAssignmentStrategy = () => {
+  const strategy = process.env.REVIEW_ASSIGNMENT_STRATEGY || 'none';
+  if (ASSIGNMENT_STRATEGIES.includes(strategy)) return strategy;
+
+  console.error(`Unknown REVIEW_ASSIGNMENT_STRATEGY "${strategy}", assigning manually`);
+  return 'none';
+};
+
+// REVIEW_SLA_WARNING_DAYS (default 2) and REVIEW_SLA_DAYS (default 5) drive the aging indicator
+export const getReviewSla = () => ({
+  warningDays: Number(process.env.REVIEW_SLA_WARNING_DAYS) || 2,
+  overdueDays: Number(process.env.REVIEW_SLA_DAYS) || 5,
+});
+
+// Days an application has been waiting and whether that is within the review SLA
+export const getAging = (application, now = new Date()) => {
+  const since = application.submittedAt || application.createdAt;
+  const ageDays = Math.max(Math.floor((now - new Date(since)) / DAY_MS), 0);
+  const { warningDays, overdueDays } = getReviewSla();
+
+  let aging = 'On Track';
+  if (ageDays >= overdueDays) aging = 'Overdue';
+  else if (ageDays >= warningDays) aging = 'At Risk';
+
+  return { ageDays, aging };
+};
+
+export const assignReviewer = (application, reviewerId) => {
+  application.assignedTo = reviewerId;
+  application.assignedAt = reviewerId ? new Date() : null;
+};
+
+// Active managers with their open review workload and most recent assignment
+const getReviewerStats = async () => {
+  const reviewers = await User.find({ role: 'manager', isSuspended: { $ne: true } }).select('_id');
+  if (reviewers.length === 0) return [];
+
+  const stats = await LoanApplication.aggregate([
+    { $match: { assignedTo: { $in: reviewers.map(r => r._id) } } },
+    {
+      $group: {
+        _id: '$assignedTo',
+        openCount: { $sum: { $cond: [{ $in: ['$status', REVIEW_STATUSES] }, 1, 0] } },
+        lastAssignedAt: { $max: '$assignedAt' },
+      },
+    },
+  ]);
+  const byReviewer = new Map(stats.map(s => [s._id.toString(), s]));
+
+  return reviewers.map(reviewer => ({
+    reviewerId: reviewer._id,
+    openCount: byReviewer.get(reviewer._id.toString())?.openCount || 0,
+    lastAssignedAt: byReviewer.get(reviewer._id.toString())?.lastAssignedAt || new Date(0),
+  }));
+};
+
+// Pick a reviewer for a newly submitted application under the configured strategy.
+// round-robin: the reviewer whose last assignment is oldest; least-loaded: fewest open reviews
+// (ties go round-robin). Returns the reviewer assigned, or null.
+export const autoAssignReviewer = async (application) => {
+  const strategy = getAssignmentStrategy();
+  if (strategy === 'none' || application.assignedTo) return null;
+
+  const reviewers = await getReviewerStats();
+  if (reviewers.length === 0) return null;
+
+  reviewers.sort((a, b) => {
+    if (strategy === 'least-loaded' && a.openCount !== b.openCount) return a.openCount - b.openCount;
+    return a.lastAssignedAt - b.lastAssignedAt;
+  });
+
+  assignReviewer(application, reviewers[0].reviewerId);
+  return reviewers[0].reviewerId;
+};
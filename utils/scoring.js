@@ -0,0 +1,177 @@
+import LoanApplication from '../models/LoanApplication.js';
+import Loan from '../models/Loan.js';
+import {
+  buildInstallmentSchedule,
+  parseEmiPlanMonths,
+  resolveEmiPlan,
+  roundCurrency,
+} from './amortization.js';
+import { ACTIVE_LOAN_STATUSES } from './applicationWorkflow.js';
+
+// Affordability and risk scoring for submitted applications.
+//
+// Each rule turns the scoring context into a 0-100 score (higher is safer). The overall score is
+// the weighted average of the rule scores. Weights default to DEFAULT_WEIGHTS and can be overridden
+// with SCORING_WEIGHTS (JSON, e.g. {"debtToIncome":60,"activeLoans":20,"loanToIncome":20}); a weight
+// of 0 disables a rule. Extra rules can be added with registerScoringRule.
+
+const WEEKS_PER_MONTH = 52 / 12;
+
+export const SCORE_BANDS = ['A', 'B', 'C', 'D'];
+
+const DEFAULT_WEIGHTS = {
+  debtToIncome: 50,
+  activeLoans: 25,
+  loanToIncome: 25,
+};
+
+// Linear score: 100 at or below `best`, 0 at or above `worst`
+const scaleDown = (value, best, worst) => {
+  if (value <= best) return 100;
+  if (value >= worst) return 0;
+  return Math.round(((worst - value) / (worst - best)) * 100);
+};
+
+const rules = [
+  {
+    id: 'debtToIncome',
+    // Monthly installments (this loan plus the applicant's active loans) against monthly income
+    evaluate: ({ application, debtToIncome }) => ({
+      score: scaleDown(debtToIncome, 0.2, 0.6),
+      detail: application.monthlyIncome > 0 ? `Debt-to-income ${Math.round(debtToIncome * 100)}%` : 'No income reported',
+    }),
+  },
+  {
+    id: 'activeLoans',
+    evaluate: ({ activeLoans }) => ({
+      score: scaleDown(activeLoans, 0, 3),
+      detail: `${activeLoans} other active loan(s)`,
+    }),
+  },
+  {
+    id: 'loanToIncome',
+    // Requested amount against a year of income
+    evaluate: ({ application }) => {
+      const ratio = application.monthlyIncome > 0 ? application.loanAmount / (application.monthlyIncome * 12) : Infinity;
+      return {
+        score: scaleDown(ratio, 0.25, 1.5),
+        detail: Number.isFinite(ratio) ? `Loan is ${Math.round(ratio * 100)}% of annual income` : 'No income reported',
+      };
+    },
+  },
+];
+
+// Add a rule: { id, evaluate(context) -> { score, detail } }. Give it a weight with SCORING_WEIGHTS
+// or the defaultWeight here.
+export const registerScoringRule = (rule, defaultWeight = 0) => {
+  rules.push(rule);
+  DEFAULT_WEIGHTS[rule.id] = DEFAULT_WEIGHTS[rule.id] ?? defaultWeight;
+};
+
+export const getScoringWeights = () => {
+  try {
+    return { ...DEFAULT_WEIGHTS, ...JSON.parse(process.env.SCORING_WEIGHTS || '{}') };
+  } catch (error) {
+    console.error('Invalid SCORING_WEIGHTS, using defaults:', error.message);
+    return { ...DEFAULT_WEIGHTS };
+  }
+};
+
+export const getScoreBand = (score) => {
+  if (score >= 80) return 'A';
+  if (score >= 65) return 'B';
+  if (score >= 50) return 'C';
+  return 'D';
+};
+
+// SCORING_APPROVE_THRESHOLD (default 70) and SCORING_DECLINE_THRESHOLD (default 40)
+export const getRecommendation = (score) => {
+  const approveAt = Number(process.env.SCORING_APPROVE_THRESHOLD) || 70;
+  const declineBelow = Number(process.env.SCORING_DECLINE_THRESHOLD) || 40;
+
+  if (score >= approveAt) return 'Approve';
+  if (score < declineBelow) return 'Decline';
+  return 'Review';
+};
+
+// Monthly equivalent of a loan's first installment
+const monthlyInstallment = (installments, frequency) => {
+  const amount = installments[0]?.amount || 0;
+  return frequency === 'Weekly' ? amount * WEEKS_PER_MONTH : amount;
+};
+
+// Installment this application would carry if approved as requested
+export const getProposedInstallment = (application, loan) => {
+  const emiPlan = resolveEmiPlan(application, loan);
+  const installments = buildInstallmentSchedule({
+    principal: application.loanAmount,
+    annualRate: application.interestRate,
+    termMonths: parseEmiPlanMonths(emiPlan),
+    frequency: application.repaymentSchedule,
+  });
+  return roundCurrency(monthlyInstallment(installments, application.repaymentSchedule));
+};
+
+// Score a context with the configured rules (pure - used by scoreApplication)
+export const computeRiskAssessment = (context) => {
+  const weights = getScoringWeights();
+  const factors = [];
+
+  for (const rule of rules) {
+    const weight = Number(weights[rule.id]) || 0;
+    if (weight <= 0) continue;
+
+    const { score, detail } = rule.evaluate(context);
+    factors.push({ rule: rule.id, weight, score, detail });
+  }
+
+  const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+  const score = totalWeight > 0
+    ? Math.round(factors.reduce((sum, factor) => sum + factor.score * factor.weight, 0) / totalWeight)
+    : 0;
+
+  return {
+    score,
+    band: getScoreBand(score),
+    recommendation: getRecommendation(score),
+    debtToIncome: roundCurrency(context.debtToIncome),
+    proposedInstallment: context.proposedInstallment,
+    existingInstallments: context.existingInstallments,
+    activeLoans: context.activeLoans,
+    factors,
+    scoredAt: new Date(),
+  };
+};
+
+// Gather the applicant's obligations and store a fresh assessment on the application (not saved)
+export const scoreApplication = async (application, loan) => {
+  const product = loan || await Loan.findById(application.loanId).select('emiPlans');
+
+  const otherLoans = await LoanApplication.find({
+    userId: application.userId,
+    _id: { $ne: application._id },
+    status: { $in: ACTIVE_LOAN_STATUSES },
+    repaymentStatus: { $ne: 'Complete' },
+  }).select('installments repaymentSchedule');
+
+  // Next unpaid installment of each active loan (legacy loans without a schedule count as loans only)
+  const existingInstallments = roundCurrency(otherLoans.reduce((sum, other) => {
+    const unpaid = other.installments.filter(installment => installment.status !== 'Paid');
+    return sum + monthlyInstallment(unpaid, other.repaymentSchedule);
+  }, 0));
+
+  const proposedInstallment = getProposedInstallment(application, product);
+  const debtToIncome = application.monthlyIncome > 0
+    ? (proposedInstallment + existingInstallments) / application.monthlyIncome
+    : Infinity;
+
+  application.riskAssessment = computeRiskAssessment({
+    application,
+    proposedInstallment,
+    existingInstallments,
+    activeLoans: otherLoans.length,
+    debtToIncome: Number.isFinite(debtToIncome) ? debtToIncome : 99, // No income: treat as unaffordable
+  });
+
+  return application.riskAssessment;
+};
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+// Short-lived access tokens backed by server-side sessions.
+//
+// Login creates a Session and returns an access token (a JWT carrying the session ID as `sid`)
+// plus a refresh token ("<sessionId>.<secret>", stored as a SHA-256 hash). Each refresh rotates
+// the refresh token; presenting a replaced token again revokes the session, since it means the
+// token was copied. verifyToken rejects access tokens whose session has been revoked.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// ACCESS_TOKEN_TTL_MINUTES (default 15) and REFRESH_TOKEN_TTL_DAYS (default 30)
+export const getTokenLifetimes = () => ({
+  accessMs: (Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * MINUTE_MS,
+  refreshMs: (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * DAY_MS,
+});
+
+const jwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+export class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+export const signAccessToken = (user, session) =>
+  jwt.sign(
+    {
+      userId: user._id.toString(),
+      email: user.email,
+      role: user.role,
+      sid: session._id.toString(),
+      tfa: Boolean(session.twoFactorVerified),
+    },
+    jwtSecret(),
+    { expiresIn: Math.floor(getTokenLifetimes().accessMs / 1000) }
+  );
+
+// Start a session for a user who has just authenticated (twoFactorVerified: with a 2FA code)
+export const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+  const session = new Session({
+    userId: user._id,
+    twoFactorVerified,
+    userAgent: req.headers['user-agent'] || '',
+    ipAddress: req.ip || '',
+    expiresAt: new Date(Date.now() + getTokenLifetimes().refreshMs),
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken, accessToken: signAccessToken(user, session) };
+};
+
+// Exchange a refresh token for a new one. Throws SessionError if it is unknown, expired,
+// revoked or has already been used.
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw new SessionError('Session expired. Please login again.', 'SESSION_EXPIRED');
+  }
+
+  const presentedHash = hashToken(String(refreshToken || ''));
+  const rotated = newRefreshToken(sessionId);
+  const now = new Date();
+
+  // One conditional update on the current hash, so two requests presenting the same token
+  // cannot both rotate it
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        previousTokenHash: presentedHash,
+        refreshTokenHash: hashToken(rotated),
+        lastUsedAt: now,
+        ...(req.headers['user-agent'] && { userAgent: req.headers['user-agent'] }),
+        ...(req.ip && { ipAddress: req.ip }),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A token that was already replaced is being presented again: it was copied
+    await Session.updateOne(
+      { _id: sessionId, previousTokenHash: presentedHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'Refresh token reused' } }
+    );
+    throw new SessionError('Session expired. Please login again.', 'SESSION_EXPIRED');
+  }
+
+  return { session, refreshToken: rotated };
+};
+
+export const revokeSession = async (session, reason = '') => {
+  if (session.revokedAt) return;
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+};
+
+// Revoke all of a user's live sessions, optionally keeping one (e.g. the caller's)
+export const revokeUserSessions = async (userId, reason = '', { except = null } = {}) => {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+export const isSessionActive = async (sessionId, userId) => {
+  const session = await Session.findById(sessionId).select('userId expiresAt revokedAt');
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date() && session.userId.toString() === userId);
+};
+
+export const getActiveSessions = (userId) =>
+  Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ipAddress createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
@@ -0,0 +1,43 @@
+import { createLocalStorage } from './localStorage.js';
+import { createS3Storage } from './s3Storage.js';
+
+// File storage interface:
+//   put(key, buffer, { contentType }) -> void
+//   get(key) -> readable stream (rejects if the file does not exist)
+//   remove(key) -> void (no error if the file does not exist)
+//
+// STORAGE_DRIVER selects the implementation: 'local' (default, files under UPLOAD_DIR) or 's3'.
+
+let storage;
+
+// Returns null when the selected driver is not configured (e.g. S3_BUCKET missing)
+export const getStorage = () => {
+  if (storage !== undefined) return storage;
+
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  if (driver === 'local') {
+    storage = createLocalStorage({ root: process.env.UPLOAD_DIR || 'uploads' });
+  } else if (driver === 's3') {
+    storage = process.env.S3_BUCKET
+      ? createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      })
+      : null;
+  } else {
+    console.error(`Unknown STORAGE_DRIVER "${driver}"`);
+    storage = null;
+  }
+
+  return storage;
+};
+
+// Swap the storage at runtime (tests inject a temporary directory)
+export const setStorage = (nextStorage) => {
+  storage = nextStorage;
+};
@@ -0,0 +1,37 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+// Local disk implementation of the storage interface (see ./index.js)
+export const createLocalStorage = ({ root }) => {
+  const baseDir = path.resolve(root);
+
+  // Keys are generated by the app, but never let one escape the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await fsPromises.writeFile(filePath, buffer);
+    },
+
+    get: async (key) => {
+      const filePath = resolveKey(key);
+      await fsPromises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    remove: async (key) => {
+      await fsPromises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
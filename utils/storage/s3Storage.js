@@ -0,0 +1,51 @@
+// S3-compatible implementation of the storage interface (see ./index.js).
+// The AWS SDK is an optional dependency, loaded only when STORAGE_DRIVER=s3.
+
+// Load the SDK, explaining how to install it if it was left out (npm install --omit=optional)
+const loadSdk = () =>
+  import('@aws-sdk/client-s3').catch((error) => {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+    throw new Error('STORAGE_DRIVER=s3 needs @aws-sdk/client-s3. Run: npm install @aws-sdk/client-s3');
+  });
+
+export const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  let clientPromise;
+
+  const getClient = () => {
+    clientPromise = clientPromise || loadSdk().then((sdk) => ({
+      sdk,
+      client: new sdk.S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+      }),
+    }));
+    return clientPromise;
+  };
+
+  return {
+    name: 's3',
+
+    put: async (key, buffer, { contentType } = {}) => {
+      const { sdk, client } = await getClient();
+      await client.send(new sdk.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+      }));
+    },
+
+    get: async (key) => {
+      const { sdk, client } = await getClient();
+      const object = await client.send(new sdk.GetObjectCommand({ Bucket: bucket, Key: key }));
+      return object.Body;
+    },
+
+    remove: async (key) => {
+      const { sdk, client } = await getClient();
+      await client.send(new sdk.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
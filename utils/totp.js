@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+
+// Time-based one-time passwords (RFC 6238): HMAC-SHA1, 30-second steps, 6 digits - the
+// defaults every authenticator app supports. Secrets are exchanged in base32 (RFC 4648).
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+export const base32Decode = (encoded) => {
+  let bits = '';
+  for (const char of encoded.toUpperCase().replace(/[\s=]/g, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 character');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, base32 encoded
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const getTimeStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// HOTP value (RFC 4226) for a counter
+export const generateHotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+export const generateTotp = (secret, now = Date.now()) => generateHotp(secret, getTimeStep(now));
+
+// Time step the code belongs to, allowing `window` steps of clock drift either way, or null.
+// Steps at or before afterStep are rejected so a code cannot be used twice.
+export const verifyTotp = (secret, code, { now = Date.now(), window = 1, afterStep = -1 } = {}) => {
+  if (!/^\d{6}$/.test(String(code))) return null;
+
+  const current = getTimeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = Buffer.from(generateHotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) return step;
+  }
+  return null;
+};
+
+// otpauth:// URI for authenticator apps (rendered as a QR code by the client)
+export const getOtpauthUri = ({ secret, accountName, issuer = 'LoanLink' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
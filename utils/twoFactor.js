@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import SecurityPolicy from '../models/SecurityPolicy.js';
+import { generateTotpSecret, getOtpauthUri, verifyTotp } from './totp.js';
+
+// TOTP two-factor authentication.
+//
+// Users enroll by scanning an otpauth:// URI into an authenticator app and confirming a code,
+// which enables 2FA and issues single-use recovery codes. Logging in then takes two steps: the
+// password (or Google token) yields a short-lived challenge token, which is exchanged together
+// with a code for a session. Sessions started this way carry `tfa` in their access tokens, and
+// verifyToken turns away staff whose role the security policy covers when it is missing.
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = 'two-factor-challenge';
+const POLICY_CACHE_MS = 30 * SECOND_MS;
+
+// Roles the policy can require 2FA for
+export const TWO_FACTOR_ROLES = ['admin', 'manager'];
+
+// TWO_FACTOR_MAX_ATTEMPTS: wrong codes in a row before codes are refused (default 5)
+// TWO_FACTOR_LOCKOUT_MINUTES: how long codes are then refused (default 15)
+export const getLockoutSettings = () => ({
+  maxAttempts: Number(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5,
+  lockoutMs: (Number(process.env.TWO_FACTOR_LOCKOUT_MINUTES) || 15) * MINUTE_MS,
+});
+
+// TWO_FACTOR_CHALLENGE_TTL_MINUTES: time allowed to enter the code after the password (default 5)
+export const getChallengeLifetime = () => (Number(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5) * MINUTE_MS;
+
+const jwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+// TWO_FACTOR_ENCRYPTION_KEY encrypts stored secrets (falls back to JWT_SECRET)
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || jwtSecret()).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(code.toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+export const isTwoFactorEnabled = (user) => Boolean(user.twoFactor?.enabled);
+
+// Seconds until codes are accepted again after too many wrong ones (0 if they are accepted now)
+export const getLockoutWait = (user, now = new Date()) => {
+  const lockedUntil = user.twoFactor?.lockedUntil;
+  if (!lockedUntil) return 0;
+  return Math.max(Math.ceil((lockedUntil.getTime() - now.getTime()) / SECOND_MS), 0);
+};
+
+// Replace the user's recovery codes (not saved). Returns the new codes; only hashes are stored.
+export const generateRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  user.twoFactor.recoveryCodeHashes = codes.map(hashCode);
+  return codes;
+};
+
+// Start (or restart) enrollment with a new secret (not saved)
+export const startEnrollment = (user) => {
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  return { secret, otpauthUri: getOtpauthUri({ secret, accountName: user.email }) };
+};
+
+// Enable 2FA if the code matches the pending secret (not saved). Returns the recovery codes, or
+// null for a wrong code.
+export const confirmEnrollment = (user, code) => {
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) return null;
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = encryptSecret(secret);
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.failedAttempts = 0;
+  user.twoFactor.lockedUntil = undefined;
+  return generateRecoveryCodes(user);
+};
+
+// Check a code from the authenticator app or an unused recovery code (not saved; recovery codes
+// are used up). Returns 'totp', 'recovery' or null, and locks codes out after repeated failures.
+// Callers check getLockoutWait first.
+export const verifySecondFactor = (user, { code, recoveryCode }) => {
+  const twoFactor = user.twoFactor;
+  let method = null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(twoFactor.secret), code, { afterStep: twoFactor.lastUsedStep ?? -1 });
+    if (step !== null) {
+      twoFactor.lastUsedStep = step;
+      method = 'totp';
+    }
+  } else if (recoveryCode) {
+    const index = twoFactor.recoveryCodeHashes.indexOf(hashCode(recoveryCode));
+    if (index !== -1) {
+      twoFactor.recoveryCodeHashes.splice(index, 1);
+      method = 'recovery';
+    }
+  }
+
+  if (method) {
+    twoFactor.failedAttempts = 0;
+    twoFactor.lockedUntil = undefined;
+  } else {
+    const { maxAttempts, lockoutMs } = getLockoutSettings();
+    twoFactor.failedAttempts = (twoFactor.failedAttempts || 0) + 1;
+    if (twoFactor.failedAttempts >= maxAttempts) {
+      twoFactor.failedAttempts = 0;
+      twoFactor.lockedUntil = new Date(Date.now() + lockoutMs);
+    }
+  }
+
+  return method;
+};
+
+// Turn 2FA off and forget the secret and recovery codes (not saved)
+export const disableTwoFactor = (user) => {
+  user.twoFactor = { enabled: false, recoveryCodeHashes: [], failedAttempts: 0 };
+};
+
+// Short-lived token proving the first factor. It has no session ID, so verifyToken rejects it.
+export const createChallengeToken = (user) =>
+  jwt.sign(
+    { userId: user._id.toString(), purpose: CHALLENGE_PURPOSE },
+    jwtSecret(),
+    { expiresIn: Math.floor(getChallengeLifetime() / 1000) }
+  );
+
+// User ID from a challenge token, or null if it is invalid or expired
+export const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, jwtSecret());
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The policy is read on every authenticated request, so it is cached briefly per process
+let policyCache = { roles: null, expiresAt: 0 };
+
+export const getTwoFactorRequiredRoles = async () => {
+  if (policyCache.roles && Date.now() < policyCache.expiresAt) return policyCache.roles;
+
+  const policy = await SecurityPolicy.findOne({ key: 'default' }).lean();
+  policyCache = { roles: policy?.twoFactorRequiredRoles || [], expiresAt: Date.now() + POLICY_CACHE_MS };
+  return policyCache.roles;
+};
+
+export const isTwoFactorRequired = async (role) => (await getTwoFactorRequiredRoles()).includes(role);
+
+export const setTwoFactorRequiredRoles = async (roles, updatedBy) => {
+  const policy = await SecurityPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { $set: { twoFactorRequiredRoles: roles, updatedBy, updatedAt: new Date() } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  policyCache = { roles: policy.twoFactorRequiredRoles, expiresAt: Date.now() + POLICY_CACHE_MS };
+  return policy;
+};
+
+export const getSecurityPolicy = () => SecurityPolicy.findOne({ key: 'default' });
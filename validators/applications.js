@@ -0,0 +1,142 @@
+import { body, query } from 'express-validator';
+import Loan from '../models/Loan.js';
+import { APPLICATION_STATUSES } from '../utils/applicationWorkflow.js';
+import { DELINQUENCY_BUCKETS } from '../utils/delinquency.js';
+import { SCORE_BANDS } from '../utils/scoring.js';
+import { COMMENT_VISIBILITIES } from '../utils/comments.js';
+import { FRAUD_REVIEW_STATUSES, FRAUD_SIGNALS } from '../utils/fraudSignals.js';
+import { DISBURSEMENT_METHODS } from '../utils/disbursements.js';
+import { objectIdParam, optionalDate, optionalString, pagination, requiredString } from './common.js';
+
+export const listApplicationsRules = [
+  query('status').optional().isIn(APPLICATION_STATUSES).withMessage(`status must be one of ${APPLICATION_STATUSES.join(', ')}`),
+  query('delinquency').optional().isIn(['delinquent', 'Current', ...DELINQUENCY_BUCKETS])
+    .withMessage(`delinquency must be delinquent, Current or one of ${DELINQUENCY_BUCKETS.join(', ')}`),
+  // One band ('A') or several ('A,B')
+  query('scoreBand').optional()
+    .custom(value => String(value).split(',').every(band => SCORE_BANDS.includes(band.trim().toUpperCase())))
+    .withMessage(`scoreBand must be one or more of ${SCORE_BANDS.join(', ')}`),
+  ...pagination,
+];
+
+const loanIdRule = body('loanId')
+  .isMongoId().withMessage('loanId must be a valid ID')
+  .bail()
+  .custom(async (loanId, { req }) => {
+    req.loan = await Loan.findById(loanId);
+    if (!req.loan) throw new Error('Loan not found');
+  });
+
+// Fields a borrower may set. Everything else (status, amounts, fee, loan title and rate) is set by the server.
+// Drafts accept any subset (partial); loan terms are checked against req.loan when it is loaded.
+const applicationFields = ({ partial }) => {
+  const required = (chain) => (partial ? chain.optional() : chain);
+  const string = partial ? optionalString : requiredString;
+
+  return [
+    string('firstName', { max: 100 }),
+    string('lastName', { max: 100 }),
+    required(body('contactNumber'))
+      .isString().withMessage('contactNumber is required')
+      .bail()
+      .trim()
+      .matches(/^\+?[0-9\s\-()]{7,20}$/).withMessage('contactNumber must be a valid phone number'),
+    string('nationalId', { max: 50 }),
+    string('incomeSource', { max: 100 }),
+    required(body('monthlyIncome'))
+      .isFloat({ min: 0 }).withMessage('monthlyIncome must be a non-negative number')
+      .toFloat(),
+    required(body('loanAmount'))
+      .isFloat({ gt: 0 }).withMessage('loanAmount must be greater than 0')
+      .bail()
+      .toFloat()
+      .custom((amount, { req }) => !req.loan || amount <= req.loan.maxLoanLimit)
+      .withMessage((amount, { req }) => `loanAmount cannot exceed the loan's limit of ${req.loan?.maxLoanLimit}`),
+    string('reasonForLoan', { max: 2000 }),
+    string('address', { max: 500 }),
+    optionalString('extraNotes', { max: 2000 }),
+    body('emiPlan')
+      .optional()
+      .isString().withMessage('emiPlan must be a string')
+      .bail()
+      .trim()
+      .custom((plan, { req }) => !req.loan || req.loan.emiPlans.includes(plan))
+      .withMessage((plan, { req }) => `emiPlan must be one of ${req.loan?.emiPlans.join(', ')}`),
+    body('repaymentSchedule').optional().isIn(['Monthly', 'Weekly']).withMessage('repaymentSchedule must be Monthly or Weekly'),
+  ];
+};
+
+export const createApplicationRules = [loanIdRule, ...applicationFields({ partial: false })];
+
+export const createDraftRules = [loanIdRule, ...applicationFields({ partial: true })];
+
+// The route checks the draft's loan terms once the application (and its loan) is loaded
+export const updateDraftRules = [objectIdParam(), ...applicationFields({ partial: true })];
+
+export const reviewQueueRules = [
+  query('scope').optional().isIn(['mine', 'unassigned', 'all']).withMessage('scope must be mine, unassigned or all'),
+  query('assignee').optional().isMongoId().withMessage('assignee must be a valid ID'),
+  ...pagination,
+];
+
+export const fraudReportRules = [
+  query('status').optional().isIn(FRAUD_REVIEW_STATUSES.filter(status => status !== 'None'))
+    .withMessage('status must be Flagged, Cleared or Confirmed'),
+  query('signal').optional().isIn(FRAUD_SIGNALS).withMessage(`signal must be one of ${FRAUD_SIGNALS.join(', ')}`),
+  ...pagination,
+];
+
+export const fraudReviewRules = [
+  objectIdParam(),
+  body('status').isIn(['Cleared', 'Confirmed']).withMessage('status must be Cleared or Confirmed'),
+  optionalString('note', { max: 1000 }),
+];
+
+export const recordDisbursementRules = [
+  objectIdParam(),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('amount must be greater than 0').toFloat(),
+  body('method').isIn(DISBURSEMENT_METHODS).withMessage(`method must be one of ${DISBURSEMENT_METHODS.join(', ')}`),
+  requiredString('reference', { max: 200 }),
+  optionalDate('disbursedAt'),
+];
+
+export const assignReviewerRules = [
+  objectIdParam(),
+  body('reviewerId').isMongoId().withMessage('reviewerId must be a valid ID'),
+];
+
+export const updateStatusRules = [
+  objectIdParam(),
+  body('status').isIn(APPLICATION_STATUSES).withMessage(`status must be one of ${APPLICATION_STATUSES.join(', ')}`),
+  optionalString('reason', { max: 1000 }),
+];
+
+export const withdrawApplicationRules = [
+  objectIdParam(),
+  optionalString('reason', { max: 1000 }),
+];
+
+export const applicationIdRules = [objectIdParam()];
+
+export const uploadDocumentRules = [
+  objectIdParam(),
+  requiredString('name', { max: 200 }),
+];
+
+export const documentIdRules = [objectIdParam(), objectIdParam('documentId')];
+
+export const reviewDocumentRules = [
+  ...documentIdRules,
+  body('status').isIn(['Verified', 'Rejected']).withMessage('status must be Verified or Rejected'),
+  optionalString('reason', { max: 1000 }),
+];
+
+export const listCommentsRules = [objectIdParam(), ...pagination];
+
+export const createCommentRules = [
+  objectIdParam(),
+  requiredString('body', { max: 5000 }),
+  body('visibility').optional().isIn(COMMENT_VISIBILITIES).withMessage(`visibility must be one of ${COMMENT_VISIBILITIES.join(', ')}`),
+  body('mentions').optional().isArray({ max: 20 }).withMessage('mentions must be a list of at most 20 user IDs'),
+  body('mentions.*').isMongoId().withMessage('mentions must contain valid user IDs'),
+];
@@ -0,0 +1,82 @@
+import { body } from 'express-validator';
+import { emailField, objectIdParam, requiredString } from './common.js';
+import { getPasswordPolicyErrors } from '../utils/passwords.js';
+
+// A new password that meets the strength policy
+const newPasswordField = (field) =>
+  body(field)
+    .isString().withMessage(`${field} is required`)
+    .bail()
+    .custom((password) => {
+      const [error] = getPasswordPolicyErrors(password);
+      if (error) throw new Error(error.replace(/^password/, field));
+      return true;
+    });
+
+// Registration always creates a borrower; admins promote users with PUT /api/users/:id/role
+// (the first admin is created with scripts/createAdmin.js)
+export const registerRules = [
+  requiredString('name', { max: 100 }),
+  emailField(),
+  body('photoURL').optional({ values: 'falsy' }).isURL().withMessage('photoURL must be a URL'),
+  newPasswordField('password'),
+];
+
+export const loginRules = [
+  emailField(),
+  body('password').isString().bail().notEmpty().withMessage('password is required'),
+];
+
+// The refresh token normally arrives in its cookie; clients without cookies send it in the body
+export const refreshRules = [
+  body('refreshToken').optional().isString().withMessage('refreshToken must be a string'),
+];
+
+export const sessionIdRules = [objectIdParam('sessionId')];
+
+export const forgotPasswordRules = [emailField()];
+
+export const resetPasswordRules = [
+  requiredString('token', { max: 200 }),
+  newPasswordField('password'),
+];
+
+export const changePasswordRules = [
+  body('currentPassword').isString().bail().notEmpty().withMessage('currentPassword is required'),
+  newPasswordField('newPassword'),
+];
+
+export const verifyEmailRules = [requiredString('token', { max: 200 })];
+
+export const googleLoginRules = [requiredString('idToken', { max: 4096 })];
+
+const totpCode = (field = 'code') =>
+  body(field).optional().isString().bail().trim().matches(/^\d{6}$/).withMessage(`${field} must be a 6-digit code`);
+
+// Either a code from the authenticator app or a recovery code
+const secondFactor = [
+  totpCode(),
+  body('recoveryCode')
+    .if((value, { req }) => !req.body.code)
+    .isString().withMessage('code or recoveryCode is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 20 }).withMessage('recoveryCode must be 1 to 20 characters'),
+];
+
+export const twoFactorLoginRules = [
+  requiredString('challengeToken', { max: 2048 }),
+  ...secondFactor,
+];
+
+export const twoFactorConfirmRules = [
+  body('code').isString().withMessage('code is required').bail().trim().matches(/^\d{6}$/).withMessage('code must be a 6-digit code'),
+];
+
+export const twoFactorVerifyRules = [...secondFactor];
+
+// Password accounts also confirm their password to turn 2FA off
+export const twoFactorDisableRules = [
+  ...secondFactor,
+  body('password').optional().isString().withMessage('password must be a string'),
+];
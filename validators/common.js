@@ -0,0 +1,38 @@
+import { body, param, query } from 'express-validator';
+
+// Shared validation chains for route validators
+
+export const objectIdParam = (name = 'id') =>
+  param(name).isMongoId().withMessage(`${name} must be a valid ID`);
+
+export const pagination = [
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100').toInt(),
+];
+
+export const requiredString = (field, { max = 200 } = {}) =>
+  body(field)
+    .isString().withMessage(`${field} is required`)
+    .bail()
+    .trim()
+    .notEmpty().withMessage(`${field} is required`)
+    .isLength({ max }).withMessage(`${field} must be at most ${max} characters`);
+
+export const optionalString = (field, { max = 1000 } = {}) =>
+  body(field)
+    .optional()
+    .isString().withMessage(`${field} must be a string`)
+    .bail()
+    .trim()
+    .isLength({ max }).withMessage(`${field} must be at most ${max} characters`);
+
+export const emailField = (field = 'email') =>
+  body(field)
+    .isString().withMessage(`${field} is required`)
+    .bail()
+    .trim()
+    .isEmail().withMessage(`${field} must be a valid email address`);
+
+// YYYY-MM-DD, as used by payoff quotes
+export const optionalDate = (field, location = body) =>
+  location(field).optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage(`${field} must be a date (YYYY-MM-DD)`);
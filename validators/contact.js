@@ -0,0 +1,24 @@
+import { body, query } from 'express-validator';
+import { emailField, objectIdParam, optionalString, pagination, requiredString } from './common.js';
+
+const MESSAGE_STATUSES = ['New', 'Read', 'Replied'];
+
+export const createMessageRules = [
+  requiredString('name', { max: 100 }),
+  emailField(),
+  requiredString('subject', { max: 200 }),
+  requiredString('message', { max: 5000 }),
+];
+
+export const listMessagesRules = [
+  query('status').optional().isIn(MESSAGE_STATUSES).withMessage(`status must be one of ${MESSAGE_STATUSES.join(', ')}`),
+  ...pagination,
+];
+
+export const messageIdRules = [objectIdParam()];
+
+export const updateMessageStatusRules = [
+  objectIdParam(),
+  body('status').optional().isIn(MESSAGE_STATUSES).withMessage(`status must be one of ${MESSAGE_STATUSES.join(', ')}`),
+  optionalString('replyMessage', { max: 5000 }),
+];
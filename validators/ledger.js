@@ -0,0 +1,9 @@
+import { param } from 'express-validator';
+import { objectIdParam, optionalString } from './common.js';
+
+export const ledgerApplicationRules = [objectIdParam('applicationId')];
+
+export const reverseJournalRules = [
+  param('journalId').isMongoId().withMessage('journalId must be a valid ID'),
+  optionalString('reason', { max: 1000 }),
+];
@@ -0,0 +1,58 @@
+import { body, query } from 'express-validator';
+import { parseEmiPlanMonths } from '../utils/amortization.js';
+import { objectIdParam, optionalString, requiredString } from './common.js';
+
+// Loan product fields. On update every field is optional; on create the core fields are required.
+const loanFields = ({ partial }) => {
+  const required = (chain) => (partial ? chain.optional() : chain);
+
+  return [
+    partial ? optionalString('title', { max: 200 }) : requiredString('title', { max: 200 }),
+    partial ? optionalString('description', { max: 5000 }) : requiredString('description', { max: 5000 }),
+    partial ? optionalString('category', { max: 100 }) : requiredString('category', { max: 100 }),
+    required(body('interestRate'))
+      .isFloat({ min: 0, max: 100 }).withMessage('interestRate must be a percentage between 0 and 100')
+      .toFloat(),
+    required(body('maxLoanLimit'))
+      .isFloat({ gt: 0 }).withMessage('maxLoanLimit must be greater than 0')
+      .toFloat(),
+    required(body('emiPlans'))
+      .isArray({ min: 1 }).withMessage('emiPlans must list at least one plan'),
+    body('emiPlans.*')
+      .isString().bail().trim()
+      .custom(plan => parseEmiPlanMonths(plan) !== null).withMessage('EMI plans must look like "6 Months" or "1 Year"'),
+    body('requiredDocuments').optional().isArray().withMessage('requiredDocuments must be a list'),
+    body('requiredDocuments.*').isString().bail().trim().notEmpty().withMessage('Document names cannot be empty'),
+    body('images').optional().isArray().withMessage('images must be a list'),
+    body('images.*').isURL().withMessage('images must be URLs'),
+    body('showOnHome').optional().isBoolean().withMessage('showOnHome must be true or false').toBoolean(),
+    body('currency').optional().isString().bail().trim().toLowerCase()
+      .isLength({ min: 3, max: 3 }).withMessage('currency must be a 3-letter ISO code'),
+    body('applicationFee.feeType').optional().isIn(['flat', 'percentage', 'waived'])
+      .withMessage('applicationFee.feeType must be flat, percentage or waived'),
+    body('applicationFee.amount').optional().isFloat({ min: 0 }).withMessage('applicationFee.amount cannot be negative')
+      .toFloat()
+      .custom((amount, { req }) => req.body.applicationFee?.feeType !== 'percentage' || amount <= 100)
+      .withMessage('A percentage fee cannot exceed 100'),
+    body('lateFeePolicy.feeType').optional().isIn(['none', 'flat', 'percentage'])
+      .withMessage('lateFeePolicy.feeType must be none, flat or percentage'),
+    body('lateFeePolicy.amount').optional().isFloat({ min: 0 }).withMessage('lateFeePolicy.amount cannot be negative')
+      .toFloat()
+      .custom((amount, { req }) => req.body.lateFeePolicy?.feeType !== 'percentage' || amount <= 100)
+      .withMessage('A percentage fee cannot exceed 100'),
+    body('lateFeePolicy.gracePeriodDays').optional().isInt({ min: 0, max: 365 })
+      .withMessage('lateFeePolicy.gracePeriodDays must be between 0 and 365')
+      .toInt(),
+  ];
+};
+
+export const createLoanRules = loanFields({ partial: false });
+
+export const updateLoanRules = [objectIdParam(), ...loanFields({ partial: true })];
+
+export const listLoansRules = [
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('search must be at most 100 characters'),
+  query('category').optional().isString().isLength({ max: 100 }).withMessage('category must be at most 100 characters'),
+];
+
+export const loanIdRules = [objectIdParam()];
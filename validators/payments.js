@@ -0,0 +1,27 @@
+import { body } from 'express-validator';
+import { optionalDate, optionalString, requiredString } from './common.js';
+
+const applicationId = body('applicationId').isMongoId().withMessage('applicationId must be a valid ID');
+
+export const createIntentRules = [applicationId];
+
+export const createRepaymentIntentRules = [
+  applicationId,
+  // In the currency's minor unit (e.g. cents)
+  body('amount').isInt({ min: 1 }).withMessage('amount must be a positive whole number of minor units').toInt(),
+];
+
+export const createSettlementIntentRules = [applicationId, optionalDate('date')];
+
+export const confirmPaymentRules = [
+  applicationId,
+  requiredString('transactionId', { max: 255 }),
+  optionalString('paymentMethodId', { max: 255 }),
+];
+
+export const savePaymentMethodRules = [
+  requiredString('setupIntentId', { max: 255 }),
+  optionalString('paymentMethodId', { max: 255 }),
+];
+
+export const refundRules = [applicationId, optionalString('reason', { max: 1000 })];
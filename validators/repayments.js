@@ -0,0 +1,31 @@
+import { body, query } from 'express-validator';
+import { objectIdParam, optionalDate, optionalString } from './common.js';
+
+const applicationIdParam = objectIdParam('applicationId');
+
+const amount = body('amount').isFloat({ gt: 0 }).withMessage('amount must be greater than 0').toFloat();
+
+export const repaymentApplicationRules = [applicationIdParam];
+
+export const payoffQuoteRules = [applicationIdParam, optionalDate('date', query)];
+
+export const settleRules = [
+  applicationIdParam,
+  optionalDate('date'),
+  amount,
+  optionalString('transactionId', { max: 255 }),
+  optionalString('paymentMethod', { max: 50 }),
+];
+
+export const autopayRules = [
+  applicationIdParam,
+  body('enabled').isBoolean().withMessage('enabled must be true or false').toBoolean(),
+  optionalString('paymentMethodId', { max: 255 }),
+];
+
+export const recordRepaymentRules = [
+  applicationIdParam,
+  amount,
+  optionalString('transactionId', { max: 255 }),
+  optionalString('paymentMethod', { max: 50 }),
+];
@@ -0,0 +1,34 @@
+import { body, query } from 'express-validator';
+import { objectIdParam, optionalString, pagination, requiredString } from './common.js';
+import { TWO_FACTOR_ROLES } from '../utils/twoFactor.js';
+
+const ROLES = ['borrower', 'manager', 'admin'];
+
+export const listUsersRules = [
+  query('role').optional().isIn(ROLES).withMessage(`role must be one of ${ROLES.join(', ')}`),
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('search must be at most 100 characters'),
+  ...pagination,
+];
+
+export const updateRoleRules = [
+  objectIdParam(),
+  body('role').isIn(ROLES).withMessage(`role must be one of ${ROLES.join(', ')}`),
+];
+
+export const suspendRules = [
+  objectIdParam(),
+  requiredString('suspendReason', { max: 500 }),
+  optionalString('suspendFeedback', { max: 2000 }),
+];
+
+export const userIdRules = [objectIdParam()];
+
+export const notificationPreferencesRules = [
+  body('applicationUpdates').optional().isBoolean().withMessage('applicationUpdates must be a boolean').toBoolean(),
+  body('paymentReceipts').optional().isBoolean().withMessage('paymentReceipts must be a boolean').toBoolean(),
+];
+
+export const twoFactorPolicyRules = [
+  body('twoFactorRequiredRoles').isArray().withMessage('twoFactorRequiredRoles must be an array'),
+  body('twoFactorRequiredRoles.*').isIn(TWO_FACTOR_ROLES).withMessage(`twoFactorRequiredRoles may only contain ${TWO_FACTOR_ROLES.join(', ')}`),
+];